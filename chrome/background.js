@@ -1,3 +1,12 @@
+import { CrawlEngine } from './modules/crawlEngine.js';
+import { GraphExporter } from './modules/graphExporter.js';
+import { createGraph, migrateGraph, validateGraph } from './utils/graphSchema.js';
+import { bundleGraph, externalizeGraph } from './utils/blobStore.js';
+
+// Owns every multi-page crawl so it keeps running after the popup closes
+const crawlEngine = new CrawlEngine();
+crawlEngine.initialize().catch((e) => console.error('[bg] crawl engine init error', e));
+
 chrome.runtime.onInstalled.addListener(() => {
 	console.log('[bg] service worker installed');
 });
@@ -6,8 +15,11 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 	console.log('[bg] onMessage', msg?.type);
 	
 	if (msg?.type === 'downloadGraph' && msg?.payload) {
-		try {
-			const text = JSON.stringify(msg.payload, null, 2);
+		(async () => {
+			// Exports carry the current schema version and the screenshots and DOM
+			// snapshots the graph only references
+			const graph = await bundleGraph(migrateGraph(msg.payload));
+			const text = JSON.stringify(graph, null, 2);
 			console.log('[bg] preparing blob length', text.length);
 			
 			// Create filename with timestamp
@@ -15,20 +27,51 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 			const filename = `ui-crawler-graph-${timestamp}.json`;
 			
 			const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(text);
-			chrome.downloads.download({ 
-				url: dataUrl, 
-				filename: filename, 
-				saveAs: true 
-			}, (downloadId) => {
-				const err = chrome.runtime.lastError;
-				console.log('[bg] downloads.download id', downloadId, 'err', err?.message);
-				sendResponse({ ok: !err, downloadId, error: err?.message });
+			return new Promise((resolve) => {
+				chrome.downloads.download({ 
+					url: dataUrl, 
+					filename: filename, 
+					saveAs: true 
+				}, (downloadId) => {
+					const err = chrome.runtime.lastError;
+					console.log('[bg] downloads.download id', downloadId, 'err', err?.message);
+					resolve({ ok: !err, downloadId, error: err?.message });
+				});
 			});
-			return true; // keep sendResponse async
-		} catch (e) {
-			console.error('[bg] downloadGraph error', e);
-			sendResponse({ ok: false, error: String(e) });
-		}
+		})()
+			.then(sendResponse)
+			.catch((e) => {
+				console.error('[bg] downloadGraph error', e);
+				sendResponse({ ok: false, error: String(e) });
+			});
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'exportGraph' && msg?.payload?.graph) {
+		(async () => {
+			const { graph, format } = msg.payload;
+			const exported = new GraphExporter(migrateGraph(graph)).export(format);
+			console.log('[bg] exported', format, 'length', exported.content.length);
+	
+			const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+			const dataUrl = `data:${exported.mimeType};charset=utf-8,` + encodeURIComponent(exported.content);
+			return new Promise((resolve) => {
+				chrome.downloads.download({
+					url: dataUrl,
+					filename: `ui-crawler-graph-${timestamp}.${exported.extension}`,
+					saveAs: true
+				}, (downloadId) => {
+					const err = chrome.runtime.lastError;
+					resolve({ ok: !err, downloadId, error: err?.message });
+				});
+			});
+		})()
+			.then(sendResponse)
+			.catch((e) => {
+				console.error('[bg] exportGraph error', e);
+				sendResponse({ ok: false, error: String(e) });
+			});
+		return true; // keep sendResponse async
 	}
 	
 	if (msg?.type === 'downloadScreenshots' && msg?.payload) {
@@ -95,59 +138,161 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 	}
 	
 	if (msg?.type === 'detectStatsPage' && msg?.payload) {
-		try {
-			const { tabId } = msg.payload;
+		const { tabId } = msg.payload;
+		crawlEngine.detectStatsPage(tabId)
+			.then((result) => sendResponse({ ok: true, result }))
+			.catch((e) => sendResponse({ ok: false, error: String(e) }));
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'extractPage' && msg?.payload) {
+		const { tabId, settings } = msg.payload;
+		// The running crawl owns the stored graph and would overwrite the extracted page
+		if (crawlEngine.isActive()) {
+			sendResponse({ ok: false, busy: true, error: 'A crawl is in progress; extract the page once it has finished' });
+			return;
+		}
+		(async () => {
+			const node = await crawlEngine.captureState(tabId, { ...crawlEngine.settings, ...(settings || {}) });
+			if (!node) return { ok: false, error: 'No data captured' };
 			
-			chrome.scripting.executeScript({
-				target: { tabId: tabId },
-				func: () => {
-					const url = location.href.toLowerCase();
-					const title = document.title.toLowerCase();
-					const statsKeywords = ['stats', 'analytics', 'dashboard', 'metrics', 'reports', 'insights'];
-					
-					const urlMatch = statsKeywords.some(keyword => url.includes(keyword));
-					const titleMatch = statsKeywords.some(keyword => title.includes(keyword));
-					
-					// Check for common stats page elements
-					const hasCharts = document.querySelectorAll('canvas, svg, [data-chart], .chart, .graph').length > 0;
-					const hasMetrics = document.querySelectorAll('[data-metric], .metric, .kpi, .stat').length > 0;
-					
-					return {
-						isStatsPage: urlMatch || titleMatch || hasCharts || hasMetrics,
-						confidence: (urlMatch ? 0.3 : 0) + (titleMatch ? 0.2 : 0) + (hasCharts ? 0.3 : 0) + (hasMetrics ? 0.2 : 0),
-						indicators: { urlMatch, titleMatch, hasCharts, hasMetrics }
-					};
-				}
-			}, (results) => {
-				if (chrome.runtime.lastError) {
-					sendResponse({ ok: false, error: chrome.runtime.lastError.message });
-				} else {
-					sendResponse({ ok: true, result: results[0].result });
-				}
+			const { graph: stored } = await chrome.storage.local.get(['graph']);
+			const graph = stored ? migrateGraph(stored) : createGraph();
+			if (!graph.nodes.find(n => n.id === node.id)) {
+				await crawlEngine.storeBlobs(node);
+				graph.nodes.push(node);
+				crawlEngine.components.register(graph, node);
+			}
+			await chrome.storage.local.set({ graph, 'ui-crawler-graph': graph });
+			return { ok: true, nodeId: node.id };
+		})()
+			.then(sendResponse)
+			.catch((e) => {
+				console.error('[bg] extractPage error', e);
+				sendResponse({ ok: false, error: String(e) });
 			});
-			
-			return true; // keep sendResponse async
-		} catch (e) {
-			console.error('[bg] detectStatsPage error', e);
-			sendResponse({ ok: false, error: String(e) });
-		}
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'startCrawl' && msg?.payload) {
+		crawlEngine.start(msg.payload)
+			.then((status) => sendResponse({ ok: true, status }))
+			.catch((e) => {
+				console.error('[bg] startCrawl error', e);
+				sendResponse({ ok: false, error: String(e), status: crawlEngine.getStatus() });
+			});
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'resumeLastCrawl') {
+		crawlEngine.resumeFromCheckpoint(msg.payload?.tabId)
+			.then((status) => sendResponse({ ok: true, status }))
+			.catch((e) => {
+				console.error('[bg] resumeLastCrawl error', e);
+				sendResponse({ ok: false, error: String(e), status: crawlEngine.getStatus() });
+			});
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'pauseCrawl') {
+		sendResponse({ ok: true, status: crawlEngine.pause() });
+		return;
+	}
+	
+	if (msg?.type === 'resumeCrawl') {
+		sendResponse({ ok: true, status: crawlEngine.resume() });
+		return;
+	}
+	
+	if (msg?.type === 'cancelCrawl') {
+		sendResponse({ ok: true, status: crawlEngine.cancel() });
+		return;
+	}
+	
+	if (msg?.type === 'getCrawlStatus') {
+		sendResponse({ ok: true, status: crawlEngine.getStatus() });
+		return;
+	}
+	
+	if (msg?.type === 'downloadAccessMatrix') {
+		chrome.storage.local.get(['ui-crawler-access-matrix'], (result) => {
+			const matrix = result['ui-crawler-access-matrix'];
+			if (!matrix) {
+				sendResponse({ ok: false, error: 'No role crawl has finished yet' });
+				return;
+			}
+			const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+			const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(matrix, null, 2));
+			chrome.downloads.download({
+				url: dataUrl,
+				filename: `ui-crawler-access-matrix-${timestamp}.json`,
+				saveAs: true
+			}, (downloadId) => {
+				const err = chrome.runtime.lastError;
+				sendResponse({ ok: !err, downloadId, error: err?.message, summary: matrix.summary });
+			});
+		});
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'startLoginRecording' && msg?.payload) {
+		crawlEngine.session.startRecording(msg.payload.tabId, msg.payload.profile)
+			.then((status) => sendResponse({ ok: true, status }))
+			.catch((e) => {
+				console.error('[bg] startLoginRecording error', e);
+				sendResponse({ ok: false, error: String(e), status: crawlEngine.session.getStatus() });
+			});
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'stopLoginRecording') {
+		crawlEngine.session.stopRecording(msg.payload?.save !== false)
+			.then((status) => sendResponse({ ok: true, status }))
+			.catch((e) => {
+				console.error('[bg] stopLoginRecording error', e);
+				sendResponse({ ok: false, error: String(e), status: crawlEngine.session.getStatus() });
+			});
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'clearLogin') {
+		crawlEngine.session.clearLogin(msg.payload?.profile)
+			.then((status) => sendResponse({ ok: true, status }))
+			.catch((e) => sendResponse({ ok: false, error: String(e) }));
+		return true; // keep sendResponse async
+	}
+	
+	if (msg?.type === 'getLoginStatus') {
+		sendResponse({ ok: true, status: crawlEngine.session.getStatus() });
+		return;
+	}
+	
+	// Sent by the login recorder in the page; carries credentials, so never logged
+	if (msg?.type === 'loginStep' && msg?.payload) {
+		crawlEngine.session.addStep(msg.payload, sender.tab?.id)
+			.catch((e) => console.error('[bg] loginStep error', e));
+		return;
 	}
 	
 	if (msg?.type === 'storeGraph' && msg?.payload) {
-		try {
-			const { graph } = msg.payload;
-			chrome.storage.local.set({ 'ui-crawler-graph': graph }, () => {
-				if (chrome.runtime.lastError) {
-					sendResponse({ ok: false, error: chrome.runtime.lastError.message });
-				} else {
-					sendResponse({ ok: true });
-				}
+		(async () => {
+			// Graphs from older versions are migrated before they are stored, and
+			// embedded screenshots and DOM snapshots move to the blob store
+			const graph = migrateGraph(msg.payload.graph);
+			const { valid, errors } = validateGraph(graph);
+			if (!valid) {
+				return { ok: false, error: `Graph does not match schema v${graph.schemaVersion}: ${errors.slice(0, 3).map(e => `${e.path} ${e.message}`).join('; ')}` };
+			}
+			await externalizeGraph(graph);
+			await chrome.storage.local.set({ 'ui-crawler-graph': graph });
+			return { ok: true };
+		})()
+			.then(sendResponse)
+			.catch((e) => {
+				console.error('[bg] storeGraph error', e);
+				sendResponse({ ok: false, error: String(e) });
 			});
-			return true; // keep sendResponse async
-		} catch (e) {
-			console.error('[bg] storeGraph error', e);
-			sendResponse({ ok: false, error: String(e) });
-		}
+		return true; // keep sendResponse async
 	}
 	
 	if (msg?.type === 'getGraph' && msg?.payload) {
@@ -40,6 +40,11 @@
 		}
 	};
 
+	// Landmark regions most sites repeat on every page; the background stores each once
+	const COMPONENT_SELECTOR = 'header, footer, nav, aside, [role="banner"], [role="contentinfo"], [role="navigation"], [role="complementary"], [role="search"]';
+	const COMPONENT_KINDS = { header: 'header', banner: 'header', footer: 'footer', contentinfo: 'footer', nav: 'navigation', navigation: 'navigation', aside: 'sidebar', complementary: 'sidebar', search: 'search' };
+	const MAX_STRUCTURE_NODES = 500;
+
 	// Get all selectors as a flat array
 	function getAllSelectors() {
 		const allSelectors = [];
@@ -55,12 +60,46 @@
 		return allSelectors;
 	}
 
-	// Enhanced element detection with comprehensive selectors
-	function collectEnhanced() {
+	// The document plus, when `deep`, every open shadow root below it with its nesting depth
+	function collectRoots(deep) {
+		const roots = [{ root: document, depth: 0 }];
+		if (!deep) return roots;
+		for (let i = 0; i < roots.length; i++) {
+			const { root, depth } = roots[i];
+			root.querySelectorAll('*').forEach(el => {
+				if (el.shadowRoot) roots.push({ root: el.shadowRoot, depth: depth + 1 });
+			});
+		}
+		return roots;
+	}
+
+	// Elements matching a selector in each of the roots from collectRoots
+	function queryAllElements(selector, roots) {
+		return roots.flatMap(({ root, depth }) =>
+			Array.from(root.querySelectorAll(selector)).map(element => ({ element, depth }))
+		);
+	}
+
+	// Enhanced element detection with comprehensive selectors. With `shadowDomSupport`
+	// open shadow roots are searched too (web components such as Lit, Stencil or LWC)
+	async function collectEnhanced(options = {}) {
+		await loadLocatorModules();
 		const allSelectors = getAllSelectors();
-		const nodeList = document.querySelectorAll(allSelectors.join(', '));
+		const roots = collectRoots(!!options.shadowDomSupport);
+		const matches = queryAllElements(allSelectors.join(', '), roots);
+		// One cached lookup pass: locating every element against a fresh document query is quadratic
+		selectorGenerator.beginPass();
+		try {
+			return buildEnhancedResult(matches, roots);
+		} finally {
+			selectorGenerator.endPass();
+		}
+	}
+
+	function buildEnhancedResult(matches, roots) {
+		const components = collectComponents(roots);
 		
-		const elements = Array.from(nodeList).map((el) => {
+		const elements = matches.map(({ element: el, depth }) => {
 			const rect = el.getBoundingClientRect();
 			const attrs = {};
 			for (const { name, value } of Array.from(el.attributes)) attrs[name] = value;
@@ -71,8 +110,17 @@
 			// Extract functional features
 			const functionalFeatures = extractElementFeatures(el);
 			
+			const frameId = getChildFrameId(el);
+			// XPath and text locators are only used to find interactive elements again
+			const interactive = isClickable(el) || isFocusable(el) || isEditable(el);
+			const locators = getLocators(el, { alternatives: interactive });
+			const component = components.findIndex(c => c.element.contains(el));
 			return {
-				selector: getElementSelector(el),
+				selector: locators.css,
+				locators,
+				shadowDepth: depth,
+				...(frameId !== undefined ? { frameId } : {}),
+				...(component >= 0 ? { component } : {}),
 				nodeType: el.tagName.toLowerCase(),
 				category: elementType.category,
 				subcategory: elementType.subcategory,
@@ -98,23 +146,64 @@
 		// Create state vector
 		const stateVector = createStateVector(elements);
 		
-		const dom = document.documentElement?.outerHTML || '';
+		// Shadow trees are not part of outerHTML; their markup is appended so changes inside
+		// web components still change the state's DOM hash
+		const dom = (document.documentElement?.outerHTML || '') +
+			roots.slice(1).map(({ root }) => root.innerHTML).join('');
 		return {
 			url: location.href,
 			title: document.title,
 			timestamp: Date.now(),
 			elements,
+			components: components.map(({ element, ...component }) => component),
 			stateVector,
 			dom,
 			metadata: {
 				viewport: { width: window.innerWidth, height: window.innerHeight },
 				devicePixelRatio: window.devicePixelRatio,
 				userAgent: navigator.userAgent,
-				language: navigator.language
+				language: navigator.language,
+				canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || null
 			}
 		};
 	}
 
+	// Outermost landmark regions (site header, footer, navigation, sidebars). Headers, footers
+	// and asides inside the page content belong to that content and are left out. Elements
+	// refer to a region by its `key`
+	function collectComponents(roots) {
+		const landmarks = queryAllElements(COMPONENT_SELECTOR, roots)
+			.map(({ element }) => element)
+			.filter(el => !/^(header|footer|aside)$/i.test(el.tagName) || el.hasAttribute('role') || !el.parentElement?.closest('article, main'));
+		return landmarks
+			.filter(el => !landmarks.some(other => other !== el && other.contains(el)))
+			.map((element, key) => ({
+				key,
+				element,
+				kind: COMPONENT_KINDS[element.getAttribute('role')] || COMPONENT_KINDS[element.tagName.toLowerCase()] || 'region',
+				selector: getLocators(element).css,
+				structure: describeStructure(element, { remaining: MAX_STRUCTURE_NODES })
+			}));
+	}
+
+	// Markup skeleton of a subtree: tags, roles, hand-written classes and link or form targets,
+	// without text or state classes, so the same region renders to the same string on every page
+	function describeStructure(element, budget) {
+		if (budget.remaining-- <= 0) return '';
+		const role = element.getAttribute('role');
+		const classes = selectorGenerator.stableClasses(element).sort();
+		const target = element.getAttribute('href') || element.getAttribute('action') || element.getAttribute('name') || element.getAttribute('type');
+		const children = Array.from(element.children)
+			.filter(child => !/^(script|style|template|noscript)$/i.test(child.tagName))
+			.map(child => describeStructure(child, budget))
+			.join(',');
+		return element.tagName.toLowerCase() +
+			(role ? `[${role}]` : '') +
+			classes.map(name => `.${name}`).join('') +
+			(target ? `{${target}}` : '') +
+			(children ? `(${children})` : '');
+	}
+
 	// Get element type based on selectors
 	function getElementType(element) {
 		for (const [category, subcategories] of Object.entries(CRAWLABLE_SELECTORS)) {
@@ -225,51 +314,31 @@
 			   element.getAttribute('aria-description') !== null;
 	}
 
-	function getElementSelector(element) {
-		// Prefer id if present
-		if (element.id) {
-			try {
-				return `#${CSS && CSS.escape ? CSS.escape(element.id) : element.id}`;
-			} catch (e) {
-				return `#${element.id}`;
-			}
-		}
-
-		// Safely derive selector from classes
-		let classNames = [];
+	// Extension frame id of the document inside an iframe, so the background can tell which
+	// element holds which child frame
+	function getChildFrameId(element) {
+		if (!/^i?frame$/i.test(element.tagName) || typeof chrome?.runtime?.getFrameId !== 'function') return undefined;
 		try {
-			if (element.classList && element.classList.length) {
-				classNames = Array.from(element.classList);
-			} else if (typeof element.className === 'string' && element.className.trim()) {
-				classNames = element.className.split(/\s+/).filter(Boolean);
-			} else if (element.className && typeof element.className.baseVal === 'string') { // SVGAnimatedString
-				classNames = element.className.baseVal.split(/\s+/).filter(Boolean);
-			}
+			const frameId = chrome.runtime.getFrameId(element);
+			return frameId >= 0 ? frameId : undefined;
 		} catch (_) {
-			// ignore
-		}
-		if (classNames.length > 0) {
-			try {
-				return `.${classNames.map(c => (CSS && CSS.escape ? CSS.escape(c) : c)).join('.')}`;
-			} catch (e) {
-				return `.${classNames.join('.')}`;
-			}
+			return undefined;
 		}
+	}
 
-		// Fallback to data-attributes
-		const dataAttrs = Array.from(element.attributes || [])
-			.filter(attr => attr && typeof attr.name === 'string' && attr.name.startsWith('data-'))
-			.map(attr => {
-				const name = attr.name;
-				const val = (attr.value ?? '').toString();
-				return `[${name}="${val.replace(/"/g, '\\"')}"]`;
-			});
-		if (dataAttrs.length > 0) {
-			return `${(element.tagName || '').toLowerCase()}${dataAttrs.join('')}`;
+	// Verified locators of an element from the shared SelectorGenerator module (loaded by
+	// loadLocatorModules). Inside shadow roots the CSS selector is prefixed by the selectors of
+	// its shadow hosts, outermost first (host >>> inner); EventSimulator.resolveSelector
+	// resolves it again
+	function getLocators(element, options) {
+		const locators = selectorGenerator.generate(element, options);
+		const hosts = [];
+		let root = element.getRootNode();
+		while (root instanceof ShadowRoot) {
+			hosts.unshift(selectorGenerator.buildCss(root.host, root.host.getRootNode()).selector);
+			root = root.host.getRootNode();
 		}
-
-		// Final fallback to tag name
-		return (element.tagName || 'div').toLowerCase();
+		return { ...locators, css: [...hosts, locators.css].join(' >>> ') };
 	}
 
 	// Create state vector for functional equivalence
@@ -423,22 +492,383 @@
 	}
 
 	// Legacy function for backward compatibility
-	function collect() {
-		return collectEnhanced();
+	function collect(options) {
+		return collectEnhanced(options);
 	}
 
 	// Expose functions for scripting
 	window.__UICRAWLER_COLLECT__ = collect;
 	window.__UICRAWLER_COLLECT_ENHANCED__ = collectEnhanced;
 
-	async function extractLinks() {
-		const anchors = Array.from(document.querySelectorAll('a[href]'));
-		return anchors
-			.map(a => a.getAttribute('href'))
-			.filter(Boolean);
+	// Raw hrefs of the page's links. With a guard configuration, links to logout or
+	// destructive controls are left out and returned separately under `guarded`
+	async function extractLinks(guardOptions, deep) {
+		await loadLocatorModules();
+		const anchors = queryAllElements('a[href]', collectRoots(deep)).map(({ element }) => element).filter(a => a.getAttribute('href'));
+		const guard = await loadActionGuard(guardOptions);
+		const links = [];
+		const guarded = [];
+
+		anchors.forEach(a => {
+			const blocked = guard && guard.check(a);
+			if (!blocked) {
+				links.push(a.getAttribute('href'));
+				return;
+			}
+			guarded.push({
+				...locateElement(a),
+				href: a.getAttribute('href'),
+				text: (a.innerText || a.getAttribute('aria-label') || '').trim().slice(0, 100),
+				guard: blocked
+			});
+		});
+
+		return { links, guarded };
 	}
 
 	window.__UICRAWLER_LINKS__ = extractLinks;
+
+	// Element groups the action crawler drives directly, with the event used for each
+	const ACTION_SOURCES = [
+		{ selectors: CRAWLABLE_SELECTORS.navigation.buttons, eventType: 'click' },
+		{ selectors: CRAWLABLE_SELECTORS.interactive.tabs, eventType: 'click' },
+		{ selectors: CRAWLABLE_SELECTORS.interactive.accordions, eventType: 'click' },
+		{ selectors: CRAWLABLE_SELECTORS.interactive.toggles, eventType: 'click' },
+		{ selectors: CRAWLABLE_SELECTORS.interactive.hoverMenus, eventType: 'hover' }
+	];
+
+	// Containers matched by the groups above that do nothing when clicked
+	const NON_ACTION_SELECTOR = '[role="tabpanel"], [role="tablist"], [disabled], [aria-disabled="true"]';
+
+	function hasNavigableHref(element) {
+		const href = element.getAttribute('href');
+		return !!href && href !== '#' && !/^javascript:/i.test(href);
+	}
+
+	function isSubmitControl(element) {
+		const type = (element.getAttribute('type') || '').toLowerCase();
+		const tag = element.tagName.toLowerCase();
+		return type === 'submit' || (tag === 'button' && !type && !!element.closest('form'));
+	}
+
+	// Selector plus position among its matches, with the XPath and text locators and the
+	// selector's stability, resolved again by resolveActionTarget. Needs loadLocatorModules
+	function locateElement(element) {
+		const { css: selector, xpath, text, stability } = getLocators(element);
+		let index = 0;
+		try {
+			index = eventSimulator.querySelectorAllDeep(selector).indexOf(element);
+		} catch (_) {}
+		return { selector, index: Math.max(index, 0), locators: { xpath, text }, stability };
+	}
+
+	let authManager = null;
+
+	async function loadAuthManager() {
+		if (!authManager) {
+			const { AuthManager } = await import(chrome.runtime.getURL('modules/authManager.js'));
+			authManager = new AuthManager();
+		}
+		return authManager;
+	}
+
+	// Guard for the current document, using the shared ActionGuard module; null when disabled
+	async function loadActionGuard(options) {
+		if (!options?.enabled) return null;
+		try {
+			const { ActionGuard } = await import(chrome.runtime.getURL('modules/actionGuard.js'));
+			return new ActionGuard({ ...options, authManager: await loadAuthManager() });
+		} catch (error) {
+			console.warn('[guard] unavailable:', error);
+			return null;
+		}
+	}
+
+	// Enumerate visible widgets that can be exercised without following a link.
+	// Widgets the guard blocks carry the reason under `guard`
+	async function extractActions(guardOptions, deep) {
+		await loadLocatorModules();
+		const guard = await loadActionGuard(guardOptions);
+		const roots = collectRoots(deep);
+		const seen = new Set();
+		const actions = [];
+
+		ACTION_SOURCES.forEach(({ selectors, eventType }) => {
+			let matches = [];
+			try {
+				matches = queryAllElements(selectors.join(', '), roots).map(({ element }) => element);
+			} catch (_) {
+				return;
+			}
+
+			matches.forEach(el => {
+				if (seen.has(el)) return;
+				seen.add(el);
+
+				if (el.matches(NON_ACTION_SELECTOR)) return;
+				if (hasNavigableHref(el) || isSubmitControl(el)) return;
+				if (!isVisible(el)) return;
+
+				actions.push({
+					...locateElement(el),
+					eventType,
+					nodeType: el.tagName.toLowerCase(),
+					text: (el.innerText || el.getAttribute('aria-label') || el.value || '').trim().slice(0, 100),
+					guard: (guard && guard.check(el)) || undefined
+				});
+			});
+		});
+
+		return actions;
+	}
+
+	// Enumerate visible forms with at least one field the form filler can fill
+	async function extractForms(guardOptions, deep) {
+		await loadLocatorModules();
+		const guard = await loadActionGuard(guardOptions);
+		const forms = [];
+
+		queryAllElements('form', collectRoots(deep)).forEach(({ element: form }) => {
+			if (!isVisible(form)) return;
+			const fields = Array.from(form.elements || []).filter(el =>
+				['input', 'select', 'textarea'].includes(el.tagName.toLowerCase()) &&
+				!['hidden', 'submit', 'button', 'reset', 'image', 'file'].includes((el.type || '').toLowerCase()) &&
+				!el.disabled
+			);
+			if (!fields.length) return;
+
+			const submit = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+			forms.push({
+				...locateElement(form),
+				eventType: 'submit',
+				nodeType: 'form',
+				text: ((submit && (submit.innerText || submit.value)) || form.getAttribute('aria-label') || form.name || form.id || 'Submit').trim().slice(0, 100),
+				method: (form.getAttribute('method') || 'get').toLowerCase(),
+				fields: fields.length,
+				guard: (guard && guard.checkForm(form)) || undefined
+			});
+		});
+
+		return forms;
+	}
+
+	// Find an action's element by its CSS selector, falling back to its XPath and then its
+	// text locator when the page has changed since the selector was generated
+	async function resolveActionTarget(action) {
+		try {
+			await loadLocatorModules();
+			const element = eventSimulator.resolveSelector(action.selector, action.index || 0);
+			if (element) return element;
+			if (action.locators?.xpath) {
+				const byXPath = selectorGenerator.resolveXPath(action.locators.xpath);
+				if (byXPath) return byXPath;
+			}
+			if (action.locators?.text) {
+				return selectorGenerator.resolveText(action.nodeType, action.locators.text);
+			}
+			return null;
+		} catch (_) {
+			return null;
+		}
+	}
+
+	let eventSimulator = null;
+	let selectorGenerator = null;
+	let formFiller = null;
+
+	async function loadEventSimulator() {
+		if (!eventSimulator) {
+			const { EventSimulator } = await import(chrome.runtime.getURL('modules/eventSimulator.js'));
+			eventSimulator = new EventSimulator();
+		}
+		return eventSimulator;
+	}
+
+	async function loadLocatorModules() {
+		await loadEventSimulator();
+		if (!selectorGenerator) {
+			const { SelectorGenerator } = await import(chrome.runtime.getURL('modules/selectorGenerator.js'));
+			selectorGenerator = new SelectorGenerator();
+		}
+	}
+
+	async function loadFormFiller(dictionary) {
+		if (!formFiller) {
+			const { FormFiller } = await import(chrome.runtime.getURL('modules/formFiller.js'));
+			formFiller = new FormFiller(await loadEventSimulator());
+		}
+		formFiller.dictionary = dictionary || {};
+		return formFiller;
+	}
+
+	// Replay a recorded action through the shared EventSimulator module
+	async function performAction(action) {
+		const element = await resolveActionTarget(action);
+		if (!element) {
+			return { ok: false, error: `Element not found: ${action.selector}` };
+		}
+
+		// The page may have changed since the action was listed
+		const guard = await loadActionGuard(action.guard);
+		const blocked = guard && (action.eventType === 'submit' ? guard.checkForm(element) : guard.check(element));
+		if (blocked) {
+			return { ok: false, guard: blocked, error: `Guarded (${blocked.reason}): ${blocked.rule}` };
+		}
+
+		try {
+			await loadEventSimulator();
+
+			if (action.eventType === 'submit') {
+				const filler = await loadFormFiller(action.dictionary);
+				return await filler.fillAndSubmit(element, action.data || null);
+			}
+
+			// Field entry from a recorded login
+			if (action.eventType === 'input') {
+				const filler = await loadFormFiller(action.dictionary);
+				await filler.setFieldValue(element, action.value);
+				return { ok: true };
+			}
+
+			if (action.eventType === 'hover') {
+				await eventSimulator.simulateHover(element);
+			} else {
+				element.scrollIntoView({ block: 'center', inline: 'center' });
+				await eventSimulator.simulateClick(element);
+			}
+			return { ok: true };
+		} catch (error) {
+			return { ok: false, error: String(error) };
+		}
+	}
+
+	// Constraint tests (valid, boundary and invalid values) for each field of a form
+	async function getFieldTests(form) {
+		const element = await resolveActionTarget(form);
+		if (!element) return [];
+		try {
+			const filler = await loadFormFiller();
+			return filler.getFieldTests(element);
+		} catch (_) {
+			return [];
+		}
+	}
+
+	// Submit a form with one field set to a test value and report how the page reacted
+	async function probeFormField(probe) {
+		const element = await resolveActionTarget(probe);
+		if (!element) {
+			return { ok: false, error: `Element not found: ${probe.selector}` };
+		}
+		try {
+			const filler = await loadFormFiller(probe.dictionary);
+			return await filler.probeField(element, probe.field, probe.value, { bypassValidation: probe.bypassValidation });
+		} catch (error) {
+			return { ok: false, error: String(error) };
+		}
+	}
+
+	let asyncManager = null;
+
+	// Block until the page looks settled, using the shared AsyncManager module
+	async function waitForReady(options) {
+		try {
+			if (!asyncManager) {
+				const { AsyncManager } = await import(chrome.runtime.getURL('modules/asyncManager.js'));
+				asyncManager = new AsyncManager();
+				asyncManager.startResourceObserver();
+			}
+			return await asyncManager.waitForReadiness(options || {});
+		} catch (error) {
+			return { ready: false, error: String(error) };
+		}
+	}
+
+	let outOfScopeHandler = null;
+
+	// Anti-bot and rate-limit markers, using the shared OutOfScopeHandler module
+	async function detectThrottling() {
+		try {
+			if (!outOfScopeHandler) {
+				const { OutOfScopeHandler } = await import(chrome.runtime.getURL('modules/outOfScopeHandler.js'));
+				outOfScopeHandler = new OutOfScopeHandler();
+			}
+			return outOfScopeHandler.detectThrottling();
+		} catch (error) {
+			return { throttled: false, error: String(error) };
+		}
+	}
+
+	let loginRecorder = null;
+
+	// Record the user's login as replayable steps, sent to the background one at a time
+	// since a login usually navigates away before it could be collected
+	async function recordLogin(active) {
+		try {
+			if (!loginRecorder) {
+				await loadLocatorModules();
+				const { LoginRecorder } = await import(chrome.runtime.getURL('modules/loginRecorder.js'));
+				loginRecorder = new LoginRecorder({
+					locate: locateElement,
+					onStep: (step) => chrome.runtime.sendMessage({ type: 'loginStep', payload: step }).catch(() => {})
+				});
+			}
+			if (active) {
+				loginRecorder.start();
+			} else {
+				loginRecorder.stop();
+			}
+			return { ok: true, recording: loginRecorder.recording };
+		} catch (error) {
+			return { ok: false, error: String(error) };
+		}
+	}
+
+	// Whether the page shows a login prompt or the session has run out, and the roles and
+	// permissions it reveals, using the shared AuthManager module
+	async function detectAuthState() {
+		try {
+			let expired = false;
+			await loadAuthManager();
+			authManager.onSessionExpired = () => { expired = true; };
+			authManager.checkSessionExpiry();
+			return {
+				...authManager.detectLoginPage(),
+				authenticated: authManager.checkAuthenticationStatus(),
+				roles: authManager.detectRoles().map(String).slice(0, 20),
+				permissions: authManager.detectPermissions().map(String).slice(0, 50),
+				expired
+			};
+		} catch (error) {
+			return { isLoginPage: false, error: String(error) };
+		}
+	}
+
+	window.__UICRAWLER_ACTIONS__ = extractActions;
+	window.__UICRAWLER_FORMS__ = extractForms;
+	window.__UICRAWLER_FIELD_TESTS__ = getFieldTests;
+	window.__UICRAWLER_PROBE__ = probeFormField;
+	window.__UICRAWLER_PERFORM__ = performAction;
+	window.__UICRAWLER_WAIT_READY__ = waitForReady;
+	window.__UICRAWLER_THROTTLE__ = detectThrottling;
+	window.__UICRAWLER_RECORD_LOGIN__ = recordLogin;
+	window.__UICRAWLER_AUTH_STATE__ = detectAuthState;
+
+	// Message entry point used by worker tabs (ParallelizationManager.extractPageData).
+	// content.js may be injected again by executeScript, so register only once. It runs in
+	// every frame, but only the top document answers for the tab
+	if (!window.__UICRAWLER_LISTENING__) {
+		window.__UICRAWLER_LISTENING__ = true;
+		chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+			if (msg?.type === 'extractData' && window === window.top) {
+				Promise.resolve()
+					.then(() => window.__UICRAWLER_COLLECT_ENHANCED__())
+					.then(sendResponse)
+					.catch((error) => sendResponse({ error: String(error) }));
+				return true; // keep sendResponse async
+			}
+		});
+	}
 })();
 
 
@@ -0,0 +1,171 @@
+/**
+ * Access Matrix for comparing crawls of one site made under different roles
+ * Implements alignment of per-role graphs by canonical URL and a reachability matrix of states,
+ * elements and API calls, with role differences and privilege inversions flagged
+ */
+
+import { extractUrlStructure } from '../utils/hashing.js';
+import { canonicalizeUrl, DEFAULT_CANONICALIZATION } from '../utils/urlCanonicalizer.js';
+import { resolveElements } from './componentRegistry.js';
+
+// Element groups compared across roles; layout, media and accessibility-only matches are left out
+const COMPARED_CATEGORIES = ['navigation', 'forms', 'interactive'];
+
+export class AccessMatrix {
+    constructor(roles, options = {}) {
+        // Ordered from most to least privileged
+        this.roles = roles;
+        this.canonicalization = options.canonicalization || DEFAULT_CANONICALIZATION;
+    }
+
+    /**
+     * Build the matrix from one graph per role
+     */
+    build(graphs) {
+        const states = new Map();
+        const elements = new Map();
+        const apiCalls = new Map();
+
+        this.roles.forEach(role => {
+            (graphs[role]?.nodes || []).forEach(node => {
+                const key = this.stateKey(node);
+                if (!states.has(key)) {
+                    states.set(key, { key, url: node.url, title: node.title, nodes: {}, login_page: false, detected_roles: {} });
+                }
+                const state = states.get(key);
+                state.nodes[role] = [...(state.nodes[role] || []), node.id];
+                if (node.auth?.login_page) state.login_page = true;
+                if (node.auth?.roles?.length) state.detected_roles[role] = node.auth.roles;
+
+                resolveElements(graphs[role], node).forEach(element => {
+                    if (!COMPARED_CATEGORIES.includes(element.category)) return;
+                    const text = (element.text || '').trim().slice(0, 50);
+                    const frame = (element.framePath || []).join(' > ');
+                    const elementKey = `${key}|${frame}|${this.elementIdentity(element)}`;
+                    if (!elements.has(elementKey)) {
+                        elements.set(elementKey, {
+                            state: key,
+                            ...(frame ? { frame_path: element.framePath } : {}),
+                            node_type: element.nodeType,
+                            selector: element.selector,
+                            text,
+                            roles: new Set()
+                        });
+                    }
+                    elements.get(elementKey).roles.add(role);
+                });
+
+                (node.api_calls || []).forEach(call => {
+                    const endpoint = this.endpointKey(call);
+                    if (!apiCalls.has(endpoint)) {
+                        apiCalls.set(endpoint, { method: call.method, endpoint: endpoint.slice(call.method.length + 1), statuses: {} });
+                    }
+                    const entry = apiCalls.get(endpoint);
+                    entry.statuses[role] = [...new Set([...(entry.statuses[role] || []), call.status])];
+                });
+            });
+        });
+
+        const stateRows = Array.from(states.values()).map(state => ({
+            ...state,
+            ...this.classify(role => !!state.nodes[role], state.login_page)
+        }));
+
+        // Elements are only compared on states more than one role reached; the rest
+        // already shows up as a state difference
+        const shared = new Set(stateRows.filter(s => this.roles.filter(r => s.reach[r]).length > 1).map(s => s.key));
+        const elementRows = Array.from(elements.values())
+            .filter(element => shared.has(element.state))
+            .map(({ roles, ...element }) => {
+                // Compared only between the roles that reached the element's state
+                const state = states.get(element.state);
+                const compared = this.roles.filter(role => state.nodes[role]);
+                return { ...element, ...this.classify(role => roles.has(role), state.login_page, compared) };
+            });
+
+        const apiRows = Array.from(apiCalls.values()).map(call => ({
+            ...call,
+            // A call counts as reachable when the role got a non-error answer
+            ...this.classify(role => (call.statuses[role] || []).some(status => status < 400), false)
+        }));
+
+        const byDifference = (a, b) => (b.privilege_leak - a.privilege_leak) || (b.differs - a.differs);
+        stateRows.sort(byDifference);
+        elementRows.sort(byDifference);
+        apiRows.sort(byDifference);
+
+        return {
+            roles: this.roles,
+            generated_at: Date.now(),
+            summary: {
+                states: this.summarize(stateRows),
+                elements: this.summarize(elementRows),
+                api_calls: this.summarize(apiRows)
+            },
+            states: stateRows,
+            elements: elementRows,
+            api_calls: apiRows
+        };
+    }
+
+    /**
+     * Role-independent identity of an element: its tag, text and identifying attributes.
+     * Positional selectors are left out, since an element only one role sees shifts the
+     * `:nth-of-type` of its siblings and would make them all look role-specific
+     */
+    elementIdentity(element) {
+        const attributes = element.attributes || {};
+        const text = (element.text || '').trim().slice(0, 50);
+        return [element.nodeType, text, ...['id', 'name', 'type', 'aria-label', 'href', 'action'].map(name => attributes[name] || '')].join('|');
+    }
+
+    /**
+     * Reachability of an item per role, whether roles differ, and whether a less privileged
+     * role reaches something a more privileged one does not. Privileged roles normally see a
+     * superset, so such an inversion points at a missing or inconsistent access check.
+     * Roles outside `compared` get null
+     */
+    classify(reaches, isLoginPage, compared = this.roles) {
+        const reach = Object.fromEntries(this.roles.map(role => [role, compared.includes(role) ? reaches(role) : null]));
+        const reached = compared.filter(role => reach[role]);
+        const differs = reached.length > 0 && reached.length < compared.length;
+        const inverted = compared.some((role, i) => reach[role] && compared.slice(0, i).some(higher => !reach[higher]));
+
+        return {
+            reach,
+            differs,
+            // Login prompts are only ever reached by roles that are logged out
+            privilege_leak: inverted && !isLoginPage
+        };
+    }
+
+    /**
+     * Count rows, differences and suspected leaks
+     */
+    summarize(rows) {
+        return {
+            total: rows.length,
+            differing: rows.filter(row => row.differs).length,
+            privilege_leaks: rows.filter(row => row.privilege_leak).length
+        };
+    }
+
+    /**
+     * Key aligning a state across roles: its canonical URL
+     */
+    stateKey(node) {
+        return node.canonical_url || canonicalizeUrl(node.url, null, this.canonicalization) || node.url;
+    }
+
+    /**
+     * Key aligning an API call across roles: method plus templated endpoint
+     */
+    endpointKey(call) {
+        try {
+            const structure = extractUrlStructure(call.url);
+            return `${call.method} ${new URL(call.url).origin}/${structure.path}`;
+        } catch (_) {
+            return `${call.method} ${call.url}`;
+        }
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * Action Guard for keeping an interactive crawl away from destructive controls
+ * Implements a deny-list of text, selector and URL patterns, logout detection through
+ * AuthManager and heuristics for destructive verbs and confirmation prompts
+ */
+
+import { ScopeManager } from './scopeManager.js';
+
+// Verbs whose controls usually lose data or end something the crawl relies on
+const DESTRUCTIVE_TEXT = /\b(delete|remove|destroy|erase|purge|wipe|deactivate|terminate|revoke|unsubscribe|uninstall|discard)\b|\b(cancel|close|disable)\s+(my\s+|your\s+|the\s+)?(account|order|subscription|plan|membership|project|workspace)\b/i;
+const LOGOUT_TEXT = /\b(log|sign)\s?(out|off)\b/i;
+const DESTRUCTIVE_URL = /\/(delete|destroy|remove|purge|deactivate|unsubscribe)(\/|$|\?|\.)/i;
+
+// Markers pages put on dangerous controls: danger styling, Rails/Laravel style method
+// overrides and attributes that make a confirm() prompt appear
+const DANGER_SELECTOR = '.btn-danger, .button-danger, .danger, [data-danger], [data-destructive], [data-method="delete" i], [data-confirm], [data-turbo-confirm], [onclick*="confirm("]';
+
+export class ActionGuard {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.logout = options.logout !== false;
+        this.heuristics = options.heuristics !== false;
+        this.authManager = options.authManager || null;
+
+        const { text, selector, url } = this.parsePatterns(options.patterns);
+        this.textPatterns = text;
+        this.selectorPatterns = selector;
+        this.urlScope = new ScopeManager({ exclude: url });
+        this.logoutElements = null;
+    }
+
+    /**
+     * Split the deny-list into text, selector and URL patterns. Each line is prefixed
+     * with "text:", "selector:" or "url:"; unprefixed lines are text. Text patterns are
+     * case-insensitive substrings or "/regex/flags"; URL patterns use the scope syntax
+     */
+    parsePatterns(source) {
+        const lines = Array.isArray(source) ? source : String(source || '').split('\n');
+        const patterns = { text: [], selector: [], url: [] };
+
+        lines.map(line => line.trim()).filter(Boolean).forEach(line => {
+            const prefixed = line.match(/^(text|selector|url):\s*(.+)$/i);
+            const kind = prefixed ? prefixed[1].toLowerCase() : 'text';
+            const value = prefixed ? prefixed[2].trim() : line;
+
+            if (kind === 'text') {
+                const regexMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+                try {
+                    patterns.text.push({
+                        source: line,
+                        regex: regexMatch
+                            ? new RegExp(regexMatch[1], regexMatch[2].replace('g', ''))
+                            : new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+                    });
+                } catch (error) {
+                    console.warn(`[guard] invalid pattern ${line}:`, error);
+                }
+            } else if (kind === 'selector') {
+                patterns.selector.push(value);
+            } else {
+                patterns.url.push(value);
+            }
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Check a URL against the URL deny-list and destructive endpoint names.
+     * Returns { reason, rule } when the URL is guarded, otherwise null
+     */
+    checkUrl(url) {
+        if (!this.enabled || !url) return null;
+
+        const denied = this.urlScope.matchPattern(url, this.urlScope.exclude);
+        if (denied) {
+            return { reason: 'deny-list', rule: denied.source };
+        }
+        if (this.logout && /logout|signout|sign-out|log-out/i.test(this.pathOf(url))) {
+            return { reason: 'logout', rule: 'logout URL' };
+        }
+        if (this.heuristics && DESTRUCTIVE_URL.test(this.pathOf(url))) {
+            return { reason: 'destructive', rule: 'destructive URL' };
+        }
+        return null;
+    }
+
+    /**
+     * Check an element the crawler is about to click, hover or submit.
+     * Returns { reason, rule } when the action is guarded, otherwise null
+     */
+    check(element) {
+        if (!this.enabled || !element) return null;
+
+        const text = this.describe(element);
+        const matchedText = this.textPatterns.find(p => p.regex.test(text));
+        if (matchedText) {
+            return { reason: 'deny-list', rule: matchedText.source };
+        }
+        const matchedSelector = this.selectorPatterns.find(selector => this.matches(element, selector));
+        if (matchedSelector) {
+            return { reason: 'deny-list', rule: `selector:${matchedSelector}` };
+        }
+
+        const byUrl = this.targetUrls(element).map(url => this.checkUrl(url)).find(Boolean);
+        if (byUrl) return byUrl;
+
+        if (this.logout) {
+            if (this.isLogoutControl(element)) {
+                return { reason: 'logout', rule: 'logout control' };
+            }
+            if (LOGOUT_TEXT.test(text)) {
+                return { reason: 'logout', rule: 'logout text' };
+            }
+        }
+
+        if (this.heuristics) {
+            const verb = text.match(DESTRUCTIVE_TEXT);
+            if (verb) {
+                return { reason: 'destructive', rule: `verb "${verb[0].toLowerCase()}"` };
+            }
+            if (this.matches(element, DANGER_SELECTOR)) {
+                return { reason: 'destructive', rule: 'danger marker' };
+            }
+            if (this.hasDeleteMethod(element)) {
+                return { reason: 'destructive', rule: 'DELETE method' };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check a form by its destination, method and submit buttons; its own text content
+     * is not a label and is left out
+     */
+    checkForm(form) {
+        if (!this.enabled || !form) return null;
+
+        const matchedSelector = this.selectorPatterns.find(selector => this.matches(form, selector));
+        if (matchedSelector) {
+            return { reason: 'deny-list', rule: `selector:${matchedSelector}` };
+        }
+        const byUrl = this.checkUrl(form.action);
+        if (byUrl) return byUrl;
+        if (this.heuristics && this.hasDeleteMethod(form)) {
+            return { reason: 'destructive', rule: 'DELETE method' };
+        }
+
+        const submitters = Array.from(form.querySelectorAll('button[type="submit"], input[type="submit"], button:not([type])'));
+        return submitters.map(button => this.check(button)).find(Boolean) || null;
+    }
+
+    /**
+     * Text a user would read on a control, including its accessible name and tooltip
+     */
+    describe(element) {
+        return [
+            element.innerText || element.textContent || '',
+            element.value && /^(button|submit|reset)$/i.test(element.type || '') ? element.value : '',
+            element.getAttribute('aria-label') || '',
+            element.getAttribute('title') || ''
+        ].join(' ').replace(/\s+/g, ' ').trim().slice(0, 300);
+    }
+
+    /**
+     * URLs an element leads to: its link, form action or button formaction
+     */
+    targetUrls(element) {
+        const urls = [];
+        const link = element.closest('a[href]');
+        if (link) urls.push(link.href);
+        if (element.tagName.toLowerCase() === 'form') {
+            urls.push(element.action);
+        } else if (element.form && /^(submit|image)$/i.test(element.type || '')) {
+            urls.push(element.formAction || element.form.action);
+        }
+        return urls.filter(url => url && !/^javascript:/i.test(url));
+    }
+
+    /**
+     * Whether the element is, or sits inside, a logout control found by AuthManager
+     */
+    isLogoutControl(element) {
+        if (!this.logoutElements) {
+            this.logoutElements = this.authManager
+                ? this.authManager.detectLogoutButtons().map(button => button.element)
+                : [];
+        }
+        return this.logoutElements.some(control => control === element || control.contains(element) || element.contains(control));
+    }
+
+    /**
+     * Forms and buttons that send a DELETE through a method override field
+     */
+    hasDeleteMethod(element) {
+        const form = element.tagName.toLowerCase() === 'form' ? element : element.form;
+        if (!form) return false;
+        const override = form.querySelector('input[name="_method"]');
+        return (override?.value || form.getAttribute('method') || '').toLowerCase() === 'delete';
+    }
+
+    /**
+     * Selector test on the element or an ancestor that tolerates invalid selectors
+     */
+    matches(element, selector) {
+        try {
+            return !!element.closest(selector);
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Path and query of a URL, or the raw string when it cannot be parsed
+     */
+    pathOf(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.pathname + parsed.search;
+        } catch (_) {
+            return url;
+        }
+    }
+}
@@ -12,12 +12,13 @@ export class AsyncManager {
         this.pendingRequests = new Set();
         this.isNetworkIdle = true;
         this.lastNetworkActivity = Date.now();
+        this.resourceObserver = null;
     }
 
     /**
      * Wait for network idle state
      */
-    async waitForNetworkIdle(timeout = this.networkIdleTimeout) {
+    async waitForNetworkIdle(timeout = this.networkIdleTimeout, maxWait = this.loadingTimeout) {
         return new Promise((resolve, reject) => {
             const startTime = Date.now();
             const checkInterval = 100;
@@ -32,7 +33,7 @@ export class AsyncManager {
                         duration: timeSinceLastActivity,
                         timestamp: now
                     });
-                } else if (now - startTime > this.loadingTimeout) {
+                } else if (now - startTime > maxWait) {
                     reject(new Error('Network idle timeout exceeded'));
                 } else {
                     setTimeout(checkNetworkIdle, checkInterval);
@@ -107,6 +108,25 @@ export class AsyncManager {
         };
     }
 
+    /**
+     * Track network activity from resource timing entries. Unlike patching fetch/XHR
+     * this also sees requests made by the page when running in an isolated world
+     */
+    startResourceObserver() {
+        if (this.resourceObserver || typeof PerformanceObserver === 'undefined') return;
+
+        this.resourceObserver = new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => {
+                const finishedAt = performance.timeOrigin + (entry.responseEnd || entry.startTime + entry.duration);
+                if (finishedAt > this.lastNetworkActivity) {
+                    this.lastNetworkActivity = finishedAt;
+                    this.isNetworkIdle = false;
+                }
+            });
+        });
+        this.resourceObserver.observe({ type: 'resource', buffered: true });
+    }
+
     /**
      * Stop network monitoring
      */
@@ -262,7 +282,7 @@ export class AsyncManager {
     /**
      * Wait for DOM updates
      */
-    async waitForDOMUpdates(timeout = 3000) {
+    async waitForDOMUpdates(timeout = 3000, quietPeriod = 500) {
         return new Promise((resolve, reject) => {
             const startTime = Date.now();
             let lastMutationTime = startTime;
@@ -272,7 +292,7 @@ export class AsyncManager {
                 lastMutationTime = Date.now();
             });
             
-            observer.observe(document.body, {
+            observer.observe(document.body || document.documentElement, {
                 childList: true,
                 subtree: true,
                 attributes: true,
@@ -283,7 +303,7 @@ export class AsyncManager {
                 const now = Date.now();
                 const timeSinceLastMutation = now - lastMutationTime;
                 
-                if (timeSinceLastMutation >= 500) { // 500ms of no mutations
+                if (timeSinceLastMutation >= quietPeriod) {
                     observer.disconnect();
                     resolve({
                         stable: true,
@@ -302,6 +322,78 @@ export class AsyncManager {
         });
     }
 
+    /**
+     * Wait for an element matching a selector to be present
+     */
+    async waitForSelector(selector, timeout = this.loadingTimeout) {
+        return new Promise((resolve, reject) => {
+            const startTime = Date.now();
+
+            const checkSelector = () => {
+                const now = Date.now();
+                let element = null;
+                try {
+                    element = document.querySelector(selector);
+                } catch (error) {
+                    reject(new Error(`Invalid selector: ${selector}`));
+                    return;
+                }
+
+                if (element) {
+                    resolve({
+                        found: true,
+                        duration: now - startTime,
+                        timestamp: now
+                    });
+                } else if (now - startTime > timeout) {
+                    reject(new Error(`Selector ${selector} not found`));
+                } else {
+                    setTimeout(checkSelector, 100);
+                }
+            };
+
+            checkSelector();
+        });
+    }
+
+    /**
+     * Wait until the page is ready to capture, running the enabled stages in order
+     * within one overall timeout. A stage that times out is reported, not thrown
+     */
+    async waitForReadiness(options = {}) {
+        const startTime = Date.now();
+        const deadline = startTime + (options.timeout || this.loadingTimeout);
+        const remaining = () => Math.max(0, deadline - Date.now());
+        const results = { ready: true };
+
+        const stages = [];
+        if (options.selector) {
+            stages.push(['selector', () => this.waitForSelector(options.selector, remaining())]);
+        }
+        if (options.networkIdle) {
+            stages.push(['networkIdle', () => this.waitForNetworkIdle(options.networkIdleMs ?? 500, remaining())]);
+        }
+        if (options.spinners) {
+            stages.push(['loading', () => this.waitForLoadingComplete(remaining())]);
+        }
+        if (options.domQuiet) {
+            stages.push(['domUpdates', () => this.waitForDOMUpdates(remaining(), options.domQuietMs ?? 300)]);
+        }
+
+        for (const [name, stage] of stages) {
+            try {
+                results[name] = await stage();
+            } catch (error) {
+                results[name] = { error: error.message };
+                results.ready = false;
+            }
+        }
+
+        results.totalDuration = Date.now() - startTime;
+        results.timestamp = Date.now();
+        return results;
+    }
+
     /**
      * Wait for all async operations to complete
      */
@@ -561,6 +653,10 @@ export class AsyncManager {
      */
     cleanup() {
         this.stopNetworkMonitoring();
+        if (this.resourceObserver) {
+            this.resourceObserver.disconnect();
+            this.resourceObserver = null;
+        }
         this.observers.forEach(observer => observer.disconnect());
         this.observers.clear();
         this.pendingRequests.clear();
@@ -4,7 +4,7 @@
  */
 
 export class AuthManager {
-    constructor() {
+    constructor(options = {}) {
         this.authState = {
             isAuthenticated: false,
             user: null,
@@ -19,6 +19,9 @@ export class AuthManager {
         this.sessionCheckInterval = null;
         this.originalFetch = null;
         this.originalXHR = null;
+        // Notified when the session ends or is about to, e.g. so a crawler can log in again
+        this.onSessionExpired = options.onSessionExpired || null;
+        this.onSessionExpiring = options.onSessionExpiring || null;
     }
 
     /**
@@ -58,7 +61,7 @@ export class AuthManager {
         this.authState.roles = this.detectRoles();
         this.authState.permissions = this.detectPermissions();
         this.authState.sessionExpiry = this.detectSessionExpiry();
-        this.authState.tokens = this.detectTokens();
+        this.authState.tokens = new Map(this.detectJWTTokens().map(token => [`${token.source}:${token.key}`, token]));
         
         return this.authState;
     }
@@ -467,6 +470,9 @@ export class AuthManager {
         this.authState.tokens.clear();
         
         console.log('Session expired - user logged out');
+        if (this.onSessionExpired) {
+            this.onSessionExpired({ reason: 'expired' });
+        }
     }
 
     /**
@@ -474,7 +480,43 @@ export class AuthManager {
      */
     handleSessionExpiring() {
         console.log('Session expiring soon - consider refreshing');
-        // Could trigger automatic refresh or user notification
+        if (this.onSessionExpiring) {
+            this.onSessionExpiring({ remaining: this.authState.sessionExpiry?.remaining ?? null });
+        }
+    }
+
+    /**
+     * Check whether the session has run out, handling the expiry if so
+     */
+    checkSessionExpiry() {
+        const expiry = this.detectSessionExpiry();
+        this.authState.sessionExpiry = expiry;
+        if (expiry.remaining !== null && expiry.remaining <= 0) {
+            this.handleSessionExpiry();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Detect whether the page asks the user to log in: a known login form or a
+     * visible password field outside a sign-up or password-change form
+     */
+    detectLoginPage() {
+        const loginForms = this.detectLoginForms().filter(form => form.element.offsetWidth > 0 || form.element.offsetHeight > 0);
+        const passwordFields = Array.from(document.querySelectorAll('input[type="password"]'))
+            .filter(input => input.offsetWidth > 0 || input.offsetHeight > 0)
+            .filter(input => {
+                // Sign-up and password-change forms have more than one password field
+                const scope = input.form || document;
+                return scope.querySelectorAll('input[type="password"]').length === 1;
+            });
+
+        return {
+            isLoginPage: loginForms.length > 0 || passwordFields.length > 0,
+            loginForms: loginForms.length,
+            passwordFields: passwordFields.length
+        };
     }
 
     /**
@@ -641,6 +683,9 @@ export class AuthManager {
         this.authState.user = null;
         this.authState.roles = [];
         this.authState.permissions = [];
+        if (this.onSessionExpired && response.status === 401) {
+            this.onSessionExpired({ reason: 'http', status: response.status });
+        }
     }
 
     /**
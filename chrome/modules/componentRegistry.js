@@ -0,0 +1,114 @@
+/**
+ * Component Registry for storing page regions repeated across states once
+ * Implements a crawl-wide list of header, footer, navigation and sidebar subtrees recognised
+ * by their structural fingerprint; nodes reference the shared components by id
+ */
+
+/**
+ * Elements of a node including those of the shared components it references, with
+ * the node's own text and state for component elements that differ on its page
+ */
+export function resolveElements(graph, node) {
+    const own = node.elements || [];
+    if (!node.components?.length) return own;
+
+    const byId = new Map((graph?.components || []).map(component => [component.id, component]));
+    return [
+        ...own,
+        ...node.components.flatMap(id => {
+            const elements = byId.get(id)?.elements || [];
+            const overrides = node.component_elements?.[id];
+            if (!overrides) return elements;
+            if (Array.isArray(overrides)) return overrides;
+            return elements.map((element, index) => overrides[index] || element);
+        })
+    ];
+}
+
+export class ComponentRegistry {
+    /**
+     * Move the elements of a newly recorded node's components to the graph's registry.
+     * The capture tags those elements with the `component` key of their region and lists
+     * the regions, with their fingerprint, in `node.components`; afterwards the node keeps
+     * only its own elements and the ids of the components it shows. The fingerprint leaves
+     * out text and state, so component elements whose text or state differ on this page
+     * (a user name, a cart count, `aria-current`) stay on the node in `component_elements`
+     */
+    register(graph, node) {
+        graph.components = graph.components || [];
+        // Nodes already registered hold ids
+        const candidates = (node.components || []).filter(candidate => candidate && typeof candidate === 'object');
+        if (!candidates.length) return [];
+
+        const added = [];
+        const ids = [];
+        const overrides = {};
+        candidates.forEach(candidate => {
+            const elements = (node.elements || [])
+                .filter(element => element.component === candidate.key)
+                .map(({ component, ...element }) => element);
+
+            let component = graph.components.find(c => c.id === candidate.id);
+            if (!component) {
+                component = {
+                    id: candidate.id,
+                    kind: candidate.kind,
+                    selector: candidate.selector,
+                    fingerprint: candidate.fingerprint,
+                    elements,
+                    first_node: node.id,
+                    node_count: 0
+                };
+                graph.components.push(component);
+                added.push(component.id);
+            } else {
+                const differences = this.differences(component.elements, elements);
+                if (differences) overrides[component.id] = differences;
+            }
+            component.node_count++;
+            if (!ids.includes(component.id)) ids.push(component.id);
+        });
+
+        node.elements = (node.elements || [])
+            .filter(element => element.component === undefined);
+        node.components = ids;
+        if (Object.keys(overrides).length) {
+            node.component_elements = overrides;
+        } else {
+            delete node.component_elements;
+        }
+        return added;
+    }
+
+    /**
+     * Elements of a page's copy of a component that differ from the registered ones:
+     * a map of element index to element, or the whole list when the counts differ.
+     * Null when the copy is identical
+     */
+    differences(registered, elements) {
+        if (registered.length !== elements.length) return elements;
+        const changed = {};
+        elements.forEach((element, index) => {
+            if (JSON.stringify(element) !== JSON.stringify(registered[index])) {
+                changed[index] = element;
+            }
+        });
+        return Object.keys(changed).length ? changed : null;
+    }
+
+    /**
+     * Fingerprint the regions reported by a capture. `hash` is the engine's SHA-1 helper
+     */
+    async fingerprint(regions, hash) {
+        return Promise.all((regions || []).map(async region => {
+            const fingerprint = await hash(`${region.kind}|${region.structure}`);
+            return {
+                key: region.key,
+                id: `cmp_${fingerprint.slice(0, 12)}`,
+                kind: region.kind,
+                selector: region.selector,
+                fingerprint
+            };
+        }));
+    }
+}
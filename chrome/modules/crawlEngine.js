@@ -0,0 +1,2188 @@
+/**
+ * Crawl Engine for running multi-page crawls inside the background service worker
+ * Owns the crawl loop so a crawl survives the popup closing, and exposes pause, resume and cancel
+ */
+
+import { createPageFingerprint, areStateVectorsEquivalent, calculateStateVectorSimilarity, haveSameUrlStructure } from '../utils/hashing.js';
+import { canonicalizeUrl, createCanonicalizationRules, DEFAULT_CANONICALIZATION } from '../utils/urlCanonicalizer.js';
+import { ScopeManager } from './scopeManager.js';
+import { CrawlStrategy } from './crawlStrategy.js';
+import { parseFieldDictionary } from '../utils/valueGenerators.js';
+import { ParallelizationManager } from './parallelizationManager.js';
+import { PolitenessScheduler } from './politenessScheduler.js';
+import { SessionManager, ANONYMOUS_PROFILE, DEFAULT_PROFILE, normalizeProfileName } from './sessionManager.js';
+import { NetworkMonitor } from './networkMonitor.js';
+import { AccessMatrix } from './accessMatrix.js';
+import { ActionGuard } from './actionGuard.js';
+import { ComponentRegistry, resolveElements } from './componentRegistry.js';
+import { createGraph, migrateGraph, normalizeStateVector, validateGraph } from '../utils/graphSchema.js';
+import { externalizeGraph, externalizeNode } from '../utils/blobStore.js';
+
+const CHECKPOINT_KEY = 'ui-crawler-checkpoint';
+const ROLE_GRAPHS_KEY = 'ui-crawler-role-graphs';
+const ACCESS_MATRIX_KEY = 'ui-crawler-access-matrix';
+const MAX_PARALLEL_TABS = 20;
+// captureVisibleTab is limited to two calls per second
+const CAPTURE_INTERVAL_MS = 550;
+// Time for a crawl window tab brought to the front to paint before it is captured
+const CAPTURE_ACTIVATE_DELAY_MS = 150;
+const MAX_FRAMES = 20;
+
+// Consecutive failed logins after which the crawl stops trying to restore the session
+const MAX_RELOGIN_FAILURES = 3;
+
+// exact: url + DOM hash; fingerprint: functional page fingerprint;
+// vector: state-vector similarity against states with the same URL structure
+const EQUIVALENCE_STRATEGIES = ['exact', 'fingerprint', 'vector'];
+
+// Stages run in the page before every capture; bounded by the `timeout` setting
+const DEFAULT_READINESS = {
+    networkIdle: true,
+    networkIdleMs: 500,
+    domQuiet: true,
+    domQuietMs: 300,
+    spinners: true,
+    selector: ''
+};
+
+export class CrawlEngine {
+    constructor() {
+        this.state = 'idle'; // idle | running | paused | completed | cancelled | error
+        this.config = null;
+        this.queue = [];
+        this.visited = new Set();
+        this.depths = new Map();
+        this.graph = null;
+        this.processed = 0;
+        this.currentUrl = null;
+        this.inFlight = new Map(); // worker tab id -> frontier item being processed
+        this.claimed = new Map(); // worker tab id -> frontier item taken but not yet admitted
+        this.workerTabs = [];
+        this.crawlWindowId = null; // unfocused window holding the worker tabs of a multi-tab crawl
+        this.captureQueue = Promise.resolve(); // screenshots are taken one tab at a time
+        this.lastCaptureAt = 0;
+        this.tabPool = new ParallelizationManager();
+        this.tabPool.initialize();
+        this.politeness = new PolitenessScheduler();
+        this.politeness.trackResponses();
+        this.session = new SessionManager();
+        this.loginReplay = null; // login replay in progress, shared by all worker tabs
+        this.relogins = 0;
+        this.reloginFailures = 0;
+        this.network = new NetworkMonitor();
+        // Multi-role crawls: the same seeds are crawled once per credential profile
+        this.role = null;
+        this.roleIndex = 0;
+        this.roleGraphs = {};
+        this.roleErrors = {};
+        this.accessMatrix = null;
+        this.scope = new ScopeManager();
+        this.guard = new ActionGuard({ enabled: false });
+        this.strategy = new CrawlStrategy();
+        this.components = new ComponentRegistry();
+        this.pendingSitemapSeed = false;
+        this.skipped = 0;
+        this.hasCheckpoint = false;
+        this.startedAt = null;
+        this.finishedAt = null;
+        this.error = null;
+        this.resumeWaiter = null;
+        this.settings = {
+            captureScreenshots: true,
+            detectStatsPages: true,
+            fullPageScreenshots: false,
+            shadowDomSupport: true,
+            crawlFrames: true,
+            timeout: 5000,
+            batchSize: 1
+        };
+    }
+
+    /**
+     * Load persisted state; called once when the service worker starts
+     */
+    async initialize() {
+        await this.session.initialize();
+        const checkpoint = await this.loadCheckpoint();
+        this.hasCheckpoint = !!checkpoint;
+        this.notify();
+    }
+
+    /**
+     * Start a new crawl from the given tab
+     */
+    async start(config) {
+        if (this.isActive()) {
+            throw new Error('A crawl is already in progress');
+        }
+
+        const tab = await chrome.tabs.get(config.tabId);
+        if (!tab?.url) {
+            throw new Error('Crawl tab has no URL');
+        }
+
+        const canonicalization = createCanonicalizationRules(config.canonicalization);
+        this.config = {
+            tabId: tab.id,
+            startUrl: canonicalizeUrl(config.startUrl || tab.url, null, canonicalization) || config.startUrl || tab.url,
+            canonicalization,
+            maxPages: Math.max(1, parseInt(config.maxPages || 10, 10)),
+            maxDepth: Math.max(1, parseInt(config.maxDepth || 3, 10)),
+            sameOriginOnly: config.sameOriginOnly !== false,
+            crawlMode: config.crawlMode === 'actions' ? 'actions' : 'links',
+            maxActionsPerState: Math.max(1, parseInt(config.maxActionsPerState || 10, 10)),
+            equivalence: {
+                strategy: EQUIVALENCE_STRATEGIES.includes(config.equivalence?.strategy) ? config.equivalence.strategy : 'exact',
+                threshold: Math.min(1, Math.max(0, Number(config.equivalence?.threshold ?? 0.9)))
+            },
+            forms: {
+                enabled: !!config.forms?.enabled,
+                dictionary: parseFieldDictionary(config.forms?.dictionary),
+                testInputs: !!config.forms?.testInputs,
+                maxInputTests: Math.max(1, parseInt(config.forms?.maxInputTests || 20, 10)),
+                bypassValidation: !!config.forms?.bypassValidation
+            },
+            readiness: this.createReadinessOptions(config.readiness),
+            auth: {
+                relogin: config.auth?.relogin !== false,
+                profile: normalizeProfileName(config.auth?.profile)
+            },
+            roles: this.parseRoles(config.roles),
+            guard: this.createGuardOptions(config.guard),
+            politeness: this.politeness.configure(config.politeness)
+        };
+        this.politeness.reset();
+        const missing = this.config.roles.filter(role => role !== ANONYMOUS_PROFILE && !this.session.hasLogin(role));
+        if (missing.length) {
+            throw new Error(`No login recorded for ${missing.map(role => `"${role}"`).join(', ')}`);
+        }
+        this.session.activeProfile = this.config.auth.profile;
+        this.guard = new ActionGuard(this.config.guard);
+        this.config.startOrigin = new URL(this.config.startUrl).origin;
+        this.scope = new ScopeManager(config.scope || {});
+        this.config.scope = this.scope.getOptions();
+        const strategy = new CrawlStrategy(config.strategy || {});
+        this.config.strategy = { name: strategy.name, seed: strategy.seed };
+        this.settings = { ...this.settings, ...(config.settings || {}) };
+
+        this.resetFrontier();
+        this.role = null;
+        this.roleIndex = 0;
+        this.roleGraphs = {};
+        this.roleErrors = {};
+        this.accessMatrix = null;
+        this.relogins = 0;
+        this.reloginFailures = 0;
+        this.currentUrl = null;
+        this.error = null;
+        this.startedAt = Date.now();
+        this.finishedAt = null;
+        // Role crawls build one fresh graph per role instead of adding to the stored graph
+        this.graph = this.config.roles.length ? createGraph() : await this.loadGraph();
+        this.state = 'running';
+        await this.saveCheckpoint();
+        this.notify();
+
+        // Run detached so the caller gets an immediate acknowledgement
+        this.run();
+        return this.getStatus();
+    }
+
+    /**
+     * Continue the last interrupted crawl from its checkpoint
+     */
+    async resumeFromCheckpoint(tabId) {
+        if (this.isActive()) {
+            throw new Error('A crawl is already in progress');
+        }
+
+        const checkpoint = await this.loadCheckpoint();
+        if (!checkpoint) {
+            throw new Error('No interrupted crawl to resume');
+        }
+
+        // The checkpointed tab usually does not survive a browser restart
+        let crawlTabId = tabId || checkpoint.config.tabId;
+        try {
+            await chrome.tabs.get(crawlTabId);
+        } catch (_) {
+            const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+            crawlTabId = tab.id;
+        }
+
+        this.config = { ...checkpoint.config, tabId: crawlTabId };
+        this.config.politeness = this.politeness.configure(this.config.politeness);
+        this.politeness.reset();
+        this.scope = new ScopeManager(this.config.scope || {});
+        this.config.guard = this.createGuardOptions(this.config.guard);
+        this.guard = new ActionGuard(this.config.guard);
+        this.pendingSitemapSeed = false;
+        this.settings = { ...this.settings, ...(checkpoint.settings || {}) };
+        this.queue = checkpoint.queue || [];
+        this.visited = new Set(checkpoint.visited || []);
+        this.depths = new Map(Object.entries(checkpoint.depths || {}));
+        this.processed = checkpoint.processed || 0;
+        this.skipped = checkpoint.skipped || 0;
+        this.relogins = checkpoint.relogins || 0;
+        this.reloginFailures = 0;
+        this.config.roles = this.config.roles || [];
+        this.roleIndex = checkpoint.roleIndex || 0;
+        this.roleErrors = checkpoint.roleErrors || {};
+        this.roleGraphs = this.config.roles.length ? await this.loadRoleGraphs() : {};
+        this.role = this.config.roles[this.roleIndex] || null;
+        this.session.activeProfile = this.role || this.config.auth?.profile || DEFAULT_PROFILE;
+        this.currentUrl = null;
+        this.error = null;
+        this.startedAt = checkpoint.startedAt || Date.now();
+        this.finishedAt = null;
+        this.graph = this.role ? (this.roleGraphs[this.role] || createGraph()) : await this.loadGraph();
+        this.strategy = new CrawlStrategy({ ...(this.config.strategy || {}), ...(checkpoint.strategy || {}) });
+        this.strategy.rebuild(this.graph.nodes.map(node => ({ ...node, elements: resolveElements(this.graph, node) })));
+        this.state = 'running';
+        await this.saveCheckpoint();
+        this.notify();
+
+        this.run();
+        return this.getStatus();
+    }
+
+    /**
+     * Pause the crawl after the page currently being processed
+     */
+    pause() {
+        if (this.state !== 'running') return this.getStatus();
+        this.state = 'paused';
+        this.saveCheckpoint().catch(error => console.warn('[crawl] checkpoint failed:', error));
+        this.notify();
+        return this.getStatus();
+    }
+
+    /**
+     * Resume a paused crawl
+     */
+    resume() {
+        if (this.state !== 'paused') return this.getStatus();
+        this.state = 'running';
+        this.releaseResumeWaiter();
+        this.notify();
+        return this.getStatus();
+    }
+
+    /**
+     * Cancel the crawl; pages captured so far are kept in the graph
+     */
+    cancel() {
+        if (!this.isActive()) return this.getStatus();
+        this.state = 'cancelled';
+        this.releaseResumeWaiter();
+        this.notify();
+        return this.getStatus();
+    }
+
+    /**
+     * Check whether a crawl is running or paused
+     */
+    isActive() {
+        return this.state === 'running' || this.state === 'paused';
+    }
+
+    /**
+     * Main crawl loop, run once or once per role
+     */
+    async run() {
+        try {
+            if (this.config.roles?.length) {
+                await this.runRoles();
+            } else {
+                await this.crawl();
+            }
+
+            if (this.state === 'running') {
+                this.state = 'completed';
+            }
+        } catch (error) {
+            console.error('[crawl] run error', error);
+            this.state = 'error';
+            this.error = String(error);
+        } finally {
+            this.requeueInFlight();
+            await this.closeWorkerTabs();
+            this.currentUrl = null;
+            this.finishedAt = Date.now();
+            await this.persistGraph(true);
+            // A crawl that failed part-way stays resumable; a finished or
+            // cancelled one has nothing left to pick up
+            if (this.state === 'error') {
+                await this.saveCheckpoint();
+            } else {
+                await this.clearCheckpoint();
+            }
+            this.notify();
+        }
+    }
+
+    /**
+     * Crawl the frontier: one worker per tab, all sharing the frontier, visited set and graph
+     */
+    async crawl() {
+        if (this.pendingSitemapSeed) {
+            this.pendingSitemapSeed = false;
+            await this.seedFromSitemap();
+        }
+
+        this.workerTabs = await this.openWorkerTabs();
+        this.network.trackPendingRequests(this.workerTabs);
+        // API calls are only compared between roles, so only role crawls record them
+        if (this.role) {
+            this.network.trackTabApiCalls(this.workerTabs);
+        }
+        try {
+            await Promise.all(this.workerTabs.map(tabId => this.runWorker(tabId)));
+        } finally {
+            this.network.stopTrackingPendingRequests();
+            this.network.stopTrackingTabApiCalls();
+            await this.closeWorkerTabs();
+        }
+    }
+
+    /**
+     * Crawl the same seeds once per role, most privileged first, logging in with each
+     * role's credential profile, then compare the per-role graphs in an access matrix
+     */
+    async runRoles() {
+        const { roles } = this.config;
+
+        while (this.roleIndex < roles.length) {
+            const role = roles[this.roleIndex];
+            this.role = role;
+            this.session.activeProfile = role;
+            this.graph = this.roleGraphs[role] || createGraph();
+            console.log(`[crawl] crawling as ${role} (${this.roleIndex + 1}/${roles.length})`);
+            this.notify();
+
+            if (await this.switchRole(role)) {
+                await this.crawl();
+            } else {
+                this.roleErrors[role] = 'login failed';
+                console.warn(`[crawl] could not log in as ${role}, skipping the role`);
+            }
+            if (this.state !== 'running') return;
+
+            this.roleGraphs[role] = this.graph;
+            this.roleIndex++;
+            if (this.roleIndex < roles.length) {
+                this.resetFrontier();
+            }
+            await this.persistGraph();
+        }
+
+        this.accessMatrix = new AccessMatrix(roles, { canonicalization: this.config.canonicalization }).build(this.roleGraphs);
+        this.accessMatrix.errors = this.roleErrors;
+        const { states, elements, api_calls: apiCalls } = this.accessMatrix.summary;
+        console.log(`[crawl] access matrix: ${states.differing} states, ${elements.differing} elements and ${apiCalls.differing} API calls differ by role; ${states.privilege_leaks + elements.privilege_leaks + apiCalls.privilege_leaks} possible privilege leaks`);
+    }
+
+    /**
+     * Start a role's crawl from a clean identity: drop the site's cookies and storage,
+     * then log in with the role's recorded login. The anonymous role stays logged out
+     */
+    async switchRole(role) {
+        try {
+            await chrome.browsingData.remove({ origins: [this.config.startOrigin] }, {
+                cookies: true,
+                localStorage: true,
+                indexedDB: true,
+                cacheStorage: true,
+                serviceWorkers: true
+            });
+        } catch (error) {
+            console.warn('[crawl] could not clear site data:', error);
+        }
+
+        if (role === ANONYMOUS_PROFILE) return true;
+        return this.replayLogin(this.config.tabId);
+    }
+
+    /**
+     * Reset the frontier to the start URL
+     */
+    resetFrontier() {
+        this.queue = [{ url: this.config.startUrl, depth: 0 }];
+        this.visited = new Set();
+        this.depths = new Map([[this.config.startUrl, 0]]);
+        this.processed = 0;
+        this.skipped = 0;
+        this.pendingSitemapSeed = this.scope.seedFromSitemap;
+        this.strategy = new CrawlStrategy(this.config.strategy);
+    }
+
+    /**
+     * Parse the roles to crawl as: credential profile names, most privileged first
+     */
+    parseRoles(roles) {
+        const list = Array.isArray(roles) ? roles : String(roles || '').split(/[\s,]+/);
+        return [...new Set(list.map(role => String(role || '').trim()).filter(Boolean).map(normalizeProfileName))];
+    }
+
+    /**
+     * Normalise the destructive-action guard settings; the guard is on unless turned off
+     */
+    createGuardOptions(options = {}) {
+        return {
+            enabled: options?.enabled !== false,
+            patterns: String(options?.patterns || ''),
+            logout: options?.logout !== false,
+            heuristics: options?.heuristics !== false
+        };
+    }
+
+    /**
+     * Open the worker tabs for a crawl, up to the `batchSize` setting. A single-tab
+     * crawl runs in the crawl's own tab; a multi-tab crawl runs in a separate unfocused
+     * window so screenshots never switch tabs in the user's window. Tabs are reused
+     * for every page they process
+     */
+    async openWorkerTabs() {
+        const count = Math.max(1, Math.min(MAX_PARALLEL_TABS, parseInt(this.settings.batchSize, 10) || 1));
+        if (count === 1) return [this.config.tabId];
+
+        const tab = await chrome.tabs.get(this.config.tabId);
+        const crawlWindow = await chrome.windows.create({ url: 'about:blank', focused: false, incognito: tab.incognito });
+        this.crawlWindowId = crawlWindow.id;
+        this.tabPool.config.maxConcurrentTabs = count - 1;
+        const extraTabs = await this.tabPool.openTabs(count - 1, crawlWindow.id);
+        console.log(`[crawl] crawling with ${extraTabs.length + 1} tabs`);
+        return [crawlWindow.tabs[0].id, ...extraTabs];
+    }
+
+    /**
+     * Close the pooled worker tabs and the crawl window, if one was opened
+     */
+    async closeWorkerTabs() {
+        await this.tabPool.closeAllTabs();
+        if (this.crawlWindowId !== null) {
+            // The user may already have closed it
+            await chrome.windows.remove(this.crawlWindowId).catch(() => {});
+            this.crawlWindowId = null;
+        }
+        this.workerTabs = [];
+    }
+
+    /**
+     * Process frontier items in one tab until the frontier is exhausted
+     */
+    async runWorker(tabId) {
+        const { maxPages } = this.config;
+
+        try {
+            // visited also holds canonical URLs, so only pages actually processed count against the budget
+            while (this.processed + this.claimed.size < maxPages) {
+                await this.waitWhilePaused();
+                if (this.state !== 'running') break;
+
+                if (!this.queue.length) {
+                    // Items being checked or processed in other tabs may add to the frontier
+                    if (!this.inFlight.size && !this.claimed.size) break;
+                    await new Promise(r => setTimeout(r, 100));
+                    continue;
+                }
+
+                const current = this.takeNext();
+                if (!current) break;
+                // Claimed before the first await so other tabs keep waiting and checkpoints keep it
+                this.claimed.set(tabId, current);
+                let admitted;
+                try {
+                    admitted = await this.admitItem(current);
+                } finally {
+                    this.claimed.delete(tabId);
+                }
+                if (!admitted) continue;
+
+                this.visited.add(this.frontierKey(current));
+                this.processed++;
+                this.currentUrl = current.url;
+                this.inFlight.set(tabId, current);
+                this.notify();
+
+                // Held until the page is fully processed, including action exploration
+                const release = await this.politeness.acquire(current.url);
+                try {
+                    await this.processItem(tabId, current);
+                } finally {
+                    release();
+                }
+            }
+        } catch (error) {
+            console.error(`[crawl] tab ${tabId} error`, error);
+            if (this.isActive()) {
+                this.state = 'error';
+                this.error = String(error);
+                this.releaseResumeWaiter();
+            }
+        }
+    }
+
+    /**
+     * Decide whether a frontier item taken by a worker should be visited
+     */
+    async admitItem(current) {
+        const key = this.frontierKey(current);
+        if (this.visited.has(key)) return false;
+        if (!this.isInScope(current.url)) return false;
+
+        // Enforced before any navigation so excluded pages are never loaded
+        const verdict = await this.scope.checkUrl(current.url);
+        if (!verdict.allowed) {
+            this.skipped++;
+            console.log('[crawl] skipping', current.url, verdict.reason);
+            return false;
+        }
+        // Sitemap seeds and queued URLs are loaded without a click, so the guard's URL rules apply here too
+        const guard = this.guard.checkUrl(current.url);
+        if (guard) {
+            this.skipped++;
+            this.addGuardedItem(current, guard);
+            return false;
+        }
+        if (this.scope.respectRobots) {
+            const robots = await this.scope.getRobots(current.url);
+            this.politeness.setCrawlDelay(current.url, robots?.crawlDelay);
+        }
+        // Another tab may have claimed it while robots.txt was fetched
+        return !this.visited.has(key);
+    }
+
+    /**
+     * Visit one frontier item in a tab: reach it, capture it and expand the frontier from it
+     */
+    async processItem(tabId, current) {
+        const { maxDepth } = this.config;
+
+        this.network.clearTabApiCalls(tabId);
+        const reached = await this.replayPath(tabId, this.pathOf(current));
+        const throttle = reached ? await this.checkThrottling(tabId) : null;
+        if (throttle) {
+            this.retryLater(tabId, current, throttle);
+            return;
+        }
+        if (reached) {
+            this.politeness.recordSuccess(current.url);
+        }
+
+        // Log in again and return to this item, so the crawl continues from where the session was lost
+        if (reached && await this.isSessionLost(tabId, current)) {
+            if (!(await this.restoreSession(tabId, current))) {
+                this.skipped++;
+                this.inFlight.delete(tabId);
+                return;
+            }
+        }
+
+        // A router redirect made while the page loads belongs to the edge that reached it
+        if (reached) await this.installRouteHook(tabId);
+        const node = reached ? await this.captureState(tabId) : null;
+        if (!node) {
+            this.inFlight.delete(tabId);
+            return;
+        }
+        const loadRoute = this.summarizeRoute(await this.takeRouteChanges(tabId));
+        const item = loadRoute && !current.route ? { ...current, route: loadRoute } : current;
+        const apiCalls = this.network.takeTabApiCalls(tabId);
+        if (apiCalls.length) {
+            node.api_calls = apiCalls;
+        }
+        if (this.role) {
+            const auth = await this.getAuthState(tabId);
+            node.auth = {
+                role: this.role,
+                login_page: !!auth?.isLoginPage,
+                roles: auth?.roles || [],
+                permissions: auth?.permissions || []
+            };
+        }
+
+        if (node.canonical_url && !current.stateId) {
+            this.visited.add(node.canonical_url);
+        }
+
+        // A new state's screenshots and DOM snapshot go to the blob store; the graph
+        // only keeps references
+        const known = this.graph.nodes.length;
+        let match = this.findEquivalentNode(node);
+        if (!match) {
+            await this.storeBlobs(node);
+            // Other tabs may have added the same state meanwhile; only their nodes are new
+            if (this.graph.nodes.length > known) {
+                match = this.findEquivalentNode(node, this.graph.nodes.slice(known));
+            }
+        }
+        const state = this.recordNode(node, item, match);
+
+        // An equivalent state was already explored when it was first captured
+        if (state !== node) {
+            this.inFlight.delete(tabId);
+            await this.persistGraph();
+            return;
+        }
+        this.strategy.observe(state);
+        // Shared header, footer and navigation elements move to the graph's registry
+        this.components.register(this.graph, state);
+
+        if (current.depth + 1 <= maxDepth) {
+            await this.enqueueLinks(tabId, current, state);
+            await this.followRouteChange(tabId, current, state);
+            const explores = this.config.crawlMode === 'actions' || this.config.forms?.enabled;
+            if (explores) {
+                await this.exploreActions(tabId, current, state);
+            }
+            if (this.config.forms?.testInputs) {
+                await this.testFormInputs(tabId, current, state, explores);
+            }
+        }
+
+        // Persist only once the page's links are queued, otherwise an
+        // interruption here would lose that part of the frontier
+        this.inFlight.delete(tabId);
+        await this.persistGraph();
+    }
+
+    /**
+     * Back off from a throttled origin and put the item back on the frontier,
+     * giving up once it has been throttled more than `maxRetries` times
+     */
+    retryLater(tabId, item, throttle) {
+        const delay = this.politeness.backoff(item.url, throttle.retryAfter);
+        this.inFlight.delete(tabId);
+        this.visited.delete(this.frontierKey(item));
+        this.processed--;
+
+        item.attempts = (item.attempts || 0) + 1;
+        if (item.attempts <= this.config.politeness.maxRetries) {
+            console.warn(`[crawl] ${throttle.reason} on ${item.url}, retrying in ${delay}ms`);
+            this.queue.unshift(item);
+        } else {
+            this.skipped++;
+            console.warn(`[crawl] giving up on ${item.url} after ${item.attempts} throttled attempts`);
+        }
+    }
+
+    /**
+     * Check whether the session was lost on the way to an item: the page answered 401,
+     * or the item was redirected to a login prompt (or shows one after the session expired).
+     * Only checked when a login is recorded, since nothing could restore the session otherwise
+     */
+    async isSessionLost(tabId, current) {
+        if (!this.config.auth?.relogin || !this.session.hasLogin()) return false;
+        if (this.reloginFailures >= MAX_RELOGIN_FAILURES) return false;
+
+        const response = this.politeness.getResponse(tabId);
+        if (response?.statusCode === 401) return true;
+
+        const auth = await this.getAuthState(tabId);
+        if (!auth?.isLoginPage) return false;
+        if (auth.expired) return true;
+
+        // A login form on the very page the item points at is part of the site, not a lost session
+        const url = await chrome.tabs.get(tabId).then(t => t.url).catch(() => null);
+        return !!url && this.normalizeUrl(url, url) !== this.normalizeUrl(current.url, current.url);
+    }
+
+    /**
+     * Replay the recorded login, then bring the tab back to the item. Worker tabs that
+     * lose the session together share one login
+     */
+    async restoreSession(tabId, current) {
+        if (!this.loginReplay) {
+            this.loginReplay = this.replayLogin(tabId)
+                .then(loggedIn => this.recordReloginResult(loggedIn))
+                .finally(() => { this.loginReplay = null; });
+        }
+        const loggedIn = await this.loginReplay;
+        if (!loggedIn) {
+            console.warn(`[crawl] could not restore the session, skipping ${current.url}`);
+            return false;
+        }
+        return this.replayPath(tabId, this.pathOf(current));
+    }
+
+    /**
+     * Replay the recorded login steps in a tab. Returns whether the login prompt is gone afterwards
+     */
+    async replayLogin(tabId) {
+        const login = await this.session.loadLogin();
+        if (!login?.steps?.length) return false;
+
+        console.log(`[crawl] replaying recorded ${this.session.activeProfile} login (${login.steps.length} steps)`);
+        await this.navigate(tabId, login.startUrl);
+        for (const step of login.steps) {
+            await this.waitForTabComplete(tabId);
+            await this.waitForReadiness(tabId);
+            const result = await this.performAction(tabId, step.type === 'submit' ? { ...step, data: {} } : step, false);
+            // Clicks and submissions often navigate before the page can report back
+            if (!result && step.type === 'input') break;
+        }
+        await this.waitForTabComplete(tabId);
+        await this.waitForReadiness(tabId);
+
+        const auth = await this.getAuthState(tabId);
+        return !!auth && !auth.isLoginPage && this.politeness.getResponse(tabId)?.statusCode !== 401;
+    }
+
+    /**
+     * Count a login replayed to restore a lost session
+     */
+    recordReloginResult(loggedIn) {
+        if (loggedIn) {
+            this.relogins++;
+            this.reloginFailures = 0;
+        } else {
+            this.reloginFailures++;
+            if (this.reloginFailures >= MAX_RELOGIN_FAILURES) {
+                console.warn(`[crawl] recorded login failed ${MAX_RELOGIN_FAILURES} times, no longer restoring the session`);
+            }
+        }
+        this.notify();
+        return loggedIn;
+    }
+
+    /**
+     * Put pages that were still being processed back on the frontier so a resume retries them
+     */
+    requeueInFlight() {
+        this.inFlight.forEach(item => {
+            this.visited.delete(this.frontierKey(item));
+            this.queue.unshift(item);
+            this.processed--;
+        });
+        this.inFlight.clear();
+    }
+
+    /**
+     * Block the loop while the crawl is paused
+     */
+    async waitWhilePaused() {
+        if (this.state !== 'paused') return;
+        // One shared waiter, since every worker tab blocks on the same pause
+        if (!this.resumeWaiter) {
+            let resolve;
+            const promise = new Promise(r => { resolve = r; });
+            this.resumeWaiter = { promise, resolve };
+        }
+        await this.resumeWaiter.promise;
+    }
+
+    /**
+     * Wake the workers if they are waiting on a pause
+     */
+    releaseResumeWaiter() {
+        if (this.resumeWaiter) {
+            const { resolve } = this.resumeWaiter;
+            this.resumeWaiter = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Check whether a URL may be crawled under the current config
+     */
+    isInScope(url) {
+        if (!this.config.sameOriginOnly) return true;
+        try {
+            return new URL(url).origin === this.config.startOrigin;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Remove and return the frontier item chosen by the crawl strategy
+     */
+    takeNext() {
+        const index = this.strategy.selectIndex(this.queue);
+        return this.queue.splice(index, 1)[0];
+    }
+
+    /**
+     * Maximum number of processed plus queued items. BFS only ever reaches the first
+     * maxPages items, so a larger frontier is only kept for strategies that reorder it
+     */
+    frontierLimit() {
+        const { maxPages } = this.config;
+        return this.strategy.name === 'bfs' ? maxPages : maxPages * 5;
+    }
+
+    /**
+     * Key identifying a frontier item: its URL, or the state id for states reached by actions
+     */
+    frontierKey(item) {
+        return item.stateId || item.url;
+    }
+
+    /**
+     * Steps that lead from a fresh page load to the item's state
+     */
+    pathOf(item) {
+        return item.path || [{ type: 'nav', url: item.url }];
+    }
+
+    /**
+     * Add a captured node to the graph and link it to its parent. `match` is the
+     * equivalent known state found by `findEquivalentNode`, or null for a new state.
+     * Returns the surviving node, which is an existing one when the capture is an equivalent state
+     */
+    recordNode(node, current, match) {
+        const graph = this.graph;
+        const prevNode = current.parentId
+            ? graph.nodes.find(n => n.id === current.parentId)
+            : graph.nodes.find(n => n.url === current.parentUrl);
+        const state = this.resolveState(node, match);
+
+        if (current.parent && prevNode) {
+            this.addEdge(prevNode.id, state.id, current.action || {
+                type: 'nav', selector: 'a[href]', node_type: 'a', text: current.anchorText || ''
+            }, current.parentUrl, node.url, current.route ? { route: current.route } : {});
+        }
+
+        return state;
+    }
+
+    /**
+     * Return the graph node a capture belongs to, adding it if there is no match
+     */
+    resolveState(node, match) {
+        if (!match) {
+            this.graph.nodes.push(node);
+            return node;
+        }
+
+        this.recordMergedVisit(match.node, node, match.similarity);
+        return match.node;
+    }
+
+    /**
+     * Find a known state equivalent to a capture under the configured strategy
+     */
+    findEquivalentNode(node, nodes = this.graph.nodes) {
+        const sameId = nodes.find(n => n.id === node.id);
+        if (sameId) return { node: sameId, similarity: 1 };
+
+        if (node.canonical_url) {
+            const sameCanonical = nodes.find(n => (n.canonical_url || n.url) === node.canonical_url);
+            if (sameCanonical) return { node: sameCanonical, similarity: 1 };
+        }
+
+        const { strategy, threshold } = this.config?.equivalence || { strategy: 'exact' };
+        if (strategy !== 'vector' || !node.state_vector?.elementCounts) return null;
+
+        let best = null;
+        for (const candidate of nodes) {
+            if (!candidate.state_vector?.elementCounts) continue;
+            if (!haveSameUrlStructure(candidate.url, node.url)) continue;
+            if (!areStateVectorsEquivalent(node.state_vector, candidate.state_vector, threshold)) continue;
+
+            const similarity = calculateStateVectorSimilarity(node.state_vector, candidate.state_vector);
+            if (!best || similarity > best.similarity) {
+                best = { node: candidate, similarity };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Note on the surviving node that another capture was merged into it
+     */
+    recordMergedVisit(survivor, node, similarity) {
+        survivor.visit_count = (survivor.visit_count || 1) + 1;
+        survivor.merged_visits = survivor.merged_visits || [];
+        survivor.merged_visits.push({
+            url: node.url,
+            title: node.title,
+            dom_hash: node.dom_hash,
+            timestamp: node.timestamp,
+            similarity,
+            strategy: this.config?.equivalence?.strategy || 'exact'
+        });
+    }
+
+    /**
+     * Append an edge unless the same transition is already recorded
+     */
+    addEdge(from, to, action, preUrl, postUrl, extra = {}) {
+        const exists = this.graph.edges.some(e =>
+            e.from === from && e.to === to &&
+            e.action?.type === action.type && e.action?.selector === action.selector
+        );
+        if (exists) return;
+
+        this.graph.edges.push({
+            from,
+            to,
+            action,
+            pre_url: preUrl,
+            post_url: postUrl,
+            ...extra,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Report an action the guard kept the crawl from performing as an unexplored edge
+     * with no target, so the state's blocked controls stay visible in the graph
+     */
+    addGuardedEdge(node, action, guard) {
+        this.addEdge(node.id, null, action, node.url, null, {
+            status: 'unexplored',
+            guarded: true,
+            guard: { reason: guard.reason, rule: guard.rule }
+        });
+        console.log(`[crawl] guarded ${action.type} "${action.text || action.selector}" on ${node.url}: ${guard.reason} (${guard.rule})`);
+    }
+
+    /**
+     * Report a frontier item the guard kept the crawl from loading: as a guarded edge from
+     * the state that queued it, or only in the log for seeds without one
+     */
+    addGuardedItem(item, guard) {
+        const parent = item.parentId && this.graph.nodes.find(node => node.id === item.parentId);
+        if (parent) {
+            this.addGuardedEdge(parent, item.action || { type: 'nav', url: item.url, selector: 'a[href]', node_type: 'a', text: '' }, guard);
+            return;
+        }
+        console.log(`[crawl] guarded ${item.url}: ${guard.reason} (${guard.rule})`);
+    }
+
+    /**
+     * Queue the links found on the current page for the next depth level
+     */
+    async enqueueLinks(tabId, current, node) {
+        const { links, guarded } = await this.getLinks(tabId);
+        for (const link of guarded) {
+            const url = this.normalizeUrl(current.url, link.href);
+            if (!url || !this.isInScope(url) || !this.scope.checkPatterns(url).allowed) continue;
+            this.addGuardedEdge(node, {
+                type: 'nav',
+                url,
+                selector: link.selector,
+                index: link.index,
+                locators: link.locators,
+                stability: link.stability,
+                node_type: 'a',
+                text: link.text
+            }, link.guard);
+        }
+
+        for (const href of links) {
+            const nextUrl = this.normalizeUrl(current.url, href);
+            if (!nextUrl) continue;
+            if (!this.isInScope(nextUrl)) continue;
+            if (!this.scope.checkPatterns(nextUrl).allowed) continue;
+            if (this.visited.has(nextUrl)) continue;
+            if (this.depths.has(nextUrl)) continue;
+
+            this.depths.set(nextUrl, current.depth + 1);
+            this.queue.push({
+                url: nextUrl,
+                depth: current.depth + 1,
+                parent: true,
+                parentUrl: current.url,
+                parentId: node.id
+            });
+
+            if (this.processed + this.queue.length >= this.frontierLimit()) break;
+        }
+    }
+
+    /**
+     * Queue the URLs listed in the site's sitemap behind the start page
+     */
+    async seedFromSitemap() {
+        const { startUrl, maxPages } = this.config;
+        const urls = await this.scope.discoverSitemapUrls(startUrl, maxPages * 2);
+        let seeded = 0;
+
+        for (const href of urls) {
+            if (this.queue.length >= maxPages) break;
+            const url = this.normalizeUrl(startUrl, href);
+            if (!url || this.depths.has(url)) continue;
+            if (!this.isInScope(url) || !this.scope.checkPatterns(url).allowed) continue;
+
+            this.depths.set(url, 1);
+            this.queue.push({ url, depth: 1, seeded: true });
+            seeded++;
+        }
+
+        console.log(`[crawl] seeded ${seeded} URLs from sitemap`);
+    }
+
+    /**
+     * Record a route change the page made on its own after it was captured (a timed redirect,
+     * a router settling) as an edge carrying the `route`, and queue the new route when it is a new state
+     */
+    async followRouteChange(tabId, current, node) {
+        const route = this.summarizeRoute(await this.takeRouteChanges(tabId));
+        if (!route) return;
+
+        const next = await this.captureState(tabId);
+        if (!next) return;
+        const match = this.findEquivalentNode(next);
+        if (next.id === node.id || match?.node.id === node.id) return;
+        if (!this.isInScope(next.url) || !this.scope.checkPatterns(next.url).allowed) return;
+
+        // Replayed and exported as a plain navigation; the edge's `route` tells it apart
+        const step = { type: 'nav', url: next.url, selector: '', node_type: '', text: '' };
+        const guard = this.guard.checkUrl(next.url);
+        if (guard) {
+            this.addGuardedEdge(node, step, guard);
+            return;
+        }
+        if (match) {
+            this.recordMergedVisit(match.node, next, match.similarity);
+            this.addEdge(node.id, match.node.id, step, node.url, next.url, { route });
+            return;
+        }
+        // Client-side routes are reloaded by URL, so the new state is reached by navigating to it
+        const url = this.normalizeUrl(node.url, next.url);
+        if (!url || this.visited.has(url) || this.depths.has(url)) return;
+
+        this.depths.set(url, current.depth + 1);
+        this.queue.push({
+            url,
+            depth: current.depth + 1,
+            action: step,
+            route,
+            parent: true,
+            parentUrl: node.url,
+            parentId: node.id
+        });
+    }
+
+    /**
+     * Drive the widgets and fill the forms on a state and queue every new state
+     * they produce. Each action starts from the state itself, so after an action
+     * changes the page the recorded path is replayed from the root first
+     */
+    async exploreActions(tabId, current, node) {
+        const found = [];
+        if (this.config.crawlMode === 'actions') {
+            found.push(await this.getActions(tabId));
+        }
+        if (this.config.forms?.enabled) {
+            found.push(await this.getForms(tabId));
+        }
+        const toStep = (action) => ({
+            type: action.eventType,
+            selector: action.selector,
+            index: action.index,
+            locators: action.locators,
+            stability: action.stability,
+            node_type: action.nodeType,
+            text: action.text
+        });
+        // Guarded widgets are reported, not performed, and do not count against the limit
+        const actions = [];
+        found.forEach(list => {
+            list.filter(action => action.guard).forEach(action => this.addGuardedEdge(node, toStep(action), action.guard));
+            actions.push(...list.filter(action => !action.guard).slice(0, this.config.maxActionsPerState));
+        });
+        const basePath = this.pathOf(current);
+        let needsRestore = false;
+
+        for (const action of actions) {
+            await this.waitWhilePaused();
+            if (this.state !== 'running') return;
+            if (this.processed + this.queue.length >= this.frontierLimit()) return;
+
+            if (needsRestore) {
+                const restored = await this.replayPath(tabId, basePath);
+                needsRestore = false;
+                if (!restored) return;
+            }
+
+            const step = toStep(action);
+            await this.installDialogGuard(tabId);
+            await this.installRouteHook(tabId);
+            const result = await this.performAction(tabId, step);
+            // A confirmation prompt marks the action as destructive; it was answered "cancel"
+            const dialogs = await this.takeDialogs(tabId);
+            if (dialogs.length) {
+                this.addGuardedEdge(node, step, { reason: 'confirm', rule: dialogs[0].message || dialogs[0].type });
+                needsRestore = true;
+                continue;
+            }
+            if (!result) continue;
+            // Forms are replayed with exactly the values first submitted
+            if (step.type === 'submit') {
+                step.data = result.data || {};
+            }
+
+            const next = await this.captureState(tabId);
+            if (!next) continue;
+            // Client-side routing changes the URL without a page load
+            const route = this.summarizeRoute(await this.takeRouteChanges(tabId));
+            const match = this.findEquivalentNode(next);
+            if (next.id === node.id || match?.node.id === node.id) continue;
+            needsRestore = true;
+            if (!this.isInScope(next.url) || !this.scope.checkPatterns(next.url).allowed) continue;
+            const guard = this.guard.checkUrl(next.url);
+            if (guard) {
+                this.addGuardedEdge(node, step, guard);
+                continue;
+            }
+
+            // Known state: only the transition is new
+            if (match) {
+                this.recordMergedVisit(match.node, next, match.similarity);
+                this.addEdge(node.id, match.node.id, step, node.url, next.url, route ? { route } : {});
+                continue;
+            }
+            if (this.depths.has(next.id)) continue;
+
+            this.depths.set(next.id, current.depth + 1);
+            this.queue.push({
+                url: next.url,
+                stateId: next.id,
+                depth: current.depth + 1,
+                path: [...basePath, step],
+                action: step,
+                route,
+                parent: true,
+                parentUrl: node.url,
+                parentId: node.id
+            });
+        }
+    }
+
+    /**
+     * Probe the form fields of a state with valid, boundary and invalid values. Each
+     * probe fills the form with valid values except the probed field, submits it and
+     * records whether the UI accepted the value, rejected it (browser validation, an
+     * error message, or no submission) or crashed (page error, console error or HTTP 5xx).
+     * Results are stored on the node as `input_tests`; probes never add states
+     */
+    async testFormInputs(tabId, current, node, needsRestore = false) {
+        const basePath = this.pathOf(current);
+        const limit = this.config.forms.maxInputTests;
+        const results = [];
+
+        if (needsRestore && !(await this.replayPath(tabId, basePath))) return;
+        const forms = (await this.getForms(tabId)).filter(form => !form.guard).slice(0, this.config.maxActionsPerState);
+
+        for (const form of forms) {
+            const fields = await this.getFieldTests(tabId, form);
+            needsRestore = false;
+
+            for (const { field, type, tests } of fields) {
+                for (const test of tests) {
+                    if (results.length >= limit) break;
+                    await this.waitWhilePaused();
+                    if (this.state !== 'running') return;
+
+                    if (needsRestore && !(await this.replayPath(tabId, basePath))) return;
+                    needsRestore = true;
+
+                    results.push({
+                        form: form.selector,
+                        form_index: form.index,
+                        field,
+                        field_type: type,
+                        test: test.type,
+                        kind: test.kind,
+                        value: test.value,
+                        expected: test.expected,
+                        ...(await this.probeField(tabId, form, field, test.value))
+                    });
+                }
+            }
+            if (results.length >= limit) break;
+
+            // The next form's field list must be read from an untouched state
+            if (needsRestore && forms.length > 1 && !(await this.replayPath(tabId, basePath))) break;
+        }
+
+        if (results.length) {
+            node.input_tests = results;
+            const unexpected = results.filter(r => r.outcome !== (r.expected === 'accept' ? 'accepted' : 'rejected')).length;
+            console.log(`[crawl] ${results.length} input probes on ${node.url}, ${unexpected} unexpected`);
+        }
+    }
+
+    /**
+     * Run one input probe and classify the outcome
+     */
+    async probeField(tabId, form, field, value) {
+        await this.installErrorHook(tabId);
+        this.politeness.clearResponse(tabId);
+
+        let result = null;
+        try {
+            const [{ result: probeResult }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (p) => (typeof window.__UICRAWLER_PROBE__ === 'function' ? window.__UICRAWLER_PROBE__(p) : null),
+                args: [{
+                    selector: form.selector,
+                    index: form.index,
+                    field,
+                    value,
+                    dictionary: this.config.forms.dictionary,
+                    bypassValidation: this.config.forms.bypassValidation
+                }]
+            });
+            result = probeResult;
+        } catch (_) {
+            // The submission navigated away before the probe could report back
+        }
+
+        await this.waitForTabComplete(tabId);
+        await this.waitForReadiness(tabId);
+        const pageErrors = await this.takePageErrors(tabId);
+        const response = this.politeness.getResponse(tabId);
+        const url = await chrome.tabs.get(tabId).then(t => t.url).catch(() => null);
+
+        let outcome = 'accepted';
+        if (pageErrors.length || (response && response.statusCode >= 500) || result?.ok === false) {
+            outcome = 'crashed';
+        } else if (result && (!result.submitted || !result.validity?.valid || result.messages?.length)) {
+            outcome = 'rejected';
+        }
+
+        return {
+            outcome,
+            submitted: result ? !!result.submitted : true,
+            validation_message: result?.validity?.message || null,
+            messages: result?.messages || [],
+            errors: [
+                ...pageErrors,
+                ...(response && response.statusCode >= 500 ? [{ type: 'http', message: `HTTP ${response.statusCode}` }] : []),
+                ...(result?.ok === false ? [{ type: 'probe', message: result.error }] : [])
+            ],
+            result_url: url
+        };
+    }
+
+    /**
+     * Get the constraint tests for each field of a form
+     */
+    async getFieldTests(tabId, form) {
+        try {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (f) => (typeof window.__UICRAWLER_FIELD_TESTS__ === 'function' ? window.__UICRAWLER_FIELD_TESTS__(f) : []),
+                args: [{ selector: form.selector, index: form.index }]
+            });
+            return Array.isArray(result) ? result : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Record uncaught errors, unhandled rejections and console.error calls in the page's
+     * own world, where the content script cannot see them
+     */
+    async installErrorHook(tabId) {
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                world: 'MAIN',
+                func: () => {
+                    if (!window.__UICRAWLER_PAGE_ERRORS__) {
+                        const errors = [];
+                        window.__UICRAWLER_PAGE_ERRORS__ = errors;
+                        const originalError = console.error;
+                        console.error = function (...args) {
+                            errors.push({ type: 'console', message: args.map(String).join(' ').slice(0, 300) });
+                            return originalError.apply(this, args);
+                        };
+                        window.addEventListener('error', (e) => errors.push({ type: 'exception', message: String(e.message).slice(0, 300) }));
+                        window.addEventListener('unhandledrejection', (e) => errors.push({ type: 'rejection', message: String(e.reason).slice(0, 300) }));
+                    }
+                    window.__UICRAWLER_PAGE_ERRORS__.length = 0;
+                }
+            });
+        } catch (error) {
+            console.warn('[crawl] error hook failed:', error);
+        }
+    }
+
+    /**
+     * Collect the page errors recorded since installErrorHook
+     */
+    async takePageErrors(tabId) {
+        try {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                world: 'MAIN',
+                func: () => (window.__UICRAWLER_PAGE_ERRORS__ || []).splice(0)
+            });
+            return Array.isArray(result) ? result : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Answer confirm() and prompt() with "cancel" in the page's own world while the guard
+     * is on, recording each prompt, so an action asking for confirmation does not go ahead
+     */
+    async installDialogGuard(tabId) {
+        if (!this.config?.guard?.enabled) return;
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                world: 'MAIN',
+                func: () => {
+                    if (!window.__UICRAWLER_DIALOGS__) {
+                        const dialogs = [];
+                        window.__UICRAWLER_DIALOGS__ = dialogs;
+                        window.confirm = (message) => {
+                            dialogs.push({ type: 'confirm', message: String(message ?? '').slice(0, 200) });
+                            return false;
+                        };
+                        window.prompt = (message) => {
+                            dialogs.push({ type: 'prompt', message: String(message ?? '').slice(0, 200) });
+                            return null;
+                        };
+                    }
+                    window.__UICRAWLER_DIALOGS__.length = 0;
+                }
+            });
+        } catch (error) {
+            console.warn('[crawl] dialog guard failed:', error);
+        }
+    }
+
+    /**
+     * Collect the prompts cancelled since installDialogGuard
+     */
+    async takeDialogs(tabId) {
+        if (!this.config?.guard?.enabled) return [];
+        try {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                world: 'MAIN',
+                func: () => (window.__UICRAWLER_DIALOGS__ || []).splice(0)
+            });
+            return Array.isArray(result) ? result : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Record client-side route changes (History API calls, back/forward and hash changes)
+     * in the page's own world, where single-page app routers make them without a page load
+     */
+    async installRouteHook(tabId) {
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId },
+                world: 'MAIN',
+                func: () => {
+                    if (!window.__UICRAWLER_ROUTES__) {
+                        const routes = { changes: [], href: location.href };
+                        window.__UICRAWLER_ROUTES__ = routes;
+                        const record = (type) => {
+                            if (location.href === routes.href) return;
+                            routes.changes.push({ type, from: routes.href, to: location.href, timestamp: Date.now() });
+                            routes.href = location.href;
+                        };
+                        ['pushState', 'replaceState'].forEach(method => {
+                            const original = history[method];
+                            history[method] = function (...args) {
+                                const result = original.apply(this, args);
+                                record(method);
+                                return result;
+                            };
+                        });
+                        window.addEventListener('popstate', () => record('popstate'));
+                        window.addEventListener('hashchange', () => record('hashchange'));
+                    }
+                    window.__UICRAWLER_ROUTES__.changes.length = 0;
+                    window.__UICRAWLER_ROUTES__.href = location.href;
+                }
+            });
+        } catch (error) {
+            console.warn('[crawl] route hook failed:', error);
+        }
+    }
+
+    /**
+     * Collect the route changes recorded since installRouteHook
+     */
+    async takeRouteChanges(tabId) {
+        try {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                world: 'MAIN',
+                func: () => (window.__UICRAWLER_ROUTES__?.changes || []).splice(0)
+            });
+            return Array.isArray(result) ? result : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Reduce the route changes made by one action to its old and new route (path, query
+     * and fragment) and the History API call or event that made the last change.
+     * Returns null when the route did not change
+     */
+    summarizeRoute(changes) {
+        if (!changes.length) return null;
+        const routeOf = (href) => {
+            try {
+                const url = new URL(href);
+                return url.pathname + url.search + url.hash;
+            } catch (_) {
+                return href;
+            }
+        };
+        const from = routeOf(changes[0].from);
+        const to = routeOf(changes[changes.length - 1].to);
+        if (from === to) return null;
+        return { from, to, trigger: changes[changes.length - 1].type, changes: changes.length };
+    }
+
+    /**
+     * Bring the tab into a state by loading its root URL and replaying recorded actions
+     */
+    async replayPath(tabId, path) {
+        for (const step of path) {
+            if (step.type === 'nav') {
+                await this.navigate(tabId, step.url);
+            } else {
+                if (!(await this.performAction(tabId, step))) return false;
+                await this.waitForReadiness(tabId);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Perform a single recorded action in the page; the page refuses it when the guard
+     * blocks its element, unless `guarded` is false (recorded logins).
+     * Returns the page's result, or null when the action failed
+     */
+    async performAction(tabId, action, guarded = true) {
+        const run = async () => {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (a) => (typeof window.__UICRAWLER_PERFORM__ === 'function' ? window.__UICRAWLER_PERFORM__(a) : null),
+                args: [{
+                    selector: action.selector,
+                    index: action.index,
+                    locators: action.locators,
+                    nodeType: action.node_type,
+                    eventType: action.type,
+                    data: action.data,
+                    value: action.value,
+                    dictionary: this.config?.forms?.dictionary,
+                    guard: guarded ? this.config?.guard : null
+                }]
+            });
+            return result;
+        };
+
+        try {
+            let result = await run();
+            if (!result) {
+                await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+                result = await run();
+            }
+            if (!result?.ok) {
+                console.warn(result?.guard ? '[crawl] action refused:' : '[crawl] action failed:', result?.error || action.selector);
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.warn('[crawl] action failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the actionable widgets on the page
+     */
+    async getActions(tabId) {
+        try {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (g, deep) => (typeof window.__UICRAWLER_ACTIONS__ === 'function' ? window.__UICRAWLER_ACTIONS__(g, deep) : []),
+                args: [this.config?.guard || null, this.settings.shadowDomSupport !== false]
+            });
+            return Array.isArray(result) ? result : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Get the fillable forms on the page
+     */
+    async getForms(tabId) {
+        try {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (g, deep) => (typeof window.__UICRAWLER_FORMS__ === 'function' ? window.__UICRAWLER_FORMS__(g, deep) : []),
+                args: [this.config?.guard || null, this.settings.shadowDomSupport !== false]
+            });
+            return Array.isArray(result) ? result : [];
+        } catch (_) {
+            return [];
+        }
+    }
+
+    /**
+     * Navigate the tab and wait for the new document to finish loading
+     */
+    async navigate(tabId, url) {
+        await this.politeness.waitForTurn(url);
+        this.politeness.clearResponse(tabId);
+
+        const timeout = this.getTimeout();
+        await new Promise((resolve) => {
+            let timer = null;
+            const listener = (updatedId, changeInfo) => {
+                if (updatedId === tabId && changeInfo.status === 'complete') done();
+            };
+            const done = () => {
+                clearTimeout(timer);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve();
+            };
+            // Listen before updating so a fast load is not missed, and never trust the
+            // status of the tab before the update: it still describes the previous page
+            chrome.tabs.onUpdated.addListener(listener);
+            timer = setTimeout(done, timeout);
+            chrome.tabs.update(tabId, { url }).catch(done);
+        });
+    }
+
+    /**
+     * Normalise per-crawl readiness options
+     */
+    createReadinessOptions(options = {}) {
+        const readiness = { ...DEFAULT_READINESS, ...(options || {}) };
+        readiness.networkIdle = !!readiness.networkIdle;
+        readiness.domQuiet = !!readiness.domQuiet;
+        readiness.spinners = !!readiness.spinners;
+        const networkIdleMs = parseInt(readiness.networkIdleMs, 10);
+        const domQuietMs = parseInt(readiness.domQuietMs, 10);
+        // 0 is a valid setting that turns the wait off
+        readiness.networkIdleMs = Number.isFinite(networkIdleMs) ? Math.max(0, networkIdleMs) : DEFAULT_READINESS.networkIdleMs;
+        readiness.domQuietMs = Number.isFinite(domQuietMs) ? Math.max(0, domQuietMs) : DEFAULT_READINESS.domQuietMs;
+        readiness.selector = String(readiness.selector || '').trim();
+        return readiness;
+    }
+
+    /**
+     * Readiness timeout in ms, from the `timeout` setting
+     */
+    getTimeout() {
+        return Math.max(500, parseInt(this.settings.timeout, 10) || 5000);
+    }
+
+    /**
+     * Run the readiness stage: network idle, loading indicators gone, DOM quiet and
+     * the configured selector present. In worker tabs network idle is judged from the
+     * requests still in flight; elsewhere the page falls back to resource timing.
+     * Never throws; a page that does not settle within the timeout is captured as it is
+     */
+    async waitForReadiness(tabId) {
+        const options = { ...(this.config?.readiness || DEFAULT_READINESS), timeout: this.getTimeout() };
+        let networkIdle = null;
+        if (options.networkIdle && this.network.isTrackingPendingRequests(tabId)) {
+            networkIdle = await this.network.waitForTabIdle(tabId, options.networkIdleMs, options.timeout);
+            options.networkIdle = false;
+            // A timeout of 0 would mean the default one in the page
+            options.timeout = Math.max(1, options.timeout - networkIdle.duration);
+        }
+        const run = async () => {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (o) => (typeof window.__UICRAWLER_WAIT_READY__ === 'function' ? window.__UICRAWLER_WAIT_READY__(o) : null),
+                args: [options]
+            });
+            return result;
+        };
+
+        try {
+            let result = await run();
+            if (!result) {
+                await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+                result = await run();
+            }
+            if (result && networkIdle) {
+                result.networkIdle = networkIdle;
+                result.ready = result.ready && networkIdle.idle;
+            }
+            if (result && !result.ready) {
+                console.warn('[crawl] page not ready before timeout:', result);
+            }
+            return result;
+        } catch (error) {
+            // The page may be navigating away; the tab status check covers that case
+            console.warn('[crawl] readiness check failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether the last navigation was throttled: a 429/503 response or
+     * anti-bot markers in the page. Returns { reason, retryAfter } or null
+     */
+    async checkThrottling(tabId) {
+        const response = this.politeness.checkResponse(tabId);
+        if (response) return response;
+
+        const run = async () => {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: () => (typeof window.__UICRAWLER_THROTTLE__ === 'function' ? window.__UICRAWLER_THROTTLE__() : null)
+            });
+            return result;
+        };
+
+        try {
+            let result = await run();
+            if (!result) {
+                await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+                result = await run();
+            }
+            if (result?.throttled) {
+                const markers = result.markers.map(m => m.selector || m.keyword).join(', ');
+                return { reason: `anti-bot markers (${markers})`, retryAfter: null };
+            }
+        } catch (_) {}
+        return null;
+    }
+
+    /**
+     * Get the page's login prompt and session expiry state
+     */
+    async getAuthState(tabId) {
+        const run = async () => {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: () => (typeof window.__UICRAWLER_AUTH_STATE__ === 'function' ? window.__UICRAWLER_AUTH_STATE__() : null)
+            });
+            return result;
+        };
+
+        try {
+            let result = await run();
+            if (!result) {
+                await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+                result = await run();
+            }
+            return result;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Wait until the tab reports its load as complete
+     */
+    async waitForTabComplete(tabId) {
+        await new Promise((resolve) => {
+            let attempts = 0;
+            const check = async () => {
+                try {
+                    const t = await chrome.tabs.get(tabId);
+                    if (t.status === 'complete') return resolve();
+                } catch (_) {}
+                if (attempts++ > 50) return resolve();
+                setTimeout(check, 100);
+            };
+            check();
+        });
+    }
+
+    /**
+     * Capture the current state of a tab as a graph node. `settings` override the crawl's
+     * capture settings for this capture only (single-page extraction from the popup)
+     */
+    async captureState(tabId, settings = this.settings) {
+        let tab;
+        try {
+            tab = await chrome.tabs.get(tabId);
+            if (!tab?.url || /^(chrome|edge|about|chrome-extension):/i.test(tab.url)) {
+                return null;
+            }
+        } catch (_) {
+            return null;
+        }
+
+        // Ensure the page is fully loaded and settled
+        await this.waitForTabComplete(tabId);
+        await this.waitForReadiness(tabId);
+        await this.waitForTabComplete(tabId); // an action may have started a navigation meanwhile
+
+        let result = await this.runCollector(tabId, 0, settings);
+
+        // If no collector is present, inject content.js then retry once
+        if (!result) {
+            try {
+                await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+                result = await this.runCollector(tabId, 0, settings);
+            } catch (_) {}
+        }
+
+        if (!result) return null;
+
+        // Changes inside frames change the state as well
+        const frames = settings.crawlFrames !== false ? await this.collectFrames(tabId, result, settings) : [];
+        const domHash = await this.hash((result.dom || '') + frames.map(frame => frame.dom_hash).join(''));
+        const elements = [
+            ...(Array.isArray(result.elements) ? result.elements : []),
+            ...frames.flatMap(frame => frame.elements)
+        ];
+        const node = {
+            id: null,
+            url: result.url,
+            title: result.title || '',
+            timestamp: result.timestamp || Date.now(),
+            dom_hash: domHash,
+            dom_snapshot: result.dom || '',
+            elements,
+            state_vector: normalizeStateVector(result.stateVector || {
+                visible_elements: elements.filter(e => e.visible).length,
+                inputs: elements.filter(e => e.nodeType === 'input').length,
+                links: elements.filter(e => e.nodeType === 'a').length,
+                buttons: elements.filter(e => e.nodeType === 'button').length
+            }),
+            metadata: result.metadata || {}
+        };
+        const components = await this.components.fingerprint(result.components, text => this.hash(text));
+        if (components.length) {
+            node.components = components;
+        }
+        if (frames.length) {
+            node.frames = frames.map(({ elements: frameElements, ...frame }) => ({ ...frame, element_count: frameElements.length }));
+        }
+
+        const rules = this.config?.canonicalization || DEFAULT_CANONICALIZATION;
+        if (rules.honourCanonical && result.metadata?.canonicalUrl) {
+            const canonical = canonicalizeUrl(result.metadata.canonicalUrl, result.url, rules);
+            if (canonical && (!this.config || this.isInScope(canonical))) {
+                node.canonical_url = canonical;
+            }
+        }
+
+        await this.identifyState(node, result);
+
+        if (settings.captureScreenshots) {
+            await this.captureScreenshots(tabId, node, result.url, settings);
+        }
+
+        return node;
+    }
+
+    /**
+     * Assign a node id according to the configured equivalence strategy
+     */
+    async identifyState(node, result) {
+        const strategy = this.config?.equivalence?.strategy || 'exact';
+
+        if (strategy !== 'exact' && result.stateVector?.elementCounts) {
+            const fingerprint = await createPageFingerprint(node.elements, node.url, node.title, result.stateVector);
+            node.fingerprint = {
+                vectorHash: fingerprint.vectorHash,
+                urlStructure: fingerprint.urlStructure,
+                titleKeywords: fingerprint.titleKeywords,
+                elementCount: fingerprint.elementCount
+            };
+
+            // Rotating content that leaves the functional features alone keeps the same id
+            if (strategy === 'fingerprint') {
+                const key = JSON.stringify([fingerprint.vectorHash, fingerprint.urlStructure, fingerprint.titleKeywords]);
+                node.id = (await this.hash(key)).slice(0, 12);
+                return;
+            }
+        }
+
+        node.id = (await this.hash(node.url + node.dom_hash)).slice(0, 12);
+    }
+
+    /**
+     * Collect the documents of the tab's child frames, same- and cross-origin, as sub-states.
+     * Each element found in a frame is tagged with its `framePath`: the selectors of the
+     * iframes leading to it from the top document
+     */
+    async collectFrames(tabId, top, settings = this.settings) {
+        let frames = [];
+        try {
+            frames = (await chrome.webNavigation.getAllFrames({ tabId })) || [];
+        } catch (_) {
+            return [];
+        }
+        const children = frames
+            .filter(frame => frame.frameId !== 0 && /^(https?:|file:|about:srcdoc)/i.test(frame.url))
+            .slice(0, MAX_FRAMES);
+        if (!children.length) return [];
+
+        const captures = [];
+        for (const frame of children) {
+            let result = null;
+            try {
+                result = await this.runCollector(tabId, frame.frameId, settings);
+                if (!result) {
+                    await chrome.scripting.executeScript({ target: { tabId, frameIds: [frame.frameId] }, files: ['content.js'] });
+                    result = await this.runCollector(tabId, frame.frameId, settings);
+                }
+            } catch (_) {
+                // The frame went away or cannot be scripted
+            }
+            if (result) captures.push({ frame, result });
+        }
+
+        // Collectors report which iframe element holds which child frame
+        const holders = new Map();
+        [top, ...captures.map(c => c.result)].forEach(result => {
+            (result.elements || []).forEach(element => {
+                if (element.frameId !== undefined) holders.set(element.frameId, element.selector);
+            });
+        });
+        const byId = new Map(frames.map(frame => [frame.frameId, frame]));
+        const framePath = (frameId) => {
+            const path = [];
+            for (let frame = byId.get(frameId); frame && frame.frameId !== 0; frame = byId.get(frame.parentFrameId)) {
+                path.unshift(holders.get(frame.frameId) || `iframe[src="${frame.url}"]`);
+            }
+            return path;
+        };
+
+        return Promise.all(captures.map(async ({ frame, result }) => {
+            const path = framePath(frame.frameId);
+            return {
+                frame_id: frame.frameId,
+                parent_frame_id: frame.parentFrameId,
+                frame_path: path,
+                url: result.url,
+                title: result.title || '',
+                dom_hash: await this.hash(result.dom || ''),
+                state_vector: result.stateVector || null,
+                // Only the top document's regions are registered as shared components
+                elements: (Array.isArray(result.elements) ? result.elements : []).map(({ component, ...element }) => ({ ...element, framePath: path }))
+            };
+        }));
+    }
+
+    /**
+     * Run the enhanced collector in a frame of the tab, falling back to the basic one
+     */
+    async runCollector(tabId, frameId = 0, settings = this.settings) {
+        const options = { shadowDomSupport: settings.shadowDomSupport !== false };
+        let exec = await chrome.scripting.executeScript({
+            target: { tabId, frameIds: [frameId] },
+            func: (o) => (typeof window.__UICRAWLER_COLLECT_ENHANCED__ === 'function' ? window.__UICRAWLER_COLLECT_ENHANCED__(o) : null),
+            args: [options]
+        });
+        let result = exec && exec[0] ? exec[0].result : null;
+
+        if (!result) {
+            exec = await chrome.scripting.executeScript({
+                target: { tabId, frameIds: [frameId] },
+                func: (o) => (typeof window.__UICRAWLER_COLLECT__ === 'function' ? window.__UICRAWLER_COLLECT__(o) : null),
+                args: [options]
+            });
+            result = exec && exec[0] ? exec[0].result : null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Capture the visible area of a tab. Captures are queued across worker tabs:
+     * captureVisibleTab only sees the active tab of a window, so a worker tab in the
+     * crawl window is brought to the front of that window for the capture. Tabs in the
+     * user's windows are never activated; a crawl tab the user switched away from is
+     * not captured
+     */
+    captureTab(tabId) {
+        const capture = this.captureQueue.then(async () => {
+            const wait = this.lastCaptureAt + CAPTURE_INTERVAL_MS - Date.now();
+            if (wait > 0) await new Promise(r => setTimeout(r, wait));
+
+            const tab = await chrome.tabs.get(tabId);
+            let previous = null;
+            if (!tab.active) {
+                if (tab.windowId !== this.crawlWindowId) {
+                    throw new Error('The crawl tab is not in front of its window');
+                }
+                [previous] = await chrome.tabs.query({ windowId: tab.windowId, active: true });
+                await chrome.tabs.update(tabId, { active: true });
+                await new Promise(r => setTimeout(r, CAPTURE_ACTIVATE_DELAY_MS));
+            }
+
+            try {
+                return await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png', quality: 90 });
+            } finally {
+                this.lastCaptureAt = Date.now();
+                if (previous) {
+                    await chrome.tabs.update(previous.id, { active: true }).catch(() => {});
+                }
+            }
+        });
+        // A failed capture must not block the ones queued after it
+        this.captureQueue = capture.catch(() => {});
+        return capture;
+    }
+
+    /**
+     * Attach screenshots to a node
+     */
+    async captureScreenshots(tabId, node, url, settings = this.settings) {
+        try {
+            const screenshot = await this.captureTab(tabId);
+
+            node.screenshots = {
+                regular: screenshot
+            };
+
+            if (settings.detectStatsPages) {
+                const statsDetection = await this.detectStatsPage(tabId);
+                if (statsDetection.isStatsPage) {
+                    node.screenshots.stats = {
+                        type: 'stats',
+                        screenshot: screenshot,
+                        timestamp: Date.now(),
+                        url: url,
+                        confidence: statsDetection.confidence
+                    };
+                }
+            }
+        } catch (error) {
+            console.warn('[crawl] screenshot capture failed:', error);
+            // Do not fail the whole node on capture failure
+        }
+    }
+
+    /**
+     * Detect whether the page in a tab is a stats/analytics page
+     */
+    async detectStatsPage(tabId) {
+        try {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: () => {
+                    const url = location.href.toLowerCase();
+                    const title = document.title.toLowerCase();
+                    const statsKeywords = ['stats', 'analytics', 'dashboard', 'metrics', 'reports', 'insights'];
+
+                    const urlMatch = statsKeywords.some(keyword => url.includes(keyword));
+                    const titleMatch = statsKeywords.some(keyword => title.includes(keyword));
+
+                    // Check for common stats page elements
+                    const hasCharts = document.querySelectorAll('canvas, svg, [data-chart], .chart, .graph').length > 0;
+                    const hasMetrics = document.querySelectorAll('[data-metric], .metric, .kpi, .stat').length > 0;
+
+                    return {
+                        isStatsPage: urlMatch || titleMatch || hasCharts || hasMetrics,
+                        confidence: (urlMatch ? 0.3 : 0) + (titleMatch ? 0.2 : 0) + (hasCharts ? 0.3 : 0) + (hasMetrics ? 0.2 : 0),
+                        indicators: { urlMatch, titleMatch, hasCharts, hasMetrics }
+                    };
+                }
+            });
+            return result;
+        } catch (_) {
+            return { isStatsPage: false, confidence: 0, indicators: {} };
+        }
+    }
+
+    /**
+     * Get raw hrefs from the page, with the links the guard blocks listed separately
+     */
+    async getLinks(tabId) {
+        const [{ result }] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: (g, deep) => (typeof window.__UICRAWLER_LINKS__ === 'function' ? window.__UICRAWLER_LINKS__(g, deep) : null),
+            args: [this.config?.guard || null, this.settings.shadowDomSupport !== false]
+        });
+        return {
+            links: Array.isArray(result?.links) ? result.links : [],
+            guarded: Array.isArray(result?.guarded) ? result.guarded : []
+        };
+    }
+
+    /**
+     * Resolve an href against its page URL and apply the crawl's canonicalization rules
+     */
+    normalizeUrl(base, href) {
+        return canonicalizeUrl(href, base, this.config?.canonicalization || DEFAULT_CANONICALIZATION);
+    }
+
+    /**
+     * SHA-1 hex digest of a string
+     */
+    async hash(text) {
+        const enc = new TextEncoder().encode(text);
+        const buf = await crypto.subtle.digest('SHA-1', enc);
+        const bytes = Array.from(new Uint8Array(buf));
+        return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Load the stored graph
+     */
+    async loadGraph() {
+        const { graph } = await chrome.storage.local.get(['graph']);
+        if (!graph || !Array.isArray(graph.nodes)) return createGraph();
+        // Graphs stored before the blob store existed still embed their screenshots
+        const migrated = migrateGraph(graph);
+        try {
+            await externalizeGraph(migrated);
+        } catch (error) {
+            console.warn('[crawl] blob store unavailable:', error);
+        }
+        return migrated;
+    }
+
+    /**
+     * Move a node's screenshots and DOM snapshot to the blob store. Without the store the
+     * snapshot is dropped rather than written into the graph
+     */
+    async storeBlobs(node) {
+        try {
+            await externalizeNode(node);
+        } catch (error) {
+            console.warn('[crawl] blob store unavailable:', error);
+            delete node.dom_snapshot;
+        }
+        return node;
+    }
+
+    /**
+     * Write the graph back to storage; the final write also updates the export copy.
+     * While a crawl is active the checkpoint is written in the same call so the
+     * stored graph and frontier never disagree after an interruption
+     */
+    async persistGraph(final = false) {
+        if (!this.graph) return;
+        const data = {};
+        if (this.role) {
+            // Role crawls keep their graphs apart from the stored graph
+            this.roleGraphs[this.role] = this.graph;
+            data[ROLE_GRAPHS_KEY] = this.roleGraphs;
+            if (final && this.accessMatrix) {
+                data[ACCESS_MATRIX_KEY] = this.accessMatrix;
+            }
+        } else {
+            data.graph = this.graph;
+            if (final) {
+                data['ui-crawler-graph'] = this.graph;
+            }
+        }
+        if (final) {
+            const { errors } = validateGraph(this.graph);
+            if (errors.length) {
+                console.warn(`[crawl] graph does not match schema v${this.graph.schemaVersion}:`, errors.slice(0, 10));
+            }
+        }
+        if (this.isActive()) {
+            data[CHECKPOINT_KEY] = this.createCheckpoint();
+            this.hasCheckpoint = true;
+        }
+        await chrome.storage.local.set(data);
+    }
+
+    /**
+     * Build a serialisable snapshot of the crawl frontier
+     */
+    createCheckpoint() {
+        // Pages still being processed count as unvisited so a resume retries them
+        const inFlight = Array.from(this.inFlight.values());
+        const inFlightKeys = new Set(inFlight.map(item => this.frontierKey(item)));
+        // Items a tab has taken but not yet admitted are neither visited nor queued
+        const claimed = Array.from(this.claimed.values());
+        return {
+            state: this.state,
+            config: this.config,
+            settings: this.settings,
+            queue: [...inFlight, ...claimed, ...this.queue],
+            visited: Array.from(this.visited).filter(key => !inFlightKeys.has(key)),
+            depths: Object.fromEntries(this.depths),
+            strategy: this.strategy.toJSON(),
+            processed: this.processed - inFlight.length,
+            skipped: this.skipped,
+            relogins: this.relogins,
+            roleIndex: this.roleIndex,
+            roleErrors: this.roleErrors,
+            startedAt: this.startedAt,
+            updatedAt: Date.now()
+        };
+    }
+
+    /**
+     * Load the graphs of the role crawl in progress
+     */
+    async loadRoleGraphs() {
+        const { [ROLE_GRAPHS_KEY]: graphs } = await chrome.storage.local.get([ROLE_GRAPHS_KEY]);
+        if (!graphs || typeof graphs !== 'object') return {};
+        return Object.fromEntries(Object.entries(graphs).map(([role, graph]) => [role, migrateGraph(graph)]));
+    }
+
+    /**
+     * Persist the crawl frontier
+     */
+    async saveCheckpoint() {
+        if (!this.config) return;
+        await chrome.storage.local.set({ [CHECKPOINT_KEY]: this.createCheckpoint() });
+        this.hasCheckpoint = true;
+    }
+
+    /**
+     * Load the last persisted crawl frontier
+     */
+    async loadCheckpoint() {
+        const { [CHECKPOINT_KEY]: checkpoint } = await chrome.storage.local.get([CHECKPOINT_KEY]);
+        return checkpoint && checkpoint.config ? checkpoint : null;
+    }
+
+    /**
+     * Drop the persisted crawl frontier
+     */
+    async clearCheckpoint() {
+        await chrome.storage.local.remove(CHECKPOINT_KEY);
+        this.hasCheckpoint = false;
+    }
+
+    /**
+     * Broadcast the current status to any open extension page
+     */
+    notify() {
+        chrome.runtime.sendMessage({ type: 'crawlProgress', payload: this.getStatus() }).catch(() => {
+            // No popup open, ignore
+        });
+    }
+
+    /**
+     * Get a serialisable snapshot of the crawl status
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            processed: this.processed,
+            maxPages: this.config?.maxPages || 0,
+            strategy: this.strategy.name,
+            queued: this.queue.length,
+            visited: this.visited.size,
+            skipped: this.skipped,
+            relogins: this.relogins,
+            role: this.role,
+            roles: this.config?.roles || [],
+            roleIndex: this.roleIndex,
+            nodes: this.graph ? this.graph.nodes.length : 0,
+            edges: this.graph ? this.graph.edges.length : 0,
+            guarded: this.graph ? this.graph.edges.filter(e => e.guarded).length : 0,
+            currentUrl: this.currentUrl,
+            tabs: this.workerTabs.length,
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            error: this.error,
+            hasCheckpoint: this.hasCheckpoint
+        };
+    }
+}
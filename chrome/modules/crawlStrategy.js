@@ -0,0 +1,179 @@
+/**
+ * Crawl Strategy for choosing the next frontier item
+ * Implements BFS, DFS, seeded random walk and coverage-greedy exploration orders
+ */
+
+import { extractUrlStructure } from '../utils/hashing.js';
+
+export const CRAWL_STRATEGIES = ['bfs', 'dfs', 'random', 'coverage'];
+
+export class CrawlStrategy {
+    constructor(options = {}) {
+        this.name = CRAWL_STRATEGIES.includes(options.name) ? options.name : 'bfs';
+        this.seed = Number.isFinite(Number(options.seed)) ? Number(options.seed) >>> 0 : 1;
+        this.rngState = Number.isFinite(options.rngState) ? options.rngState : this.seed;
+        this.lastStateId = options.lastStateId || null;
+
+        // Coverage model; rebuilt from the graph rather than checkpointed
+        this.seenElements = new Set();
+        this.seenFeatures = new Set();
+        this.seenStructures = new Set();
+        this.nodeGains = new Map();
+        this.maxGain = 1;
+        this.featureWeight = 5;
+    }
+
+    /**
+     * Pick the index of the next frontier item to process
+     */
+    selectIndex(queue) {
+        if (queue.length <= 1) return 0;
+
+        switch (this.name) {
+            case 'dfs':
+                return queue.length - 1;
+            case 'random':
+                return this.selectRandomWalk(queue);
+            case 'coverage':
+                return this.selectCoverageGreedy(queue);
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Random walk: step to a random neighbour of the last state, or jump to a
+     * random frontier item when the walk reaches a dead end
+     */
+    selectRandomWalk(queue) {
+        const neighbours = [];
+        queue.forEach((item, index) => {
+            if (item.parentId && item.parentId === this.lastStateId) neighbours.push(index);
+        });
+
+        if (neighbours.length) {
+            return neighbours[Math.floor(this.random() * neighbours.length)];
+        }
+        return Math.floor(this.random() * queue.length);
+    }
+
+    /**
+     * Coverage-greedy: take the item with the highest expected marginal gain
+     */
+    selectCoverageGreedy(queue) {
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+
+        queue.forEach((item, index) => {
+            const score = this.expectedGain(item);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        return bestIndex;
+    }
+
+    /**
+     * Estimate how much new coverage a frontier item will add. Children inherit the
+     * marginal gain their parent state produced, and URL templates never seen before
+     * get the largest gain observed so far
+     */
+    expectedGain(item) {
+        const parentGain = this.nodeGains.has(item.parentId) ? this.nodeGains.get(item.parentId) : this.maxGain;
+        const structureBonus = this.seenStructures.has(this.structureKey(item.url)) ? 0 : this.maxGain;
+        // Small depth penalty breaks ties in favour of shallower items
+        return parentGain + structureBonus - (item.depth || 0) * 0.01;
+    }
+
+    /**
+     * Update the strategy with a newly captured state and return its marginal gain
+     */
+    observe(node) {
+        this.lastStateId = node.id;
+
+        let newElements = 0;
+        (node.elements || []).forEach(element => {
+            const key = `${element.nodeType}|${element.selector}|${(element.text || '').slice(0, 50)}`;
+            if (!this.seenElements.has(key)) {
+                this.seenElements.add(key);
+                newElements++;
+            }
+        });
+
+        let newFeatures = 0;
+        this.extractFeatures(node).forEach(feature => {
+            if (!this.seenFeatures.has(feature)) {
+                this.seenFeatures.add(feature);
+                newFeatures++;
+            }
+        });
+
+        this.seenStructures.add(this.structureKey(node.url));
+
+        const gain = newElements + newFeatures * this.featureWeight;
+        this.nodeGains.set(node.id, gain);
+        this.maxGain = Math.max(this.maxGain, gain);
+        return { newElements, newFeatures, gain };
+    }
+
+    /**
+     * Rebuild the coverage model from already captured states (after a resume)
+     */
+    rebuild(nodes) {
+        const lastStateId = this.lastStateId;
+        (nodes || []).forEach(node => this.observe(node));
+        this.lastStateId = lastStateId;
+    }
+
+    /**
+     * Functional features of a state: element categories plus state vector flags
+     */
+    extractFeatures(node) {
+        const features = new Set();
+        (node.elements || []).forEach(element => {
+            if (element.category) features.add(`${element.category}.${element.subcategory}`);
+        });
+
+        const vector = node.state_vector || {};
+        ['functionalFeatures', 'contentFeatures', 'stateFeatures', 'accessibilityFeatures'].forEach(group => {
+            Object.entries(vector[group] || {}).forEach(([key, value]) => {
+                if (value) features.add(`${group}.${key}`);
+            });
+        });
+
+        return features;
+    }
+
+    /**
+     * Key for a URL's templated structure
+     */
+    structureKey(url) {
+        const structure = extractUrlStructure(url || '');
+        return `${structure.hostname}/${structure.path}`;
+    }
+
+    /**
+     * Seeded PRNG (mulberry32) so random walks are reproducible
+     */
+    random() {
+        this.rngState = (this.rngState + 0x6D2B79F5) >>> 0;
+        let t = this.rngState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Serialisable strategy state for checkpoints
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            seed: this.seed,
+            rngState: this.rngState,
+            lastStateId: this.lastStateId
+        };
+    }
+}
@@ -3,6 +3,8 @@
  * Implements 404/500 page detection, JS exception capture, invalid input testing, and empty state detection
  */
 
+import { describeField, generateTestValues } from '../utils/valueGenerators.js';
+
 export class ErrorHandler {
     constructor() {
         this.errors = [];
@@ -333,62 +335,27 @@ export class ErrorHandler {
     }
 
     /**
-     * Test form inputs with invalid data
+     * Test form inputs with invalid data: boundary and malformed values derived from
+     * each field's type and constraints (min, max, step, minlength, maxlength, required, pattern)
      */
     testInvalidInputs() {
         const invalidTests = [];
         
-        // Test email inputs
-        const emailInputs = document.querySelectorAll('input[type="email"]');
-        emailInputs.forEach(input => {
-            const invalidEmails = [
-                'invalid-email',
-                'test@',
-                '@test.com',
-                'test..test@test.com',
-                'test@test..com'
-            ];
-            
-            invalidEmails.forEach(email => {
-                invalidTests.push({
-                    element: input,
-                    type: 'invalid_email',
-                    value: email,
-                    selector: this.getElementSelector(input)
-                });
-            });
-        });
-        
-        // Test number inputs
-        const numberInputs = document.querySelectorAll('input[type="number"]');
-        numberInputs.forEach(input => {
-            const invalidNumbers = [
-                'abc',
-                '12.34.56',
-                '1e1000',
-                'infinity',
-                'nan'
-            ];
+        const fields = document.querySelectorAll('input, select, textarea');
+        fields.forEach(input => {
+            if (input.disabled || input.readOnly) return;
             
-            invalidNumbers.forEach(number => {
-                invalidTests.push({
-                    element: input,
-                    type: 'invalid_number',
-                    value: number,
-                    selector: this.getElementSelector(input)
+            generateTestValues(describeField(input))
+                .filter(test => test.expected === 'reject')
+                .forEach(test => {
+                    invalidTests.push({
+                        element: input,
+                        type: test.type,
+                        kind: test.kind,
+                        value: test.value,
+                        selector: this.getElementSelector(input)
+                    });
                 });
-            });
-        });
-        
-        // Test required fields
-        const requiredInputs = document.querySelectorAll('input[required], select[required], textarea[required]');
-        requiredInputs.forEach(input => {
-            invalidTests.push({
-                element: input,
-                type: 'empty_required_field',
-                value: '',
-                selector: this.getElementSelector(input)
-            });
         });
         
         return invalidTests;
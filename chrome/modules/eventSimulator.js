@@ -703,6 +703,30 @@ export class EventSimulator {
         return keyCodes[key] || key;
     }
 
+    /**
+     * Find the elements a selector matches, piercing open shadow roots: "host >>> inner"
+     * matches `inner` inside the shadow root of every `host`, and segments chain for nested roots
+     */
+    querySelectorAllDeep(selector, root = document) {
+        const segments = selector.split('>>>').map(segment => segment.trim());
+        let scopes = [root];
+        segments.slice(0, -1).forEach(segment => {
+            scopes = scopes
+                .flatMap(scope => Array.from(scope.querySelectorAll(segment)))
+                .map(host => host.shadowRoot)
+                .filter(Boolean);
+        });
+        return scopes.flatMap(scope => Array.from(scope.querySelectorAll(segments[segments.length - 1])));
+    }
+
+    /**
+     * Resolve a selector, piercing or plain, to the element at a position among its matches
+     */
+    resolveSelector(selector, index = 0) {
+        const matches = this.querySelectorAllDeep(selector);
+        return matches[index] || matches[0] || null;
+    }
+
     /**
      * Dispatch event on element
      */
@@ -0,0 +1,250 @@
+/**
+ * Form Filler for automatic form completion and submission
+ * Implements field discovery, typed value filling through EventSimulator, submit-button submission
+ * and single-field probing with boundary and invalid values
+ */
+
+import { describeField, generateTestValues, generateValue } from '../utils/valueGenerators.js';
+
+// Types typed character by character; everything else is set directly since
+// partial values (e.g. "2" for a date) are rejected by the browser
+const TYPED_INPUT_TYPES = ['text', 'email', 'tel', 'url', 'password', 'search', 'textarea'];
+
+const SKIPPED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'];
+
+const SUBMIT_SELECTOR = 'button[type="submit"], input[type="submit"], input[type="image"], button:not([type])';
+
+// Markup applications commonly use to show validation errors
+const ERROR_MESSAGE_SELECTOR = '[aria-invalid="true"], .error, .errors, .invalid-feedback, .field-error, .form-error, .error-message, .has-error, [role="alert"]';
+
+export class FormFiller {
+    constructor(eventSimulator, options = {}) {
+        this.eventSimulator = eventSimulator;
+        this.dictionary = options.dictionary || {};
+        this.submitTimeout = 300;
+    }
+
+    /**
+     * Get the fields of a form that can be filled
+     */
+    getFields(form) {
+        return Array.from(form.elements || []).filter(element => {
+            const tag = element.tagName.toLowerCase();
+            if (!['input', 'select', 'textarea'].includes(tag)) return false;
+            if (element.disabled || element.readOnly) return false;
+            return !SKIPPED_INPUT_TYPES.includes((element.type || '').toLowerCase());
+        });
+    }
+
+    /**
+     * Describe a field for the value generators
+     */
+    describeField(element) {
+        return describeField(element);
+    }
+
+    /**
+     * Key used for a field in submitted data
+     */
+    fieldKey(element, index) {
+        return element.name || element.id || `${element.tagName.toLowerCase()}[${index}]`;
+    }
+
+    /**
+     * Fill every field of a form. With `data` the recorded values are replayed,
+     * otherwise values are generated. Returns the values actually entered
+     */
+    async fillForm(form, data = null, overrides = {}) {
+        const entered = {};
+        const filledRadioGroups = new Set();
+
+        const fields = this.getFields(form);
+        for (let i = 0; i < fields.length; i++) {
+            const element = fields[i];
+            const key = this.fieldKey(element, i);
+            const type = (element.type || '').toLowerCase();
+
+            if (type === 'radio') {
+                if (filledRadioGroups.has(key)) continue;
+                const group = fields.filter(f => f.type === 'radio' && this.fieldKey(f, fields.indexOf(f)) === key);
+                if (key in overrides) {
+                    await this.setFieldValue(element, overrides[key]);
+                    entered[key] = overrides[key];
+                    filledRadioGroups.add(key);
+                    continue;
+                }
+                // Replayed data leaves groups it did not record alone
+                if (data && !(key in data)) continue;
+                const wanted = data ? data[key] : null;
+                const choice = group.find(f => f.value === wanted) || group.find(f => !f.disabled);
+                if (!choice) continue;
+                await this.setFieldValue(choice, true);
+                entered[key] = choice.value;
+                filledRadioGroups.add(key);
+                continue;
+            }
+
+            let value = data
+                ? (key in data ? data[key] : null)
+                : generateValue(this.describeField(element), this.dictionary);
+            if (key in overrides) value = overrides[key];
+            if (value === null || value === undefined) continue;
+
+            await this.setFieldValue(element, value);
+            // Report what was attempted: inputs sanitise malformed values (e.g. "abc" in a number field)
+            entered[key] = type === 'checkbox' ? !!element.checked : (key in overrides ? String(value) : element.value);
+        }
+
+        return entered;
+    }
+
+    /**
+     * Enter a value into a single field
+     */
+    async setFieldValue(element, value) {
+        const type = element.tagName.toLowerCase() === 'input' ? (element.type || 'text').toLowerCase() : element.tagName.toLowerCase();
+
+        if (type === 'checkbox' || type === 'radio') {
+            element.checked = value === true || value === 'true';
+        } else if (TYPED_INPUT_TYPES.includes(type)) {
+            await this.eventSimulator.simulateFormInput(element, String(value));
+            return;
+        } else {
+            if (element.focus) element.focus();
+            element.value = String(value);
+        }
+
+        await this.eventSimulator.dispatchEvent(element, 'input', {});
+        await this.eventSimulator.dispatchEvent(element, 'change', {});
+    }
+
+    /**
+     * Find the button that submits a form, including buttons outside it bound with form="id"
+     */
+    findSubmitButton(form) {
+        const inside = Array.from(form.querySelectorAll(SUBMIT_SELECTOR)).find(b => !b.disabled);
+        if (inside) return inside;
+        if (!form.id) return null;
+        try {
+            return Array.from(document.querySelectorAll(`[form="${CSS.escape(form.id)}"]`))
+                .find(b => b.matches(SUBMIT_SELECTOR) && !b.disabled) || null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Submit a form through its submit button. Simulated clicks do not trigger the
+     * browser's default submission, so fall back to requestSubmit() when the click
+     * did not produce a submit event
+     */
+    async submitForm(form) {
+        const button = this.findSubmitButton(form);
+        let submitted = false;
+        const onSubmit = () => { submitted = true; };
+        form.addEventListener('submit', onSubmit, true);
+
+        try {
+            if (button) {
+                button.scrollIntoView({ block: 'center', inline: 'center' });
+                await this.eventSimulator.simulateClick(button);
+            }
+            if (!submitted) {
+                if (typeof form.requestSubmit === 'function') {
+                    form.requestSubmit(button || undefined);
+                } else {
+                    form.submit();
+                    submitted = true;
+                }
+            }
+            await this.eventSimulator.wait(this.submitTimeout);
+        } finally {
+            form.removeEventListener('submit', onSubmit, true);
+        }
+
+        return {
+            submitted,
+            button: button ? (button.innerText || button.value || button.getAttribute('aria-label') || '').trim().slice(0, 100) : null
+        };
+    }
+
+    /**
+     * Fill and submit a form in one go
+     */
+    async fillAndSubmit(form, data = null) {
+        const entered = await this.fillForm(form, data);
+        const result = await this.submitForm(form);
+        return {
+            ok: true,
+            data: entered,
+            submitted: result.submitted,
+            button: result.button
+        };
+    }
+
+    /**
+     * List the constraint tests for every field of a form
+     */
+    getFieldTests(form) {
+        const seen = new Set();
+        return this.getFields(form).map((element, index) => {
+            const key = this.fieldKey(element, index);
+            if (seen.has(key)) return null; // one entry per radio group
+            seen.add(key);
+            return {
+                field: key,
+                type: this.describeField(element).type,
+                tests: generateTestValues(this.describeField(element))
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Fill a form with valid values except for one probed field, submit it and report
+     * how the page reacted. `bypassValidation` disables the browser's own constraint
+     * checks so the application's validation is exercised instead
+     */
+    async probeField(form, field, value, options = {}) {
+        const previousNoValidate = form.noValidate;
+        if (options.bypassValidation) form.noValidate = true;
+
+        try {
+            // Messages already on the page before submitting are not caused by the probe
+            const existingMessages = new Set(this.collectErrorMessages(form));
+            const entered = await this.fillForm(form, null, { [field]: value });
+            const element = this.getFields(form).find((f, i) => this.fieldKey(f, i) === field);
+            const validity = element ? {
+                valid: element.validity.valid,
+                message: element.validationMessage || ''
+            } : { valid: true, message: '' };
+
+            const result = await this.submitForm(form);
+            return {
+                ok: true,
+                data: entered,
+                submitted: result.submitted,
+                validity,
+                messages: this.collectErrorMessages(form).filter(message => !existingMessages.has(message))
+            };
+        } finally {
+            form.noValidate = previousNoValidate;
+        }
+    }
+
+    /**
+     * Visible validation messages rendered by the application in or near the form
+     */
+    collectErrorMessages(form) {
+        const scope = form.isConnected ? form : document;
+        const candidates = new Set([
+            ...scope.querySelectorAll(ERROR_MESSAGE_SELECTOR),
+            ...document.querySelectorAll('[role="alert"]')
+        ]);
+
+        return Array.from(candidates)
+            .filter(element => element.offsetWidth > 0 || element.offsetHeight > 0 || element.getAttribute('aria-invalid') === 'true')
+            .map(element => (element.innerText || element.getAttribute('aria-label') || element.getAttribute('name') || '').trim().slice(0, 200))
+            .filter(Boolean)
+            .slice(0, 5);
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Gherkin Exporter for turning recorded graph paths into BDD feature files
+ * Implements one feature per entry state with Given/When/Then scenarios, where paths that differ
+ * only by the data submitted to forms are merged into Scenario Outlines with Examples
+ */
+
+import { keyElements } from '../utils/graphPaths.js';
+
+// How a clicked element is named in steps, by tag
+const ELEMENT_NOUNS = {
+    a: 'link',
+    button: 'button',
+    input: 'button',
+    select: 'dropdown',
+    summary: 'toggle'
+};
+
+export class GherkinExporter {
+    constructor(options = {}) {
+        this.maxAssertedElements = options.maxAssertedElements ?? 3;
+    }
+
+    /**
+     * Write the feature files for a set of paths (see utils/graphPaths.js), one per entry
+     * state. Returns [{ name, content }] where name is a file-name friendly slug
+     */
+    generate(paths) {
+        if (!paths.length) {
+            throw new Error('No paths to export');
+        }
+
+        const byStart = new Map();
+        paths.forEach(path => {
+            if (!byStart.has(path.start.id)) byStart.set(path.start.id, []);
+            byStart.get(path.start.id).push(path);
+        });
+
+        return Array.from(byStart.values()).map(group => ({
+            name: this.slug(this.describeNode(group[0].start)),
+            content: this.renderFeature(group)
+        }));
+    }
+
+    /**
+     * One feature: the scenarios of every path from the same entry state
+     */
+    renderFeature(paths) {
+        const start = paths[0].start;
+        const names = new Map();
+        const scenarios = this.groupScenarios(paths.map(path => this.buildScenario(path))).map(scenario => {
+            // Scenario names repeat when several paths end on the same state
+            const count = (names.get(scenario.name) || 0) + 1;
+            names.set(scenario.name, count);
+            return this.renderScenario(scenario, count > 1 ? `${scenario.name} (${count})` : scenario.name);
+        });
+
+        return [
+            '# Generated by UI Crawler from recorded paths of the state graph',
+            `Feature: Flows from ${this.describeNode(start)}`,
+            `  Paths recorded by the crawler starting at ${start.url}`,
+            ...scenarios,
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Steps of a path. Submitted values are kept as slots so that paths differing only by
+     * form data render the same template
+     */
+    buildScenario(path) {
+        const steps = [];
+        const slots = [];
+        const add = (kind, ...parts) => steps.push({ kind, parts });
+
+        add('Given', this.describePage('I am on', path.start));
+        path.steps.forEach(({ edge, from, to }) => {
+            this.actionSteps(edge, to, slots).forEach(parts => add('When', ...parts));
+            add('Then', this.describePage('I should be on', to));
+            keyElements(to, from, this.maxAssertedElements).forEach(element => {
+                const text = this.clean(element.text);
+                add('Then', text ? `I should see "${text}"` : `I should see the element "${this.clean(element.locators.css, 200)}"`);
+            });
+        });
+
+        const last = path.steps.length ? path.steps[path.steps.length - 1].to : path.start;
+        const name = path.steps.length
+            ? `Reach ${this.describeNode(last)} from ${this.describeNode(path.start)}`
+            : `Open ${this.describeNode(path.start)}`;
+        return { name, steps, slots };
+    }
+
+    /**
+     * When steps for an edge, as lists of text parts and value slots
+     */
+    actionSteps(edge, to, slots) {
+        const action = edge.action || {};
+        const text = this.clean(action.text);
+        const target = text ? `"${text}"` : `"${this.clean(action.selector, 200)}"`;
+
+        if (action.type === 'nav' || !action.type) {
+            return [text ? [`I follow the link "${text}"`] : [`I go to "${action.url || edge.post_url || to.url}"`]];
+        }
+        if (action.type === 'hover') {
+            return [[`I hover over the element ${target}`]];
+        }
+        if (action.type === 'submit') {
+            const fields = Object.entries(action.data || {}).map(([field, value]) => {
+                const slot = { name: this.slotName(field, slots), value };
+                slots.push(slot);
+                return typeof value === 'boolean'
+                    ? [`I set "${this.clean(field)}" to "`, slot, '"']
+                    : [`I fill in "${this.clean(field)}" with "`, slot, '"'];
+            });
+            return [...fields, [`I submit the ${target} form`]];
+        }
+
+        const noun = ELEMENT_NOUNS[action.node_type] || 'element';
+        return [[`I click the ${text ? noun : 'element'} ${target}`]];
+    }
+
+    /**
+     * Placeholder name for a form field, unique within the scenario
+     */
+    slotName(field, slots) {
+        const base = String(field).replace(/[<>|\s"]+/g, '_') || 'value';
+        let name = base;
+        for (let i = 2; slots.some(slot => slot.name === name); i++) {
+            name = `${base}_${i}`;
+        }
+        return name;
+    }
+
+    /**
+     * Merge scenarios whose steps only differ by submitted values. A group with distinct
+     * values becomes an outline with one example row per path
+     */
+    groupScenarios(scenarios) {
+        const groups = new Map();
+        scenarios.forEach(scenario => {
+            const key = [scenario.name, ...scenario.steps.map(step => `${step.kind} ${this.renderParts(step.parts, true)}`)].join('\n');
+            if (!groups.has(key)) {
+                groups.set(key, { ...scenario, rows: [] });
+            }
+            const row = scenario.slots.map(slot => this.cell(slot.value));
+            const group = groups.get(key);
+            if (!group.rows.some(existing => existing.join('|') === row.join('|'))) {
+                group.rows.push(row);
+            }
+        });
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Scenario, or Scenario Outline with Examples when a group has several value rows
+     */
+    renderScenario(scenario, name) {
+        const outline = scenario.rows.length > 1;
+        let previous = null;
+        const steps = scenario.steps.map(step => {
+            const keyword = step.kind === previous ? 'And' : step.kind;
+            previous = step.kind;
+            return `    ${keyword} ${this.renderParts(step.parts, outline)}`;
+        });
+
+        const lines = ['', `  ${outline ? 'Scenario Outline' : 'Scenario'}: ${name}`, ...steps];
+        if (outline) {
+            const header = scenario.slots.map(slot => slot.name);
+            const widths = header.map((cell, i) => Math.max(cell.length, ...scenario.rows.map(row => row[i].length)));
+            const row = cells => `      | ${cells.map((cell, i) => cell.padEnd(widths[i])).join(' | ')} |`;
+            lines.push('', '    Examples:', row(header), ...scenario.rows.map(row));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Join text parts and value slots; slots become <placeholders> in outlines
+     */
+    renderParts(parts, outline) {
+        return parts.map(part => {
+            if (typeof part === 'string') return part;
+            return outline ? `<${part.name}>` : this.clean(String(part.value), 200);
+        }).join('');
+    }
+
+    /**
+     * Step text naming a page by title and URL
+     */
+    describePage(prefix, node) {
+        const title = this.clean(node.title);
+        return title ? `${prefix} the "${title}" page at "${node.url}"` : `${prefix} "${node.url}"`;
+    }
+
+    /**
+     * Short name for a state
+     */
+    describeNode(node) {
+        return this.clean(node.title) || node.url || node.id;
+    }
+
+    /**
+     * Single-line step text. Gherkin has no escapes inside steps, so double quotes, which
+     * delimit step arguments, become single quotes
+     */
+    clean(text, length = 60) {
+        return String(text ?? '').replace(/\s+/g, ' ').replace(/"/g, "'").trim().slice(0, length);
+    }
+
+    /**
+     * Examples table cell, with the escapes Gherkin tables support
+     */
+    cell(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+    }
+
+    /**
+     * File-name friendly form of a name
+     */
+    slug(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40) || 'flows';
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * Graph Exporter for opening crawls in graph analysis tools
+ * Implements GraphML (yEd), GEXF (Gephi), DOT (Graphviz) and Cytoscape JSON exports, with node and
+ * edge attributes mapped to each format's attribute system
+ */
+
+import { resolveElements } from './componentRegistry.js';
+
+export const EXPORT_FORMATS = {
+    graphml: { label: 'GraphML', extension: 'graphml', mimeType: 'application/graphml+xml' },
+    gexf: { label: 'GEXF', extension: 'gexf', mimeType: 'application/gexf+xml' },
+    dot: { label: 'DOT', extension: 'dot', mimeType: 'text/vnd.graphviz' },
+    cytoscape: { label: 'Cytoscape JSON', extension: 'cyjs', mimeType: 'application/json' }
+};
+
+// Same keywords the visualizer uses to flag stats pages by URL
+const STATS_KEYWORDS = ['stats', 'analytics', 'dashboard', 'metrics', 'reports', 'insights'];
+
+export class GraphExporter {
+    constructor(graph) {
+        this.graph = graph;
+        // Attributes shared by every format; `type` is one of string, integer, boolean
+        this.nodeAttributes = [
+            { name: 'title', type: 'string', value: node => node.title || '' },
+            { name: 'url', type: 'string', value: node => node.url || '' },
+            { name: 'element_count', type: 'integer', value: node => resolveElements(this.graph, node).length },
+            { name: 'link_count', type: 'integer', value: node => node.state_vector?.elementCounts?.links || 0 },
+            { name: 'button_count', type: 'integer', value: node => node.state_vector?.elementCounts?.buttons || 0 },
+            { name: 'input_count', type: 'integer', value: node => node.state_vector?.elementCounts?.inputs || 0 },
+            { name: 'form_count', type: 'integer', value: node => node.state_vector?.elementCounts?.forms || 0 },
+            { name: 'is_stats_page', type: 'boolean', value: node => this.isStatsPage(node) },
+            { name: 'has_screenshot', type: 'boolean', value: node => !!node.screenshots?.regular }
+        ];
+        this.edgeAttributes = [
+            { name: 'action_type', type: 'string', value: edge => edge.action?.type || 'nav' },
+            { name: 'action_text', type: 'string', value: edge => edge.action?.text || '' },
+            { name: 'selector', type: 'string', value: edge => edge.action?.selector || '' },
+            { name: 'route_change', type: 'boolean', value: edge => !!edge.route }
+        ];
+    }
+
+    /**
+     * Serialise the graph in one of EXPORT_FORMATS. Returns { content, extension, mimeType }
+     */
+    export(format) {
+        const definition = EXPORT_FORMATS[format];
+        if (!definition) {
+            throw new Error(`Unknown export format "${format}"`);
+        }
+        const serialisers = {
+            graphml: () => this.toGraphML(),
+            gexf: () => this.toGEXF(),
+            dot: () => this.toDOT(),
+            cytoscape: () => this.toCytoscape()
+        };
+        return { content: serialisers[format](), extension: definition.extension, mimeType: definition.mimeType };
+    }
+
+    /**
+     * Nodes and the edges between them. Guarded edges have no target state and are left
+     * out, since none of the formats allows an edge without one
+     */
+    getElements() {
+        const nodes = this.graph.nodes || [];
+        const ids = new Set(nodes.map(node => node.id));
+        const edges = (this.graph.edges || []).filter(edge => ids.has(edge.from) && ids.has(edge.to));
+        return { nodes, edges };
+    }
+
+    /**
+     * GraphML with one <key> per attribute
+     */
+    toGraphML() {
+        const { nodes, edges } = this.getElements();
+        const types = { string: 'string', integer: 'int', boolean: 'boolean' };
+        const keys = [
+            ...this.nodeAttributes.map(a => `  <key id="n_${a.name}" for="node" attr.name="${a.name}" attr.type="${types[a.type]}"/>`),
+            ...this.edgeAttributes.map(a => `  <key id="e_${a.name}" for="edge" attr.name="${a.name}" attr.type="${types[a.type]}"/>`)
+        ];
+        const data = (attributes, prefix, item) => attributes
+            .map(a => `<data key="${prefix}_${a.name}">${this.escapeXml(a.value(item))}</data>`)
+            .join('');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...keys,
+            '  <graph id="ui-crawler" edgedefault="directed">',
+            ...nodes.map(node => `    <node id="${this.escapeXml(node.id)}">${data(this.nodeAttributes, 'n', node)}</node>`),
+            ...edges.map((edge, i) => `    <edge id="e${i}" source="${this.escapeXml(edge.from)}" target="${this.escapeXml(edge.to)}">${data(this.edgeAttributes, 'e', edge)}</edge>`),
+            '  </graph>',
+            '</graphml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * GEXF 1.3 with static node and edge attribute classes; the title is also the node label
+     */
+    toGEXF() {
+        const { nodes, edges } = this.getElements();
+        const declare = (attributes) => attributes
+            .map((a, i) => `      <attribute id="${i}" title="${a.name}" type="${a.type}"/>`);
+        const values = (attributes, item) => `<attvalues>${attributes
+            .map((a, i) => `<attvalue for="${i}" value="${this.escapeXml(a.value(item))}"/>`)
+            .join('')}</attvalues>`;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+            `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}"><creator>UI Crawler</creator></meta>`,
+            '  <graph defaultedgetype="directed" mode="static">',
+            '    <attributes class="node">',
+            ...declare(this.nodeAttributes),
+            '    </attributes>',
+            '    <attributes class="edge">',
+            ...declare(this.edgeAttributes),
+            '    </attributes>',
+            '    <nodes>',
+            ...nodes.map(node => `      <node id="${this.escapeXml(node.id)}" label="${this.escapeXml(node.title || node.url)}">${values(this.nodeAttributes, node)}</node>`),
+            '    </nodes>',
+            '    <edges>',
+            ...edges.map((edge, i) => `      <edge id="${i}" source="${this.escapeXml(edge.from)}" target="${this.escapeXml(edge.to)}" label="${this.escapeXml(this.edgeLabel(edge))}">${values(this.edgeAttributes, edge)}</edge>`),
+            '    </edges>',
+            '  </graph>',
+            '</gexf>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Graphviz digraph. Attributes are written as DOT attributes; Graphviz keeps the ones it
+     * does not know, and label, URL and fillcolor drive the rendering
+     */
+    toDOT() {
+        const { nodes, edges } = this.getElements();
+        const attributes = (list, item, extra) => [
+            ...extra,
+            ...list.map(a => `${a.name}=${this.quoteDot(a.value(item))}`)
+        ].join(', ');
+
+        return [
+            'digraph "ui-crawler" {',
+            '  node [shape=box, style="rounded,filled", fillcolor="#74a9cf"];',
+            ...nodes.map(node => `  ${this.quoteDot(node.id)} [${attributes(this.nodeAttributes, node, [
+                `label=${this.quoteDot(node.title || node.url)}`,
+                `URL=${this.quoteDot(node.url || '')}`,
+                ...(this.isStatsPage(node) ? ['fillcolor="#ff6b6b"'] : [])
+            ])}];`),
+            ...edges.map(edge => `  ${this.quoteDot(edge.from)} -> ${this.quoteDot(edge.to)} [${attributes(this.edgeAttributes, edge, [
+                `label=${this.quoteDot(this.edgeLabel(edge))}`
+            ])}];`),
+            '}',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Cytoscape JSON (cytoscape.js elements, also read by Cytoscape desktop as .cyjs).
+     * `name` and `interaction` are the attributes Cytoscape uses for labels
+     */
+    toCytoscape() {
+        const { nodes, edges } = this.getElements();
+        const data = (attributes, item) => Object.fromEntries(attributes.map(a => [a.name, a.value(item)]));
+
+        return JSON.stringify({
+            format_version: '1.0',
+            generated_by: 'ui-crawler',
+            target_cytoscapejs_version: '~3',
+            data: { name: 'UI Crawler graph', schemaVersion: this.graph.schemaVersion },
+            elements: {
+                nodes: nodes.map(node => ({
+                    data: { id: node.id, name: node.title || node.url, ...data(this.nodeAttributes, node) }
+                })),
+                edges: edges.map((edge, i) => ({
+                    data: {
+                        id: `e${i}`,
+                        source: edge.from,
+                        target: edge.to,
+                        interaction: edge.action?.type || 'nav',
+                        name: this.edgeLabel(edge),
+                        ...data(this.edgeAttributes, edge)
+                    }
+                }))
+            }
+        }, null, 2);
+    }
+
+    /**
+     * Short edge label: the action type and its text
+     */
+    edgeLabel(edge) {
+        const type = edge.action?.type || 'nav';
+        const text = (edge.action?.text || '').replace(/\s+/g, ' ').trim().slice(0, 40);
+        return text ? `${type}: ${text}` : type;
+    }
+
+    /**
+     * Stats pages are the ones the crawl detected, or whose URL names one
+     */
+    isStatsPage(node) {
+        if (node.screenshots?.stats) return true;
+        const url = (node.url || '').toLowerCase();
+        return STATS_KEYWORDS.some(keyword => url.includes(keyword));
+    }
+
+    /**
+     * Escape a value for XML text and attribute content
+     */
+    escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    /**
+     * Double-quoted DOT string; numbers and booleans are written as they are
+     */
+    quoteDot(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+    }
+}
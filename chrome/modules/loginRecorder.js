@@ -0,0 +1,159 @@
+/**
+ * Login Recorder for capturing a login performed by the user
+ * Implements in-page recording of field entries, clicks and form submissions as replayable steps
+ */
+
+const FIELD_SELECTOR = 'input, select, textarea';
+const CLICK_SELECTOR = 'button, input[type="submit"], input[type="button"], input[type="image"], a, [role="button"]';
+const SKIPPED_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'];
+
+export class LoginRecorder {
+    constructor(options = {}) {
+        // locate(element) -> { selector, index }; supplied by the content script
+        this.locate = options.locate;
+        this.onStep = options.onStep || (() => {});
+        this.recording = false;
+        this.pending = new Map(); // field -> latest value not yet emitted
+        this.pendingSubmitter = null;
+
+        this.handleInput = this.handleInput.bind(this);
+        this.handleChange = this.handleChange.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleSubmit = this.handleSubmit.bind(this);
+    }
+
+    /**
+     * Start listening to the user's interaction with the page
+     */
+    start() {
+        if (this.recording) return;
+        this.recording = true;
+        // Capture phase so pages that stop propagation are still recorded
+        document.addEventListener('input', this.handleInput, true);
+        document.addEventListener('change', this.handleChange, true);
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('submit', this.handleSubmit, true);
+    }
+
+    /**
+     * Stop listening, emitting any field value not recorded yet
+     */
+    stop() {
+        if (!this.recording) return;
+        this.flush();
+        this.recording = false;
+        document.removeEventListener('input', this.handleInput, true);
+        document.removeEventListener('change', this.handleChange, true);
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('submit', this.handleSubmit, true);
+    }
+
+    /**
+     * Check whether an element is a field whose value should be recorded
+     */
+    isRecordableField(element) {
+        if (!element?.matches?.(FIELD_SELECTOR)) return false;
+        return !SKIPPED_INPUT_TYPES.includes((element.type || '').toLowerCase());
+    }
+
+    /**
+     * Current value of a field; checkboxes and radios record their checked state
+     */
+    readValue(element) {
+        const type = (element.type || '').toLowerCase();
+        if (type === 'checkbox' || type === 'radio') return element.checked;
+        return element.value;
+    }
+
+    /**
+     * Track the latest value of a field while the user types
+     */
+    handleInput(event) {
+        if (!this.isRecordableField(event.target)) return;
+        this.pending.set(event.target, this.readValue(event.target));
+    }
+
+    /**
+     * A committed field value is recorded immediately
+     */
+    handleChange(event) {
+        if (!this.isRecordableField(event.target)) return;
+        this.pending.set(event.target, this.readValue(event.target));
+        this.flush();
+    }
+
+    /**
+     * Record clicks on buttons and links. A click on a submit button is recorded as the
+     * form's submission when one follows, since replayed clicks do not submit forms
+     */
+    handleClick(event) {
+        const element = event.target?.closest?.(CLICK_SELECTOR);
+        if (!element || !event.isTrusted) return;
+        this.flush();
+
+        if (element.form && (element.type || '').toLowerCase() === 'submit') {
+            // The submit event, if any, is dispatched before this timer fires
+            this.pendingSubmitter = element;
+            setTimeout(() => {
+                if (this.pendingSubmitter !== element) return;
+                this.pendingSubmitter = null;
+                this.recordClick(element);
+            }, 0);
+            return;
+        }
+        this.recordClick(element);
+    }
+
+    /**
+     * Emit a click step
+     */
+    recordClick(element) {
+        this.emit({
+            type: 'click',
+            ...this.locate(element),
+            node_type: element.tagName.toLowerCase(),
+            text: (element.innerText || element.value || element.getAttribute('aria-label') || '').trim().slice(0, 100)
+        });
+    }
+
+    /**
+     * Record form submissions, whether from a submit button or Enter in a field
+     */
+    handleSubmit(event) {
+        const form = event.target;
+        this.pendingSubmitter = null;
+        this.flush();
+        this.emit({
+            type: 'submit',
+            ...this.locate(form),
+            node_type: 'form',
+            text: (form.getAttribute('aria-label') || form.name || form.id || 'Submit').trim().slice(0, 100)
+        });
+    }
+
+    /**
+     * Emit an input step for every field changed since the last step
+     */
+    flush() {
+        this.pending.forEach((value, element) => {
+            if (!element.isConnected) return;
+            const type = (element.type || element.tagName || '').toLowerCase();
+            this.emit({
+                type: 'input',
+                ...this.locate(element),
+                node_type: element.tagName.toLowerCase(),
+                field: element.name || element.id || null,
+                value,
+                secret: type === 'password'
+            });
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Hand a step to the listener with the page it was recorded on
+     */
+    emit(step) {
+        this.onStep({ ...step, url: location.href, timestamp: Date.now() });
+    }
+}
@@ -3,6 +3,9 @@
  * Implements XHR/fetch request interception, response analysis, and API-induced UI change detection
  */
 
+// Long-lived or fire-and-forget requests that would keep a page from ever looking idle
+const IDLE_IGNORED_TYPES = ['websocket', 'media', 'ping', 'csp_report'];
+
 export class NetworkMonitor {
     constructor() {
         this.requests = new Map();
@@ -13,6 +16,15 @@ export class NetworkMonitor {
         this.originalXHR = null;
         this.isMonitoring = false;
         this.requestId = 0;
+        // Background-side API call tracking per crawl tab, through chrome.webRequest
+        this.tabCalls = new Map(); // tab id -> Map of "METHOD url status" -> call
+        this.tabListener = null;
+        this.maxCallsPerTab = 100;
+        // Requests in flight per crawl tab, for network-idle readiness checks
+        this.pendingRequests = new Map(); // tab id -> Set of webRequest request ids
+        this.lastActivity = new Map(); // tab id -> time a request last started or finished
+        this.pendingListeners = null;
+        this.pendingTabs = new Set();
     }
 
     /**
@@ -625,6 +637,136 @@ export class NetworkMonitor {
         }
     }
 
+    /**
+     * Record the XHR/fetch calls made by the given tabs. Used from the background
+     * service worker, where the page's own fetch cannot be patched
+     */
+    trackTabApiCalls(tabIds) {
+        if (typeof chrome === 'undefined' || !chrome.webRequest?.onCompleted) return;
+        this.stopTrackingTabApiCalls();
+
+        const tabs = new Set(tabIds);
+        this.tabListener = (details) => {
+            if (!tabs.has(details.tabId)) return;
+            let url;
+            try {
+                const parsed = new URL(details.url);
+                url = parsed.origin + parsed.pathname;
+            } catch (_) {
+                return;
+            }
+
+            const calls = this.tabCalls.get(details.tabId) || new Map();
+            const key = `${details.method} ${url} ${details.statusCode}`;
+            if (!calls.has(key) && calls.size < this.maxCallsPerTab) {
+                calls.set(key, { method: details.method, url, status: details.statusCode });
+            }
+            this.tabCalls.set(details.tabId, calls);
+        };
+        chrome.webRequest.onCompleted.addListener(this.tabListener, { urls: ['<all_urls>'], types: ['xmlhttprequest'] });
+    }
+
+    /**
+     * Stop recording API calls and forget the ones recorded so far
+     */
+    stopTrackingTabApiCalls() {
+        if (this.tabListener) {
+            chrome.webRequest.onCompleted.removeListener(this.tabListener);
+            this.tabListener = null;
+        }
+        this.tabCalls.clear();
+    }
+
+    /**
+     * Forget the API calls recorded for a tab
+     */
+    clearTabApiCalls(tabId) {
+        this.tabCalls.delete(tabId);
+    }
+
+    /**
+     * Return and forget the API calls recorded for a tab
+     */
+    takeTabApiCalls(tabId) {
+        const calls = Array.from((this.tabCalls.get(tabId) || new Map()).values());
+        this.tabCalls.delete(tabId);
+        return calls;
+    }
+
+    /**
+     * Count the requests the given tabs have in flight, through chrome.webRequest.
+     * Resource timing entries only appear once a request has finished, so a page
+     * still waiting on a fetch or XHR would otherwise look idle. Returns false when
+     * webRequest is unavailable
+     */
+    trackPendingRequests(tabIds) {
+        if (typeof chrome === 'undefined' || !chrome.webRequest?.onBeforeRequest) return false;
+        this.stopTrackingPendingRequests();
+
+        this.pendingTabs = new Set(tabIds);
+        const started = (details) => {
+            if (!this.pendingTabs.has(details.tabId) || IDLE_IGNORED_TYPES.includes(details.type)) return;
+            // Requests of the previous document are not waited for after a navigation
+            if (details.type === 'main_frame' || !this.pendingRequests.has(details.tabId)) {
+                this.pendingRequests.set(details.tabId, new Set());
+            }
+            this.pendingRequests.get(details.tabId).add(details.requestId);
+            this.lastActivity.set(details.tabId, Date.now());
+        };
+        const finished = (details) => {
+            if (!this.pendingRequests.get(details.tabId)?.delete(details.requestId)) return;
+            this.lastActivity.set(details.tabId, Date.now());
+        };
+        const filter = { urls: ['<all_urls>'] };
+        chrome.webRequest.onBeforeRequest.addListener(started, filter);
+        chrome.webRequest.onCompleted.addListener(finished, filter);
+        chrome.webRequest.onErrorOccurred.addListener(finished, filter);
+        this.pendingListeners = { started, finished };
+        return true;
+    }
+
+    /**
+     * Stop counting in-flight requests and forget the counts
+     */
+    stopTrackingPendingRequests() {
+        if (this.pendingListeners) {
+            chrome.webRequest.onBeforeRequest.removeListener(this.pendingListeners.started);
+            chrome.webRequest.onCompleted.removeListener(this.pendingListeners.finished);
+            chrome.webRequest.onErrorOccurred.removeListener(this.pendingListeners.finished);
+            this.pendingListeners = null;
+        }
+        this.pendingTabs = new Set();
+        this.pendingRequests.clear();
+        this.lastActivity.clear();
+    }
+
+    /**
+     * Whether in-flight requests are being counted for a tab
+     */
+    isTrackingPendingRequests(tabId) {
+        return !!this.pendingListeners && this.pendingTabs.has(tabId);
+    }
+
+    /**
+     * Wait until a tab has had no request in flight for `idleMs`, or until `timeout`
+     * runs out. Never throws; resolves with { idle, pending, duration }
+     */
+    async waitForTabIdle(tabId, idleMs, timeout) {
+        const startTime = Date.now();
+        for (;;) {
+            const now = Date.now();
+            const pending = this.pendingRequests.get(tabId)?.size || 0;
+            const quietFor = now - (this.lastActivity.get(tabId) || 0);
+            if (!pending && quietFor >= idleMs) {
+                return { idle: true, pending: 0, duration: now - startTime };
+            }
+            if (now - startTime >= timeout) {
+                return { idle: false, pending, duration: now - startTime };
+            }
+            await new Promise(r => setTimeout(r, 100));
+        }
+    }
+
     /**
      * Get monitoring status
      */
@@ -211,6 +211,11 @@ export class OutOfScopeHandler {
                 'bot detection', 'access denied', 'blocked',
                 'rate limited', 'too many requests'
             ],
+            // Keywords specific enough to mean the crawler is being throttled
+            throttleKeywords: [
+                'security check', 'bot detection', 'access denied',
+                'rate limited', 'too many requests'
+            ],
             detect: () => {
                 const antiBotElements = [];
                 
@@ -310,6 +315,28 @@ export class OutOfScopeHandler {
         return detections;
     }
 
+    /**
+     * Detect anti-bot interstitials and rate-limit pages that mean the crawler should back off.
+     * Returns serialisable markers so the result can cross the scripting boundary
+     */
+    detectThrottling() {
+        if (!this.antiBotDetector) {
+            this.setupAntiBotDetection();
+        }
+
+        // Interstitials are short; on a full page these words are usually just content
+        const isShortPage = (document.body?.textContent || '').trim().length < 2000;
+        const markers = this.antiBotDetector.detect()
+            .filter(detection => detection.type === 'element' ||
+                (isShortPage && this.antiBotDetector.throttleKeywords.includes(detection.keyword)))
+            .map(({ type, selector, keyword, confidence }) => ({ type, selector, keyword, confidence }));
+
+        return {
+            throttled: markers.length > 0,
+            markers: markers
+        };
+    }
+
     /**
      * Handle out-of-scope elements
      */
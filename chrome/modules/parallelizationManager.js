@@ -6,6 +6,8 @@
 export class ParallelizationManager {
     constructor() {
         this.activeTabs = new Map();
+        this.idleTabs = [];
+        this.tabWaiters = [];
         this.crawlingQueue = [];
         this.batchProcessor = null;
         this.distributedNodes = new Map();
@@ -179,14 +181,18 @@ export class ParallelizationManager {
         const batches = this.createBatches(urls, this.config.batchSize);
         const results = [];
         
-        for (const batch of batches) {
-            const batchResults = await this.crawlBatch(batch);
-            results.push(...batchResults);
-            
-            // Check resource limits
-            if (!this.resourceManager.checkResourceLimits().memory) {
-                await this.waitForResources();
+        try {
+            for (const batch of batches) {
+                const batchResults = await this.crawlBatch(batch);
+                results.push(...batchResults);
+                
+                // Check resource limits
+                if (!this.resourceManager.checkResourceLimits().memory) {
+                    await this.waitForResources();
+                }
             }
+        } finally {
+            await this.closeAllTabs();
         }
         
         return results;
@@ -224,18 +230,13 @@ export class ParallelizationManager {
     async crawlSingleUrl(url) {
         const startTime = Date.now();
         
+        // Tabs are pooled and reused across URLs rather than opened per URL
+        const tabId = await this.acquireTab();
         try {
-            // Create new tab
-            const tab = await this.createTab(url);
-            
-            // Wait for page load
-            await this.waitForPageLoad(tab.id);
+            await this.navigateTab(tabId, url);
             
             // Extract data
-            const data = await this.extractPageData(tab.id);
-            
-            // Close tab
-            await this.closeTab(tab.id);
+            const data = await this.extractPageData(tabId);
             
             const crawlTime = Date.now() - startTime;
             this.performanceMonitor.updateMetrics(crawlTime, this.getResourceUsage());
@@ -244,15 +245,85 @@ export class ParallelizationManager {
         } catch (error) {
             console.error(`Error crawling ${url}:`, error);
             throw error;
+        } finally {
+            this.releaseTab(tabId);
+        }
+    }
+
+    /**
+     * Take an idle pooled tab, opening a background tab while under the concurrency limit
+     */
+    async acquireTab() {
+        if (this.idleTabs.length) {
+            return this.idleTabs.pop();
+        }
+        if (this.activeTabs.size >= this.config.maxConcurrentTabs) {
+            await new Promise(resolve => this.tabWaiters.push(resolve));
+            return this.acquireTab();
+        }
+        const tab = await this.createTab('about:blank', { active: false });
+        return tab.id;
+    }
+
+    /**
+     * Return a tab to the pool, handing it straight to a waiting caller if any
+     */
+    releaseTab(tabId) {
+        if (!this.activeTabs.has(tabId)) return;
+        this.idleTabs.push(tabId);
+        const waiter = this.tabWaiters.shift();
+        if (waiter) waiter();
+    }
+
+    /**
+     * Open pooled background tabs up front, next to an existing tab when one is given
+     */
+    async openTabs(count, windowId) {
+        const tabIds = [];
+        const limit = Math.min(count, this.config.maxConcurrentTabs - this.activeTabs.size);
+        for (let i = 0; i < limit; i++) {
+            const tab = await this.createTab('about:blank', windowId ? { active: false, windowId } : { active: false });
+            tabIds.push(tab.id);
         }
+        return tabIds;
+    }
+
+    /**
+     * Close every tab the pool opened
+     */
+    async closeAllTabs() {
+        const tabIds = Array.from(this.activeTabs.keys());
+        await Promise.all(tabIds.map(tabId => this.closeTab(tabId)));
+        this.idleTabs = [];
+        this.tabWaiters.splice(0).forEach(waiter => waiter());
+    }
+
+    /**
+     * Navigate a tab and wait for the new document to load. The tab's status before
+     * the update describes the previous page, so wait for the load event instead
+     */
+    async navigateTab(tabId, url) {
+        await new Promise((resolve) => {
+            const listener = (updatedId, changeInfo) => {
+                if (updatedId === tabId && changeInfo.status === 'complete') done();
+            };
+            const done = () => {
+                clearTimeout(timer);
+                chrome.tabs.onUpdated.removeListener(listener);
+                resolve();
+            };
+            const timer = setTimeout(done, this.config.crawlTimeout);
+            chrome.tabs.onUpdated.addListener(listener);
+            chrome.tabs.update(tabId, { url }).catch(done);
+        });
     }
 
     /**
      * Create new tab
      */
-    async createTab(url) {
+    async createTab(url, options = {}) {
         return new Promise((resolve, reject) => {
-            chrome.tabs.create({ url }, (tab) => {
+            chrome.tabs.create({ url, ...options }, (tab) => {
                 if (chrome.runtime.lastError) {
                     reject(chrome.runtime.lastError);
                 } else {
@@ -302,7 +373,10 @@ export class ParallelizationManager {
     async closeTab(tabId) {
         return new Promise((resolve) => {
             chrome.tabs.remove(tabId, () => {
+                // The tab may already be gone (closed by the user)
+                void chrome.runtime.lastError;
                 this.activeTabs.delete(tabId);
+                this.idleTabs = this.idleTabs.filter(id => id !== tabId);
                 resolve();
             });
         });
@@ -562,6 +636,7 @@ export class ParallelizationManager {
      */
     clearParallelizationData() {
         this.activeTabs.clear();
+        this.idleTabs = [];
         this.crawlingQueue = [];
         this.distributedNodes.clear();
         this.performanceMetrics = {
@@ -0,0 +1,211 @@
+/**
+ * Politeness Scheduler for per-origin request pacing during crawls
+ * Implements request rate limits, per-origin tab caps and exponential backoff on 429/503 and anti-bot pages
+ */
+
+export const DEFAULT_POLITENESS = {
+    maxRequestsPerSecond: 2,
+    maxTabsPerOrigin: 2,
+    maxRetries: 3,
+    backoffBase: 1000,
+    backoffMax: 60000
+};
+
+const THROTTLE_STATUS_CODES = [429, 503];
+
+export class PolitenessScheduler {
+    constructor(options = {}) {
+        this.origins = new Map(); // origin -> { active, nextRequestAt, blockedUntil, failures, minInterval, waiters }
+        this.responses = new Map(); // tab id -> last main-frame response
+        this.responseListener = null;
+        this.configure(options);
+    }
+
+    /**
+     * Apply politeness options, keeping per-origin state
+     */
+    configure(options = {}) {
+        const merged = { ...DEFAULT_POLITENESS, ...(options || {}) };
+        this.options = {
+            maxRequestsPerSecond: Math.max(0, Number(merged.maxRequestsPerSecond) || 0),
+            maxTabsPerOrigin: Math.max(1, parseInt(merged.maxTabsPerOrigin, 10) || 1),
+            maxRetries: Math.max(0, parseInt(merged.maxRetries, 10) || 0),
+            backoffBase: Math.max(0, Number(merged.backoffBase) || 0),
+            backoffMax: Math.max(0, Number(merged.backoffMax) || 0)
+        };
+        return this.options;
+    }
+
+    /**
+     * Forget all per-origin state (new crawl)
+     */
+    reset() {
+        this.origins.forEach(origin => origin.waiters.splice(0).forEach(wake => wake()));
+        this.origins.clear();
+        this.responses.clear();
+    }
+
+    /**
+     * Per-origin bookkeeping, created on first use
+     */
+    getOrigin(url) {
+        let key;
+        try {
+            key = new URL(url).origin;
+        } catch (_) {
+            key = 'null';
+        }
+        if (!this.origins.has(key)) {
+            this.origins.set(key, { active: 0, nextRequestAt: 0, blockedUntil: 0, failures: 0, minInterval: 0, waiters: [] });
+        }
+        return this.origins.get(key);
+    }
+
+    /**
+     * Wait for a tab slot on the URL's origin. Resolves with a release function
+     */
+    async acquire(url) {
+        const origin = this.getOrigin(url);
+        while (origin.active >= this.options.maxTabsPerOrigin) {
+            await new Promise(resolve => origin.waiters.push(resolve));
+        }
+        origin.active++;
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            origin.active--;
+            const wake = origin.waiters.shift();
+            if (wake) wake();
+        };
+    }
+
+    /**
+     * Wait until the origin may be sent another request: honours the rate limit and any backoff
+     */
+    async waitForTurn(url) {
+        const origin = this.getOrigin(url);
+        const rateInterval = this.options.maxRequestsPerSecond > 0 ? 1000 / this.options.maxRequestsPerSecond : 0;
+        const interval = Math.max(rateInterval, origin.minInterval);
+
+        for (;;) {
+            const now = Date.now();
+            const readyAt = Math.max(origin.nextRequestAt, origin.blockedUntil);
+            if (readyAt <= now) {
+                // Reserve the slot before yielding so concurrent tabs space out
+                origin.nextRequestAt = now + interval;
+                return;
+            }
+            await new Promise(r => setTimeout(r, readyAt - now));
+        }
+    }
+
+    /**
+     * Apply a robots.txt Crawl-delay (seconds) as the origin's minimum request interval
+     */
+    setCrawlDelay(url, seconds) {
+        const delay = Number(seconds);
+        this.getOrigin(url).minInterval = Number.isFinite(delay) && delay > 0 ? delay * 1000 : 0;
+    }
+
+    /**
+     * Record a throttling signal and push the origin's next request back.
+     * Retry-After wins over the exponential schedule when the server sent one
+     */
+    backoff(url, retryAfterMs = null) {
+        const origin = this.getOrigin(url);
+        origin.failures++;
+        const exponential = Math.min(this.options.backoffMax, this.options.backoffBase * 2 ** (origin.failures - 1));
+        const delay = Number.isFinite(retryAfterMs) && retryAfterMs >= 0
+            ? Math.min(this.options.backoffMax, retryAfterMs)
+            : exponential;
+        origin.blockedUntil = Math.max(origin.blockedUntil, Date.now() + delay);
+        return delay;
+    }
+
+    /**
+     * Reset the backoff after a request to the origin went through
+     */
+    recordSuccess(url) {
+        this.getOrigin(url).failures = 0;
+    }
+
+    /**
+     * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+     */
+    parseRetryAfter(value) {
+        if (value == null || value === '') return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Watch main-frame responses so navigation status codes and Retry-After are known.
+     * Needs the webRequest permission; without it only in-page markers are used
+     */
+    trackResponses() {
+        if (this.responseListener || typeof chrome === 'undefined' || !chrome.webRequest?.onHeadersReceived) return;
+
+        this.responseListener = (details) => {
+            if (details.tabId < 0) return;
+            const header = (details.responseHeaders || []).find(h => h.name.toLowerCase() === 'retry-after');
+            this.responses.set(details.tabId, {
+                url: details.url,
+                statusCode: details.statusCode,
+                retryAfter: header ? this.parseRetryAfter(header.value) : null,
+                timestamp: Date.now()
+            });
+        };
+        chrome.webRequest.onHeadersReceived.addListener(
+            this.responseListener,
+            { urls: ['<all_urls>'], types: ['main_frame'] },
+            ['responseHeaders']
+        );
+    }
+
+    /**
+     * Forget the last response of a tab (before navigating it)
+     */
+    clearResponse(tabId) {
+        this.responses.delete(tabId);
+    }
+
+    /**
+     * Last main-frame response seen for a tab, if any
+     */
+    getResponse(tabId) {
+        return this.responses.get(tabId) || null;
+    }
+
+    /**
+     * Check the tab's last navigation response for a throttling status
+     */
+    checkResponse(tabId) {
+        const response = this.responses.get(tabId);
+        if (!response || !THROTTLE_STATUS_CODES.includes(response.statusCode)) return null;
+        return {
+            reason: `HTTP ${response.statusCode}`,
+            retryAfter: response.retryAfter
+        };
+    }
+
+    /**
+     * Serialisable per-origin state for status reporting
+     */
+    getStatistics() {
+        const now = Date.now();
+        const origins = {};
+        this.origins.forEach((origin, key) => {
+            origins[key] = {
+                activeTabs: origin.active,
+                failures: origin.failures,
+                minInterval: origin.minInterval,
+                backoffRemaining: Math.max(0, origin.blockedUntil - now)
+            };
+        });
+        return { options: this.options, origins };
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * Scope Manager for deciding which URLs a crawl may visit
+ * Implements include/exclude URL patterns, robots.txt rules and sitemap.xml discovery
+ */
+
+export class ScopeManager {
+    constructor(options = {}) {
+        this.userAgent = 'UICrawler';
+        this.include = this.compilePatterns(options.include);
+        this.exclude = this.compilePatterns(options.exclude);
+        this.respectRobots = !!options.respectRobots;
+        this.seedFromSitemap = !!options.seedFromSitemap;
+        this.robotsCache = new Map(); // origin -> parsed robots.txt
+        this.fetchTimeout = 10000;
+        this.maxSitemaps = 20;
+    }
+
+    /**
+     * Compile a pattern list, one pattern per line.
+     * "re:" followed by a regular expression is tested against the full URL; anything
+     * else is a glob where * matches any run of characters and ? a single one. Globs
+     * starting with "/" match the path, other globs the full URL
+     */
+    compilePatterns(source) {
+        const lines = Array.isArray(source) ? source : String(source || '').split('\n');
+        const patterns = [];
+
+        lines.map(line => line.trim()).filter(Boolean).forEach(line => {
+            const regexMatch = line.match(/^re:\s*(.+)$/i);
+            if (regexMatch) {
+                try {
+                    patterns.push({ source: line, target: 'url', regex: new RegExp(regexMatch[1], 'i') });
+                } catch (error) {
+                    console.warn(`[scope] invalid pattern ${line}:`, error);
+                }
+                return;
+            }
+
+            const escaped = line.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+            patterns.push({
+                source: line,
+                target: line.startsWith('/') ? 'path' : 'url',
+                regex: new RegExp(`^${escaped}$`, 'i')
+            });
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Find the first pattern matching a URL
+     */
+    matchPattern(url, patterns) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (_) {
+            return null;
+        }
+        return patterns.find(p => p.regex.test(p.target === 'path' ? parsed.pathname : parsed.href)) || null;
+    }
+
+    /**
+     * Check the include/exclude lists synchronously
+     */
+    checkPatterns(url) {
+        const excluded = this.matchPattern(url, this.exclude);
+        if (excluded) {
+            return { allowed: false, reason: `excluded by ${excluded.source}` };
+        }
+        if (this.include.length && !this.matchPattern(url, this.include)) {
+            return { allowed: false, reason: 'not matched by include patterns' };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Full scope check including robots.txt
+     */
+    async checkUrl(url) {
+        const patternResult = this.checkPatterns(url);
+        if (!patternResult.allowed || !this.respectRobots) {
+            return patternResult;
+        }
+
+        const robots = await this.getRobots(url);
+        if (robots && !this.isAllowedByRobots(url, robots)) {
+            return { allowed: false, reason: 'disallowed by robots.txt' };
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Fetch and parse robots.txt for a URL's origin (cached per origin)
+     */
+    async getRobots(url) {
+        let origin;
+        try {
+            origin = new URL(url).origin;
+        } catch (_) {
+            return null;
+        }
+        if (!/^https?:/.test(origin)) return null;
+
+        if (!this.robotsCache.has(origin)) {
+            const text = await this.fetchText(`${origin}/robots.txt`);
+            this.robotsCache.set(origin, text ? this.parseRobots(text) : null);
+        }
+        return this.robotsCache.get(origin);
+    }
+
+    /**
+     * Parse robots.txt into the rule group that applies to this crawler
+     */
+    parseRobots(text) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let lastWasAgent = false;
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'sitemap') {
+                if (value) sitemaps.push(value);
+                return;
+            }
+
+            if (field === 'user-agent') {
+                if (!lastWasAgent || !current) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                return;
+            }
+
+            lastWasAgent = false;
+            if (!current) return;
+
+            if (field === 'allow' || field === 'disallow') {
+                // An empty Disallow allows everything
+                if (!value) return;
+                current.rules.push({ allow: field === 'allow', path: value, regex: this.robotsPathToRegex(value) });
+            } else if (field === 'crawl-delay') {
+                const delay = parseFloat(value);
+                if (!isNaN(delay)) current.crawlDelay = delay;
+            }
+        });
+
+        const agent = this.userAgent.toLowerCase();
+        const group = groups.find(g => g.agents.some(a => a !== '*' && agent.includes(a))) ||
+            groups.find(g => g.agents.includes('*'));
+
+        return {
+            rules: group ? group.rules : [],
+            crawlDelay: group ? group.crawlDelay : null,
+            sitemaps
+        };
+    }
+
+    /**
+     * Convert a robots.txt path rule (supports * and $) to a regex
+     */
+    robotsPathToRegex(path) {
+        const anchored = path.endsWith('$');
+        const body = (anchored ? path.slice(0, -1) : path)
+            .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*');
+        return new RegExp(`^${body}${anchored ? '$' : ''}`);
+    }
+
+    /**
+     * Apply robots rules: the longest matching rule wins, Allow wins ties
+     */
+    isAllowedByRobots(url, robots) {
+        let target;
+        try {
+            const parsed = new URL(url);
+            target = parsed.pathname + parsed.search;
+        } catch (_) {
+            return true;
+        }
+
+        let best = null;
+        robots.rules.forEach(rule => {
+            if (!rule.regex.test(target)) return;
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        });
+        return best ? best.allow : true;
+    }
+
+    /**
+     * Collect page URLs from the site's sitemaps (robots.txt Sitemap lines, then /sitemap.xml)
+     */
+    async discoverSitemapUrls(startUrl, limit = 500) {
+        let origin;
+        try {
+            origin = new URL(startUrl).origin;
+        } catch (_) {
+            return [];
+        }
+
+        const robots = await this.getRobots(startUrl);
+        const pending = robots && robots.sitemaps.length ? [...robots.sitemaps] : [`${origin}/sitemap.xml`];
+        const seen = new Set();
+        const urls = [];
+
+        while (pending.length && seen.size < this.maxSitemaps && urls.length < limit) {
+            const sitemapUrl = pending.shift();
+            if (seen.has(sitemapUrl)) continue;
+            seen.add(sitemapUrl);
+
+            const xml = await this.fetchText(sitemapUrl);
+            if (!xml) continue;
+
+            const sitemap = this.parseSitemap(xml);
+            if (sitemap.isIndex) {
+                pending.push(...sitemap.locs);
+            } else {
+                urls.push(...sitemap.locs.slice(0, limit - urls.length));
+            }
+        }
+
+        return urls;
+    }
+
+    /**
+     * Read the <loc> entries of a sitemap or sitemap index
+     */
+    parseSitemap(xml) {
+        // Service workers have no DOMParser, so read <loc> entries directly
+        const locs = Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi))
+            .map(m => this.decodeXmlEntities(m[1]));
+
+        return { isIndex: /<sitemapindex[\s>]/i.test(xml), locs };
+    }
+
+    /**
+     * Decode the XML entities allowed in sitemap URLs
+     */
+    decodeXmlEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Fetch a text resource, returning null on any failure
+     */
+    async fetchText(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.fetchTimeout);
+        try {
+            const response = await fetch(url, { signal: controller.signal, credentials: 'omit' });
+            if (!response.ok) return null;
+            return await response.text();
+        } catch (error) {
+            console.warn(`[scope] fetch ${url} failed:`, error);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Get serialisable scope options (for checkpoints)
+     */
+    getOptions() {
+        return {
+            include: this.include.map(p => p.source),
+            exclude: this.exclude.map(p => p.source),
+            respectRobots: this.respectRobots,
+            seedFromSitemap: this.seedFromSitemap
+        };
+    }
+}
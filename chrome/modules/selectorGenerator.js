@@ -0,0 +1,316 @@
+/**
+ * Selector Generator for locating elements again in replays and exported tests
+ * Implements unique CSS selectors that prefer test attributes, minimal :nth-of-type paths,
+ * XPath and text locators, each verified against the page, with a stability score
+ */
+
+const TEST_ATTRIBUTES = ['data-testid', 'data-test', 'data-test-id', 'data-cy', 'data-qa'];
+
+// Attributes that usually identify an element on purpose, in order of preference
+const STABLE_ATTRIBUTES = ['name', 'aria-label', 'placeholder', 'title', 'alt', 'for', 'type', 'role', 'href'];
+
+// Stability of a selector by how it was built: test attributes are written for tests and
+// survive redesigns, positional paths break as soon as siblings move
+const STABILITY = {
+    testAttribute: 1,
+    id: 0.9,
+    attribute: 0.8,
+    class: 0.6,
+    path: 0.5,
+    fallback: 0.1
+};
+
+const MAX_TEXT_LENGTH = 50;
+const MAX_PATH_DEPTH = 8;
+
+export class SelectorGenerator {
+    constructor(options = {}) {
+        this.testAttributes = options.testAttributes || TEST_ATTRIBUTES;
+        this.lookups = null; // root -> Map(query -> result) while a pass is open
+    }
+
+    /**
+     * Cache selector, XPath and text lookups until endPass(), so locating many elements
+     * does not query the whole document again for every one of them. Only valid while the
+     * DOM does not change, i.e. within one synchronous collection pass
+     */
+    beginPass() {
+        this.lookups = new Map();
+    }
+
+    endPass() {
+        this.lookups = null;
+    }
+
+    /**
+     * Run a document-wide query, or reuse its result within a pass
+     */
+    lookup(root, key, query) {
+        if (!this.lookups) return query();
+        let cached = this.lookups.get(root);
+        if (!cached) {
+            cached = new Map();
+            this.lookups.set(root, cached);
+        }
+        if (!cached.has(key)) cached.set(key, query());
+        return cached.get(key);
+    }
+
+    /**
+     * Build the locators of an element. `css` is unique within the element's document or
+     * shadow root whenever `unique` is true; `xpath` and `text` are null when they would not
+     * identify the element on their own, or when `alternatives` is false
+     */
+    generate(element, { alternatives = true } = {}) {
+        const root = element.getRootNode();
+        const css = this.buildCss(element, root);
+        return {
+            css: css.selector,
+            xpath: alternatives && root.nodeType === Node.DOCUMENT_NODE ? this.buildXPath(element) : null,
+            text: alternatives ? this.buildText(element, root) : null,
+            unique: css.unique,
+            strategy: css.strategy,
+            stability: css.stability
+        };
+    }
+
+    /**
+     * Shortest verified CSS selector for the element, trying test attributes, id, stable
+     * attributes and classes before a positional path from the nearest identifiable ancestor
+     */
+    buildCss(element, root) {
+        const tag = element.tagName.toLowerCase();
+
+        for (const attribute of this.testAttributes) {
+            const value = element.getAttribute(attribute);
+            if (value && this.isUnique(`[${attribute}="${this.escapeValue(value)}"]`, element, root)) {
+                return this.result(`[${attribute}="${this.escapeValue(value)}"]`, 'testAttribute');
+            }
+        }
+
+        if (element.id && this.isUnique(`#${CSS.escape(element.id)}`, element, root)) {
+            // Generated ids (React, Ember, UUIDs) change between builds or sessions
+            return this.result(`#${CSS.escape(element.id)}`, 'id', this.isDynamic(element.id) ? 0.5 : 1);
+        }
+
+        for (const attribute of STABLE_ATTRIBUTES) {
+            const value = element.getAttribute(attribute);
+            if (!value || value.length > 100 || this.isDynamic(value)) continue;
+            const selector = `${tag}[${attribute}="${this.escapeValue(value)}"]`;
+            if (this.isUnique(selector, element, root)) return this.result(selector, 'attribute');
+        }
+
+        const classes = this.stableClasses(element);
+        for (const combination of this.classCombinations(classes)) {
+            const selector = `${tag}${combination.map(c => `.${CSS.escape(c)}`).join('')}`;
+            if (this.isUnique(selector, element, root)) return this.result(selector, 'class');
+        }
+
+        const path = this.buildPath(element, root);
+        if (path) return path;
+
+        return { selector: this.describeStep(element), unique: false, strategy: 'fallback', stability: STABILITY.fallback };
+    }
+
+    /**
+     * Positional path (`main > div:nth-of-type(2) > button`) from the nearest ancestor that
+     * has a unique anchor, or from the root, stopping as soon as it is unique
+     */
+    buildPath(element, root) {
+        const steps = [];
+        let current = element;
+
+        for (let depth = 0; current && current.nodeType === Node.ELEMENT_NODE && depth < MAX_PATH_DEPTH; depth++) {
+            const anchor = depth > 0 ? this.anchorOf(current, root) : null;
+            if (anchor) {
+                const selector = [anchor, ...steps].join(' > ');
+                if (this.isUnique(selector, element, root)) return this.pathResult(selector, steps);
+            }
+
+            steps.unshift(this.describeStep(current));
+            const selector = steps.join(' > ');
+            if (this.isUnique(selector, element, root)) return this.pathResult(selector, steps);
+
+            current = current.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Unique selector of an ancestor that can anchor a path, or null
+     */
+    anchorOf(element, root) {
+        for (const attribute of this.testAttributes) {
+            const value = element.getAttribute(attribute);
+            const selector = `[${attribute}="${this.escapeValue(value || '')}"]`;
+            if (value && this.isUnique(selector, element, root)) return selector;
+        }
+        if (element.id && !this.isDynamic(element.id) && this.isUnique(`#${CSS.escape(element.id)}`, element, root)) {
+            return `#${CSS.escape(element.id)}`;
+        }
+        return null;
+    }
+
+    /**
+     * One path step: the tag, with :nth-of-type when siblings share it
+     */
+    describeStep(element) {
+        const tag = element.tagName.toLowerCase();
+        const parent = element.parentElement;
+        if (!parent) return tag;
+
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+        return sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(element) + 1})` : tag;
+    }
+
+    /**
+     * Absolute XPath with positions only where siblings share a tag, or an id/test
+     * attribute predicate when one identifies the element
+     */
+    buildXPath(element) {
+        for (const attribute of this.testAttributes) {
+            const value = element.getAttribute(attribute);
+            if (value && !value.includes('"')) {
+                const xpath = `//*[@${attribute}="${value}"]`;
+                if (this.isUniqueXPath(xpath, element)) return xpath;
+            }
+        }
+        if (element.id && !this.isDynamic(element.id) && !element.id.includes('"')) {
+            const xpath = `//*[@id="${element.id}"]`;
+            if (this.isUniqueXPath(xpath, element)) return xpath;
+        }
+
+        const steps = [];
+        for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+            const tag = current.tagName.toLowerCase();
+            const parent = current.parentElement;
+            const sameTag = parent ? Array.from(parent.children).filter(child => child.tagName === current.tagName) : [current];
+            steps.unshift(sameTag.length > 1 ? `${tag}[${sameTag.indexOf(current) + 1}]` : tag);
+        }
+        const xpath = `/${steps.join('/')}`;
+        return this.isUniqueXPath(xpath, element) ? xpath : null;
+    }
+
+    /**
+     * Visible text that identifies the element among elements with the same tag, or null
+     */
+    buildText(element, root) {
+        const text = this.textOf(element);
+        if (!text || text.length > MAX_TEXT_LENGTH) return null;
+
+        // textContent is a cheap pre-filter; innerText needs layout
+        const tag = element.tagName.toLowerCase();
+        const sameTag = this.lookup(root, `text:${tag}`, () => Array.from(root.querySelectorAll(tag))
+            .map(other => ({ other, content: (other.textContent || other.value || '').replace(/\s+/g, ' ') })));
+        const sameText = sameTag
+            .filter(({ other, content }) => other === element || content.includes(text))
+            .filter(({ other }) => this.textOf(other) === text);
+        return sameText.length === 1 ? text : null;
+    }
+
+    /**
+     * Find the element a text locator points to
+     */
+    resolveText(tag, text, root = document) {
+        const matches = Array.from(root.querySelectorAll(tag || '*')).filter(element => this.textOf(element) === text);
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    /**
+     * Find the element an XPath points to
+     */
+    resolveXPath(xpath, root = document) {
+        try {
+            return document.evaluate(xpath, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /**
+     * Normalised visible text of an element
+     */
+    textOf(element) {
+        return (element.innerText || element.value || element.getAttribute?.('aria-label') || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Whether a selector matches exactly the element within the root
+     */
+    isUnique(selector, element, root) {
+        try {
+            const matches = this.lookup(root, selector, () => root.querySelectorAll(selector));
+            return matches.length === 1 && matches[0] === element;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether an XPath matches exactly the element in the document
+     */
+    isUniqueXPath(xpath, element) {
+        try {
+            const result = this.lookup(document, `xpath:${xpath}`, () => {
+                const snapshot = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                return { length: snapshot.snapshotLength, first: snapshot.snapshotItem(0) };
+            });
+            return result.length === 1 && result.first === element;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Classes that look hand-written rather than generated by CSS-in-JS or state toggles
+     */
+    stableClasses(element) {
+        return Array.from(element.classList || [])
+            .filter(name => !this.isDynamic(name) && !/^(is-|has-)?(active|selected|open|hover|focus|disabled|hidden|show|visible|current)$/i.test(name))
+            .slice(0, 6);
+    }
+
+    /**
+     * Single classes first, then pairs
+     */
+    classCombinations(classes) {
+        const combinations = classes.map(name => [name]);
+        classes.forEach((first, i) => classes.slice(i + 1).forEach(second => combinations.push([first, second])));
+        return combinations;
+    }
+
+    /**
+     * Heuristic for generated tokens: long digit runs, hashes and CSS-in-JS prefixes
+     */
+    isDynamic(value) {
+        return /\d{4,}|[0-9a-f]{8,}|^(css|sc|jss|emotion|styled|ember|react|mui|ng-tns|svelte)-|^:r[0-9a-z]*:$|^[a-z]{1,3}-[a-z0-9]{5,}$/i.test(value) ||
+            (value.match(/[a-z]\d|\d[a-z]/gi) || []).length >= 3;
+    }
+
+    /**
+     * Escape a value for use inside a double-quoted attribute selector
+     */
+    escapeValue(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    /**
+     * Result for a selector built by one of the named strategies
+     */
+    result(selector, strategy, factor = 1) {
+        return { selector, unique: true, strategy, stability: Math.round(STABILITY[strategy] * factor * 100) / 100 };
+    }
+
+    /**
+     * Result for a positional path; every :nth-of-type step lowers the stability
+     */
+    pathResult(selector, steps) {
+        const positional = steps.filter(step => step.includes(':nth-of-type')).length;
+        return {
+            selector,
+            unique: true,
+            strategy: 'path',
+            stability: Math.round(Math.max(0.2, STABILITY.path - positional * 0.1) * 100) / 100
+        };
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * Session Manager for recording and storing site logins
+ * Implements login recording across page loads of one tab and encrypted storage of the recorded
+ * steps, one login per credential profile (e.g. admin, editor, viewer)
+ */
+
+import { encryptJson, decryptJson } from '../utils/secretStore.js';
+
+const LOGIN_KEY = 'ui-crawler-login';
+const DRAFT_KEY = 'ui-crawler-login-draft';
+
+// Time allowed for steps the page flushes when recording stops
+const FLUSH_DELAY = 300;
+
+export const DEFAULT_PROFILE = 'default';
+
+// Profile that is crawled logged out; it never has a recorded login
+export const ANONYMOUS_PROFILE = 'anonymous';
+
+/**
+ * Normalise a credential profile name
+ */
+export function normalizeProfileName(name) {
+    return String(name || '').trim().slice(0, 50) || DEFAULT_PROFILE;
+}
+
+export class SessionManager {
+    constructor() {
+        this.recording = null; // { tabId, profile, startUrl, steps, startedAt }
+        this.profiles = {}; // profile -> { profile, origin, startUrl, steps, recordedAt } of its stored login
+        this.activeProfile = DEFAULT_PROFILE; // profile whose login is replayed when the session is lost
+        this.tabListener = null;
+    }
+
+    /**
+     * Load the stored login summaries and any recording interrupted by a service worker restart
+     */
+    async initialize() {
+        const stored = await this.loadStore();
+        this.profiles = {};
+        Object.entries(stored.profiles).forEach(([profile, entry]) => {
+            if (entry?.summary) this.profiles[profile] = entry.summary;
+        });
+
+        const draftStore = chrome.storage.session || chrome.storage.local;
+        const { [DRAFT_KEY]: draft } = await draftStore.get([DRAFT_KEY]);
+        const recording = draft ? await decryptJson(draft) : null;
+        if (recording) {
+            this.recording = recording;
+            this.watchRecordingTab();
+        }
+    }
+
+    /**
+     * Stored logins: { profiles: { [profile]: { sealed, summary } } }
+     */
+    async loadStore() {
+        const { [LOGIN_KEY]: stored } = await chrome.storage.local.get([LOGIN_KEY]);
+        return { profiles: stored?.profiles || {} };
+    }
+
+    /**
+     * Start recording the login the user performs in a tab under a credential profile
+     */
+    async startRecording(tabId, profile = DEFAULT_PROFILE) {
+        profile = normalizeProfileName(profile);
+        if (profile === ANONYMOUS_PROFILE) {
+            throw new Error(`"${ANONYMOUS_PROFILE}" is crawled logged out and cannot have a login`);
+        }
+        if (this.recording) {
+            await this.stopRecording(false);
+        }
+
+        const tab = await chrome.tabs.get(tabId);
+        if (!tab?.url || !/^(https?|file):/i.test(tab.url)) {
+            throw new Error('Open the login page in the current tab first');
+        }
+
+        this.recording = { tabId, profile, startUrl: tab.url, steps: [], startedAt: Date.now() };
+        await this.saveDraft();
+        this.watchRecordingTab();
+        await this.armRecorder(tabId, true);
+        console.log(`[session] recording ${profile} login from`, tab.url);
+        return this.getStatus();
+    }
+
+    /**
+     * Stop recording; with `save` the recorded steps replace the stored login
+     */
+    async stopRecording(save = true) {
+        const recording = this.recording;
+        if (!recording) return this.getStatus();
+
+        await this.armRecorder(recording.tabId, false);
+        await new Promise(r => setTimeout(r, FLUSH_DELAY));
+
+        this.unwatchRecordingTab();
+        this.recording = null;
+        await this.clearDraft();
+
+        if (save) {
+            if (!recording.steps.length) {
+                throw new Error('Nothing was recorded; log in on the page before saving');
+            }
+            await this.saveLogin(recording.profile || DEFAULT_PROFILE, {
+                startUrl: recording.startUrl,
+                steps: recording.steps,
+                recordedAt: Date.now()
+            });
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Add a step sent by the recorder in the recording tab
+     */
+    async addStep(step, tabId) {
+        if (!this.recording || tabId !== this.recording.tabId || !step?.type) return;
+
+        const steps = this.recording.steps;
+        const last = steps[steps.length - 1];
+        // Successive entries into the same field only keep the final value
+        if (step.type === 'input' && last?.type === 'input' &&
+            last.selector === step.selector && last.index === step.index) {
+            steps[steps.length - 1] = step;
+        } else {
+            steps.push(step);
+        }
+        await this.saveDraft();
+    }
+
+    /**
+     * Check whether a login is stored for a profile
+     */
+    hasLogin(profile = this.activeProfile) {
+        return !!this.profiles[profile];
+    }
+
+    /**
+     * Decrypt a profile's stored login. Returns { startUrl, steps, recordedAt } or null
+     */
+    async loadLogin(profile = this.activeProfile) {
+        const stored = await this.loadStore();
+        const entry = stored.profiles[profile];
+        if (!entry?.sealed) return null;
+        return decryptJson(entry.sealed);
+    }
+
+    /**
+     * Encrypt and store a profile's login; only a summary without values is kept in the clear
+     */
+    async saveLogin(profile, login) {
+        const summary = {
+            profile,
+            origin: new URL(login.startUrl).origin,
+            startUrl: login.startUrl,
+            steps: login.steps.length,
+            recordedAt: login.recordedAt
+        };
+        const stored = await this.loadStore();
+        stored.profiles[profile] = { sealed: await encryptJson(login), summary };
+        await chrome.storage.local.set({ [LOGIN_KEY]: stored });
+        this.profiles[profile] = summary;
+        console.log(`[session] stored ${profile} login for ${summary.origin} (${summary.steps} steps)`);
+    }
+
+    /**
+     * Forget a profile's stored login
+     */
+    async clearLogin(profile = DEFAULT_PROFILE) {
+        const stored = await this.loadStore();
+        delete stored.profiles[profile];
+        await chrome.storage.local.set({ [LOGIN_KEY]: stored });
+        delete this.profiles[profile];
+        return this.getStatus();
+    }
+
+    /**
+     * Start or stop the in-page recorder, injecting the content script if needed
+     */
+    async armRecorder(tabId, active) {
+        const run = async () => {
+            const [{ result }] = await chrome.scripting.executeScript({
+                target: { tabId },
+                func: (a) => (typeof window.__UICRAWLER_RECORD_LOGIN__ === 'function' ? window.__UICRAWLER_RECORD_LOGIN__(a) : null),
+                args: [active]
+            });
+            return result;
+        };
+
+        try {
+            let result = await run();
+            if (!result && active) {
+                await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
+                result = await run();
+            }
+            return !!result?.ok;
+        } catch (error) {
+            console.warn('[session] recorder unavailable:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Re-arm the recorder on every page the recording tab loads, so logins spread
+     * over several pages are recorded in full
+     */
+    watchRecordingTab() {
+        this.unwatchRecordingTab();
+        this.tabListener = (tabId, changeInfo) => {
+            if (tabId === this.recording?.tabId && changeInfo.status === 'complete') {
+                this.armRecorder(tabId, true);
+            }
+        };
+        chrome.tabs.onUpdated.addListener(this.tabListener);
+    }
+
+    /**
+     * Stop following the recording tab
+     */
+    unwatchRecordingTab() {
+        if (this.tabListener) {
+            chrome.tabs.onUpdated.removeListener(this.tabListener);
+            this.tabListener = null;
+        }
+    }
+
+    /**
+     * Persist the recording in progress, encrypted, in session storage
+     */
+    async saveDraft() {
+        const draftStore = chrome.storage.session || chrome.storage.local;
+        await draftStore.set({ [DRAFT_KEY]: await encryptJson(this.recording) });
+    }
+
+    /**
+     * Drop the recording in progress
+     */
+    async clearDraft() {
+        const draftStore = chrome.storage.session || chrome.storage.local;
+        await draftStore.remove(DRAFT_KEY);
+    }
+
+    /**
+     * Get a serialisable status without any recorded values
+     */
+    getStatus() {
+        return {
+            recording: !!this.recording,
+            recordingTabId: this.recording?.tabId || null,
+            recordingProfile: this.recording?.profile || null,
+            recordedSteps: this.recording?.steps.length || 0,
+            profiles: Object.values(this.profiles)
+        };
+    }
+}
@@ -0,0 +1,401 @@
+/**
+ * Test Generator for turning recorded graph paths into end-to-end test scripts
+ * Implements Playwright (TypeScript and JavaScript), Puppeteer and Selenium WebDriver emitters;
+ * every edge becomes a navigation or an action on its stored locators and every state reached
+ * is asserted by title, URL and key elements
+ */
+
+import { keyElements } from '../utils/graphPaths.js';
+
+export const TEST_FRAMEWORKS = {
+    'playwright-ts': { label: 'Playwright (TypeScript)', extension: 'spec.ts' },
+    'playwright-js': { label: 'Playwright (JavaScript)', extension: 'spec.js' },
+    puppeteer: { label: 'Puppeteer', extension: 'test.js' },
+    selenium: { label: 'Selenium WebDriver', extension: 'test.js' }
+};
+
+const SUBMIT_BUTTON_SELECTOR = 'button[type="submit"], input[type="submit"], button:not([type])';
+
+export class TestGenerator {
+    constructor(options = {}) {
+        this.maxAssertedElements = options.maxAssertedElements ?? 3;
+    }
+
+    /**
+     * Write one test per path (see utils/graphPaths.js) for a framework.
+     * Returns { content, extension }
+     */
+    generate(framework, paths, suiteName = 'UI Crawler flows') {
+        const definition = TEST_FRAMEWORKS[framework];
+        if (!definition) {
+            throw new Error(`Unknown test framework "${framework}"`);
+        }
+        if (!paths.length) {
+            throw new Error('No paths to generate tests from');
+        }
+
+        const emitter = this.emitter(framework);
+        const tests = paths.map((path, i) => this.renderTest(emitter, path, paths.length > 1 ? `${i + 1}. ` : ''));
+        return {
+            content: [emitter.preamble(this.quote(suiteName)), ...tests, '});', ''].join('\n'),
+            extension: definition.extension
+        };
+    }
+
+    /**
+     * One test: load the entry state, then perform each edge and check the state it reaches
+     */
+    renderTest(emitter, path, prefix) {
+        const last = path.steps.length ? path.steps[path.steps.length - 1].to : path.start;
+        const name = `${prefix}${this.describeNode(path.start)}` +
+            (path.steps.length ? ` → ${this.describeNode(last)} (${path.steps.length} step${path.steps.length > 1 ? 's' : ''})` : '');
+
+        const body = [
+            `// Open ${this.describeNode(path.start)}`,
+            ...emitter.goto(this.quote(path.start.url)),
+            ...this.renderAssertions(emitter, path.start, null)
+        ];
+        path.steps.forEach(({ edge, from, to }, i) => {
+            body.push('', `// ${i + 1}. ${this.describeAction(edge.action)}`);
+            body.push(...this.renderAction(emitter, edge, to));
+            body.push(...this.renderAssertions(emitter, to, from));
+        });
+
+        return [
+            '',
+            emitter.open(this.quote(name)),
+            ...body.map(line => (line ? `    ${line}` : '')),
+            '  });'
+        ].join('\n');
+    }
+
+    /**
+     * Statements performing an edge's action
+     */
+    renderAction(emitter, edge, to) {
+        const action = edge.action || {};
+        if (action.type === 'nav' || !action.type) {
+            return emitter.goto(this.quote(action.url || edge.post_url || to.url));
+        }
+
+        const target = this.targetArgs(action);
+        if (action.type === 'hover') return emitter.hover(target);
+        if (action.type === 'submit') return emitter.submit(target, JSON.stringify(action.data || {}));
+        return emitter.click(target);
+    }
+
+    /**
+     * Statements checking the title, URL and key elements of a state
+     */
+    renderAssertions(emitter, node, previous) {
+        const lines = [];
+        if (node.title) lines.push(...emitter.assertTitle(this.quote(node.title)));
+        if (node.url) lines.push(...emitter.assertUrl(this.quote(node.url)));
+        keyElements(node, previous, this.maxAssertedElements).forEach(element => {
+            lines.push(...emitter.assertVisible(this.quote(element.locators.css)));
+        });
+        return lines;
+    }
+
+    /**
+     * Arguments of the generated find() helper: selector, then index and XPath fallback
+     * only when needed
+     */
+    targetArgs(action) {
+        const args = [this.quote(action.selector || '')];
+        const xpath = action.locators?.xpath;
+        if (action.index || xpath) args.push(String(action.index || 0));
+        if (xpath) args.push(this.quote(xpath));
+        return args.join(', ');
+    }
+
+    /**
+     * Comment text for an action; selectors the crawl scored as fragile are flagged
+     */
+    describeAction(action = {}) {
+        const text = this.clean(action.text);
+        const fragile = typeof action.stability === 'number' && action.stability < 0.5 ? ' (fragile selector)' : '';
+        return `${action.type || 'nav'}${text ? ` "${text}"` : ''}${fragile}`;
+    }
+
+    /**
+     * Short name for a state
+     */
+    describeNode(node) {
+        return this.clean(node.title) || node.url || node.id;
+    }
+
+    /**
+     * Single-line text for comments and test names
+     */
+    clean(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+    }
+
+    /**
+     * JavaScript string literal
+     */
+    quote(value) {
+        return JSON.stringify(String(value));
+    }
+
+    /**
+     * Statement builders for a framework. Each returns lines of the test body
+     */
+    emitter(framework) {
+        if (framework === 'playwright-ts' || framework === 'playwright-js') {
+            return {
+                preamble: suite => this.playwrightPreamble(suite, framework === 'playwright-ts'),
+                open: name => `  test(${name}, async ({ page }) => {`,
+                goto: url => [`await page.goto(${url});`],
+                click: target => [`await find(page, ${target}).click();`],
+                hover: target => [`await find(page, ${target}).hover();`],
+                submit: (target, data) => [`await submitForm(find(page, ${target}), ${data});`],
+                assertTitle: title => [`await expect(page).toHaveTitle(${title});`],
+                assertUrl: url => [`await expect(page).toHaveURL(${url});`],
+                assertVisible: selector => [`await expect(page.locator(${selector})).toBeVisible();`]
+            };
+        }
+        if (framework === 'puppeteer') {
+            return {
+                preamble: suite => this.puppeteerPreamble(suite),
+                open: name => `  it(${name}, async () => {`,
+                goto: url => [`await page.goto(${url}, { waitUntil: 'networkidle2' });`],
+                click: target => [`await (await find(page, ${target})).click();`, 'await settle(page);'],
+                hover: target => [`await (await find(page, ${target})).hover();`, 'await settle(page);'],
+                submit: (target, data) => [`await submitForm(await find(page, ${target}), ${data});`, 'await settle(page);'],
+                assertTitle: title => [`assert.equal(await page.title(), ${title});`],
+                assertUrl: url => [`assert.equal(page.url(), ${url});`],
+                assertVisible: selector => [`await page.waitForSelector(${selector}, { visible: true, timeout: 10000 });`]
+            };
+        }
+        return {
+            preamble: suite => this.seleniumPreamble(suite),
+            open: name => `  it(${name}, async () => {`,
+            goto: url => [`await driver.get(${url});`],
+            click: target => [`await (await find(driver, ${target})).click();`, 'await settle(driver);'],
+            hover: target => [`await driver.actions().move({ origin: await find(driver, ${target}) }).perform();`, 'await settle(driver);'],
+            submit: (target, data) => [`await submitForm(driver, await find(driver, ${target}), ${data});`, 'await settle(driver);'],
+            assertTitle: title => [`await driver.wait(until.titleIs(${title}), TIMEOUT);`],
+            assertUrl: url => [`await driver.wait(until.urlIs(${url}), TIMEOUT);`],
+            assertVisible: selector => [`await expectVisible(driver, ${selector});`]
+        };
+    }
+
+    /**
+     * Imports, helpers and suite opening for Playwright Test
+     */
+    playwrightPreamble(suite, typescript) {
+        // TypeScript annotations, or JSDoc for // @ts-check in the JavaScript variant
+        const type = annotation => (typescript ? annotation : '');
+        const doc = lines => (typescript ? '' : `/**\n${lines.map(line => ` * ${line}`).join('\n')}\n */\n`);
+        const cast = (expression, name) => (typescript ? `(${expression} as ${name})` : `/** @type {${name}} */ (${expression})`);
+        return `${typescript
+            ? "import { test, expect, type Locator, type Page } from '@playwright/test';"
+            : "// @ts-check\nconst { test, expect } = require('@playwright/test');"}
+
+// Generated by UI Crawler from recorded paths of the state graph
+
+// Crawler selectors separate shadow hosts with ' >>> '; Playwright's CSS pierces open
+// shadow roots, so the parts are joined as descendants. The XPath is a fallback for
+// pages whose markup changed since the crawl
+${doc([
+    "@param {import('@playwright/test').Page} page",
+    '@param {string} selector',
+    '@param {number} [index]',
+    '@param {string} [xpath]',
+    "@returns {import('@playwright/test').Locator}"
+])}function find(page${type(': Page')}, selector${type(': string')}, index = 0, xpath${type('?: string')})${type(': Locator')} {
+  const css = page.locator(selector.split(' >>> ').join(' ')).nth(index);
+  return xpath ? css.or(page.locator(\`xpath=\${xpath}\`)).first() : css;
+}
+
+// Fill a form with the values recorded during the crawl and submit it
+${doc([
+    "@param {import('@playwright/test').Locator} form",
+    '@param {Record<string, string | boolean>} data'
+])}async function submitForm(form${type(': Locator')}, data${type(': Record<string, string | boolean>')})${type(': Promise<void>')} {
+  for (const [name, value] of Object.entries(data)) {
+    const field = form.locator(\`[name=\${JSON.stringify(name)}], [id=\${JSON.stringify(name)}]\`).first();
+    if (!(await field.count())) continue;
+    const fieldType = await field.evaluate(el => ${cast('el', 'HTMLInputElement')}.type || el.tagName.toLowerCase());
+    if (fieldType === 'checkbox') {
+      await field.setChecked(value === true || value === 'true');
+    } else if (fieldType === 'radio') {
+      await form.locator(\`[name=\${JSON.stringify(name)}][value=\${JSON.stringify(String(value))}]\`).check();
+    } else if (fieldType.startsWith('select')) {
+      await field.selectOption(String(value));
+    } else {
+      await field.fill(String(value));
+    }
+  }
+  const button = form.locator('${SUBMIT_BUTTON_SELECTOR}').first();
+  if (await button.count()) {
+    await button.click();
+  } else {
+    await form.evaluate(el => ${cast('el', 'HTMLFormElement')}.requestSubmit());
+  }
+}
+
+test.describe(${suite}, () => {`;
+    }
+
+    /**
+     * Imports, helpers and suite opening for Puppeteer under the Node test runner
+     */
+    puppeteerPreamble(suite) {
+        return `const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer');
+
+// Generated by UI Crawler from recorded paths of the state graph. Run with: node --test
+
+// Typed like a user; other inputs (dates, numbers, ranges) are set directly
+const TYPED_TYPES = ['text', 'email', 'tel', 'url', 'password', 'search', 'textarea'];
+
+// Puppeteer's >>> combinator pierces shadow roots like crawler selectors do. The XPath
+// is a fallback for pages whose markup changed since the crawl
+async function find(page, selector, index = 0, xpath = null) {
+  const matches = await page.$$(selector);
+  if (matches[index]) return matches[index];
+  if (xpath) {
+    const handle = await page.evaluateHandle(
+      x => document.evaluate(x, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue,
+      xpath
+    );
+    const element = handle.asElement();
+    if (element) return element;
+  }
+  throw new Error(\`Element not found: \${selector}\`);
+}
+
+// Wait for the navigation and requests an action started
+async function settle(page) {
+  await page.waitForNetworkIdle({ idleTime: 500, timeout: 10000 }).catch(() => {});
+}
+
+// Fill a form with the values recorded during the crawl and submit it
+async function submitForm(form, data) {
+  for (const [name, value] of Object.entries(data)) {
+    const field = await form.$(\`[name=\${JSON.stringify(name)}], [id=\${JSON.stringify(name)}]\`);
+    if (!field) continue;
+    const type = await field.evaluate(el => el.type || el.tagName.toLowerCase());
+    if (type === 'checkbox') {
+      const checked = value === true || value === 'true';
+      if ((await field.evaluate(el => el.checked)) !== checked) await field.click();
+    } else if (type === 'radio') {
+      const option = await form.$(\`[name=\${JSON.stringify(name)}][value=\${JSON.stringify(String(value))}]\`);
+      if (option) await option.click();
+    } else if (type.startsWith('select')) {
+      await field.select(String(value));
+    } else if (TYPED_TYPES.includes(type)) {
+      await field.evaluate(el => { el.value = ''; });
+      await field.type(String(value));
+    } else {
+      await field.evaluate((el, v) => {
+        el.value = v;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      }, String(value));
+    }
+  }
+  const button = await form.$('${SUBMIT_BUTTON_SELECTOR}');
+  if (button) {
+    await button.click();
+  } else {
+    await form.evaluate(el => el.requestSubmit());
+  }
+}
+
+describe(${suite}, () => {
+  let browser;
+  let page;
+
+  before(async () => { browser = await puppeteer.launch(); });
+  after(async () => { await browser.close(); });
+  beforeEach(async () => { page = await browser.newPage(); });
+  afterEach(async () => { await page.close(); });`;
+    }
+
+    /**
+     * Imports, helpers and suite opening for Selenium WebDriver under the Node test runner
+     */
+    seleniumPreamble(suite) {
+        return `const { describe, it, before, after } = require('node:test');
+const { Builder, By, until } = require('selenium-webdriver');
+
+// Generated by UI Crawler from recorded paths of the state graph. Run with: node --test
+
+const TIMEOUT = 10000;
+
+// Typed like a user; other inputs (dates, numbers, ranges) are set directly
+const TYPED_TYPES = ['text', 'email', 'tel', 'url', 'password', 'search', 'textarea'];
+
+// Crawler selectors separate shadow hosts with ' >>> '; each host's shadow root is
+// searched in turn. The XPath is a fallback for pages whose markup changed since the crawl
+async function find(driver, selector, index = 0, xpath = null) {
+  const parts = selector.split(' >>> ');
+  let root = driver;
+  for (const host of parts.slice(0, -1)) {
+    root = await (await root.findElement(By.css(host))).getShadowRoot();
+  }
+  const matches = await root.findElements(By.css(parts[parts.length - 1]));
+  if (matches[index]) return matches[index];
+  if (xpath) {
+    const [element] = await driver.findElements(By.xpath(xpath));
+    if (element) return element;
+  }
+  throw new Error(\`Element not found: \${selector}\`);
+}
+
+async function expectVisible(driver, selector) {
+  const element = await driver.wait(until.elementLocated(By.css(selector)), TIMEOUT);
+  await driver.wait(until.elementIsVisible(element), TIMEOUT);
+}
+
+// Wait for the document an action may have loaded
+async function settle(driver) {
+  await driver.sleep(300);
+  await driver.wait(async () => (await driver.executeScript('return document.readyState')) === 'complete', TIMEOUT);
+}
+
+// Fill a form with the values recorded during the crawl and submit it
+async function submitForm(driver, form, data) {
+  for (const [name, value] of Object.entries(data)) {
+    const [field] = await form.findElements(By.css(\`[name=\${JSON.stringify(name)}], [id=\${JSON.stringify(name)}]\`));
+    if (!field) continue;
+    const type = (await field.getAttribute('type')) || (await field.getTagName());
+    if (type === 'checkbox') {
+      const checked = value === true || value === 'true';
+      if ((await field.isSelected()) !== checked) await field.click();
+    } else if (type === 'radio') {
+      const [option] = await form.findElements(By.css(\`[name=\${JSON.stringify(name)}][value=\${JSON.stringify(String(value))}]\`));
+      if (option) await option.click();
+    } else if (type.startsWith('select')) {
+      await field.findElement(By.css(\`option[value=\${JSON.stringify(String(value))}]\`)).click();
+    } else if (TYPED_TYPES.includes(type)) {
+      await field.clear();
+      await field.sendKeys(String(value));
+    } else {
+      await driver.executeScript((el, v) => {
+        el.value = v;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        el.dispatchEvent(new Event('change', { bubbles: true }));
+      }, field, String(value));
+    }
+  }
+  const [button] = await form.findElements(By.css('${SUBMIT_BUTTON_SELECTOR}'));
+  if (button) {
+    await button.click();
+  } else {
+    await driver.executeScript('arguments[0].requestSubmit()', form);
+  }
+}
+
+describe(${suite}, () => {
+  let driver;
+
+  before(async () => { driver = await new Builder().forBrowser('chrome').build(); });
+  after(async () => { await driver.quit(); });`;
+    }
+}
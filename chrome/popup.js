@@ -11,6 +11,8 @@ class UICrawlerPopup {
 		this.setupEventListeners();
 		this.updateStats();
 		this.loadSettings();
+		this.refreshCrawlStatus();
+		this.refreshLoginStatus();
 	}
 
 	async loadCurrentTab() {
@@ -23,6 +25,7 @@ class UICrawlerPopup {
 			enhancedDetection: true,
 			accessibilityScan: true,
 			shadowDomSupport: true,
+			crawlFrames: true,
 			timeout: 5000,
 			batchSize: 5,
 			captureScreenshots: true,
@@ -52,12 +55,31 @@ class UICrawlerPopup {
 		// Basic crawling
 		document.getElementById('extract').addEventListener('click', () => this.extractCurrentPage());
 		document.getElementById('crawl').addEventListener('click', () => this.crawlMultiplePages());
+		document.getElementById('pauseCrawl').addEventListener('click', () => this.sendCrawlCommand('pauseCrawl'));
+		document.getElementById('resumeCrawl').addEventListener('click', () => this.sendCrawlCommand('resumeCrawl'));
+		document.getElementById('cancelCrawl').addEventListener('click', () => this.sendCrawlCommand('cancelCrawl'));
+		document.getElementById('resumeLastCrawl').addEventListener('click', () => this.resumeLastCrawl());
+
+		// Login recording
+		document.getElementById('recordLogin').addEventListener('click', () => this.startLoginRecording());
+		document.getElementById('saveLogin').addEventListener('click', () => this.stopLoginRecording(true));
+		document.getElementById('discardLogin').addEventListener('click', () => this.stopLoginRecording(false));
+		document.getElementById('clearLogin').addEventListener('click', () => this.sendLoginCommand('clearLogin', { profile: this.getLoginProfile() }));
+		document.getElementById('loginProfile').addEventListener('input', () => this.refreshLoginStatus());
+
+		// Progress broadcast by the background crawl engine
+		chrome.runtime.onMessage.addListener((msg) => {
+			if (msg?.type === 'crawlProgress' && msg.payload) {
+				this.renderCrawlStatus(msg.payload);
+			}
+		});
 
 		// Visualization
 		document.getElementById('openVisualizer').addEventListener('click', () => this.openVisualizer());
 		document.getElementById('loadGraph').addEventListener('click', () => this.loadGraphData());
 		document.getElementById('downloadGraph').addEventListener('click', () => this.downloadGraph());
 		document.getElementById('downloadScreenshots').addEventListener('click', () => this.downloadScreenshots());
+		document.getElementById('downloadAccessMatrix').addEventListener('click', () => this.downloadAccessMatrix());
 
 		// Settings
 		document.getElementById('resetSettings').addEventListener('click', () => this.resetSettings());
@@ -99,177 +121,22 @@ class UICrawlerPopup {
 		}
 	}
 
-	async hash(text) {
-	const enc = new TextEncoder().encode(text);
-	const buf = await crypto.subtle.digest('SHA-1', enc);
-	const bytes = Array.from(new Uint8Array(buf));
-	return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
-}
-
-	async captureStateWithScreenshots(tabId) {
-		// Guard restricted schemes
-		try {
-			const tab = await chrome.tabs.get(tabId);
-			if (!tab?.url || /^(chrome|edge|about|chrome-extension):/i.test(tab.url)) {
-				return null;
-			}
-			// If file:// and access not enabled, bail gracefully
-			if (tab.url.startsWith('file://')) {
-				// Content scripts require user toggle; return null to show guidance
-			}
-		} catch (_) {}
-
-		// Ensure the page is fully loaded
-		await new Promise((resolve) => {
-			let attempts = 0;
-			const check = async () => {
-				try {
-					const t = await chrome.tabs.get(tabId);
-					if (t.status === 'complete') return resolve();
-				} catch (_) {}
-				if (attempts++ > 50) return resolve();
-				setTimeout(check, 100);
-			};
-			check();
-		});
-
-		// Try enhanced content collector first
-		let exec = await chrome.scripting.executeScript({
-			target: { tabId },
-			func: () => (typeof window.__UICRAWLER_COLLECT_ENHANCED__ === 'function' ? window.__UICRAWLER_COLLECT_ENHANCED__() : null)
-		});
-		let result = exec && exec[0] ? exec[0].result : null;
-
-		// Fallback to basic collector
-		if (!result) {
-			exec = await chrome.scripting.executeScript({
-		target: { tabId },
-		func: () => (typeof window.__UICRAWLER_COLLECT__ === 'function' ? window.__UICRAWLER_COLLECT__() : null)
-	});
-			result = exec && exec[0] ? exec[0].result : null;
-		}
-
-		// If still no collector, inject content.js then retry once
-	if (!result) {
-			try {
-				await chrome.scripting.executeScript({ target: { tabId }, files: ['content.js'] });
-				// retry enhanced
-				exec = await chrome.scripting.executeScript({
-			target: { tabId },
-					func: () => (typeof window.__UICRAWLER_COLLECT_ENHANCED__ === 'function' ? window.__UICRAWLER_COLLECT_ENHANCED__() : null)
-				});
-				result = exec && exec[0] ? exec[0].result : null;
-				if (!result) {
-					exec = await chrome.scripting.executeScript({
-						target: { tabId },
-						func: () => (typeof window.__UICRAWLER_COLLECT__ === 'function' ? window.__UICRAWLER_COLLECT__() : null)
-					});
-					result = exec && exec[0] ? exec[0].result : null;
-				}
-			} catch (_) {}
-		}
-
-	if (!result) return null;
-
-		const domHash = await this.hash(result.dom || '');
-		const node = {
-			id: (await this.hash(result.url + domHash)).slice(0, 12),
-		url: result.url,
-		title: result.title || '',
-		timestamp: result.timestamp || Date.now(),
-		dom_hash: domHash,
-		elements: Array.isArray(result.elements) ? result.elements : [],
-			state_vector: result.stateVector || {
-			visible_elements: result.elements.filter(e => e.visible).length,
-			inputs: result.elements.filter(e => e.nodeType === 'input').length,
-			links: result.elements.filter(e => e.nodeType === 'a').length,
-			buttons: result.elements.filter(e => e.nodeType === 'button').length
-			},
-			metadata: result.metadata || {}
-		};
-
-		// Capture screenshots if enabled
-		if (this.settings.captureScreenshots) {
-			try {
-				// Guard: only capture if permission and tab window available
-				const screenshot = await chrome.tabs.captureVisibleTab(this.currentTab?.windowId, { 
-					format: 'png',
-					quality: 90
-				});
-				
-				node.screenshots = {
-					regular: screenshot
-				};
-
-				// Check for stats page if enabled
-				if (this.settings.detectStatsPages) {
-					const statsDetection = await this.detectStatsPage(tabId);
-					if (statsDetection.isStatsPage) {
-						node.screenshots.stats = {
-							type: 'stats',
-							screenshot: screenshot,
-							timestamp: Date.now(),
-							url: result.url,
-							confidence: statsDetection.confidence
-						};
-					}
-				}
-
-				// Full page screenshot if enabled
-				if (this.settings.fullPageScreenshots) {
-					const fullPageScreenshot = await this.captureFullPageScreenshot(tabId);
-					if (fullPageScreenshot) {
-						node.screenshots.fullPage = fullPageScreenshot;
-					}
-				}
-			} catch (error) {
-				console.warn('Screenshot capture failed:', error);
-				// Do not fail the whole node on capture failure
-			}
-		}
-
-		return node;
-	}
-
-	async detectStatsPage(tabId) {
-		return new Promise((resolve) => {
-			chrome.runtime.sendMessage({ 
-				type: 'detectStatsPage', 
-				payload: { tabId } 
-			}, (response) => {
-				if (response && response.ok) {
-					resolve(response.result);
-				} else {
-					resolve({ isStatsPage: false, confidence: 0, indicators: {} });
-				}
-			});
-		});
-	}
-
-	async captureFullPageScreenshot(tabId) {
-		// This would require more complex implementation
-		// For now, return null
-		return null;
-	}
-
 	async addState() {
 		if (!this.currentTab?.id) return;
 		
 		this.setStatus('Capturing state...', true);
 		
 		try {
-			const node = await this.captureStateWithScreenshots(this.currentTab.id);
-	if (!node) {
-		throw new Error('No data captured. If using file:// pages, enable "Allow access to file URLs" for this extension and reload the page, then try again.');
-	}
-
-			const { graph = { nodes: [], edges: [] } } = await chrome.storage.local.get(['graph']);
-			if (!graph.nodes.find(n => n.id === node.id)) {
-				graph.nodes.push(node);
+			const res = await chrome.runtime.sendMessage({
+				type: 'extractPage',
+				payload: { tabId: this.currentTab.id, settings: this.settings }
+			});
+			if (res?.busy) {
+				throw new Error(res.error);
+			}
+			if (!res?.ok) {
+				throw new Error('No data captured. If using file:// pages, enable "Allow access to file URLs" for this extension and reload the page, then try again.');
 			}
-			
-			await chrome.storage.local.set({ graph });
-			await chrome.runtime.sendMessage({ type: 'storeGraph', payload: { graph } });
 			
 			this.setStatus('State captured successfully!');
 			this.updateStats();
@@ -292,105 +159,255 @@ class UICrawlerPopup {
 		const maxPages = Math.max(1, parseInt(document.getElementById('maxPages').value || '10', 10));
 		const maxDepth = Math.max(1, parseInt(document.getElementById('maxDepth').value || '3', 10));
 		const sameOriginOnly = document.getElementById('sameOriginOnly').checked;
+		const crawlMode = document.getElementById('crawlMode').value;
+		const maxActionsPerState = Math.max(1, parseInt(document.getElementById('maxActionsPerState').value || '10', 10));
+		const canonicalization = {
+			stripParams: document.getElementById('stripParams').value,
+			sortParams: document.getElementById('sortParams').checked,
+			fragments: document.getElementById('fragmentMode').value,
+			honourCanonical: document.getElementById('honourCanonical').checked,
+			lowercaseHost: document.getElementById('lowercaseHost').checked,
+			stripTrailingSlash: document.getElementById('stripTrailingSlash').checked
+		};
+		const scope = {
+			include: document.getElementById('includePatterns').value,
+			exclude: document.getElementById('excludePatterns').value,
+			respectRobots: document.getElementById('respectRobots').checked,
+			seedFromSitemap: document.getElementById('seedFromSitemap').checked
+		};
+		const strategy = {
+			name: document.getElementById('crawlStrategy').value,
+			seed: parseInt(document.getElementById('strategySeed').value || '1', 10)
+		};
+		const equivalence = {
+			strategy: document.getElementById('equivalenceStrategy').value,
+			threshold: Math.min(100, Math.max(0, parseInt(document.getElementById('similarityThreshold').value || '90', 10))) / 100
+		};
+		const guard = {
+			enabled: document.getElementById('guardActions').checked,
+			logout: document.getElementById('guardLogout').checked,
+			heuristics: document.getElementById('guardHeuristics').checked,
+			patterns: document.getElementById('guardPatterns').value
+		};
+		const forms = {
+			enabled: document.getElementById('fillForms').checked,
+			dictionary: document.getElementById('fieldDictionary').value,
+			testInputs: document.getElementById('testInputs').checked,
+			maxInputTests: parseInt(document.getElementById('maxInputTests').value || '20', 10),
+			bypassValidation: document.getElementById('bypassValidation').checked
+		};
+		const politeness = {
+			maxRequestsPerSecond: parseFloat(document.getElementById('maxRequestsPerSecond').value || '2'),
+			maxTabsPerOrigin: parseInt(document.getElementById('maxTabsPerOrigin').value || '2', 10),
+			maxRetries: parseInt(document.getElementById('maxRetries').value || '3', 10)
+		};
+		const readiness = {
+			networkIdle: document.getElementById('readyNetworkIdle').checked,
+			networkIdleMs: parseInt(document.getElementById('networkIdleMs').value || '500', 10),
+			domQuiet: document.getElementById('readyDomQuiet').checked,
+			domQuietMs: parseInt(document.getElementById('domQuietMs').value || '300', 10),
+			spinners: document.getElementById('readySpinners').checked,
+			selector: document.getElementById('readySelector').value.trim()
+		};
+
+		const auth = {
+			relogin: document.getElementById('autoRelogin').checked,
+			profile: this.getLoginProfile()
+		};
+		const roles = document.getElementById('crawlRoles').value;
 
 		this.setStatus('Starting crawl...', true);
-		this.showProgress(true);
 
 		try {
-			const startOrigin = new URL(this.currentTab.url).origin;
-			const visited = new Set();
-			const queue = [{ url: this.currentTab.url, depth: 0 }];
-	const { graph = { nodes: [], edges: [] } } = await chrome.storage.local.get(['graph']);
-
-			let processed = 0;
-			const total = Math.min(maxPages, queue.length);
-
-			while (queue.length && visited.size < maxPages) {
-				const current = queue.shift();
-				if (!current) break;
-				if (visited.has(current.url)) continue;
-				if (sameOriginOnly && new URL(current.url).origin !== startOrigin) continue;
-				
-				visited.add(current.url);
-				processed++;
-
-				// Update progress
-				this.updateProgress((processed / total) * 100);
-
-				await chrome.tabs.update(this.currentTab.id, { url: current.url });
-				await new Promise(r => setTimeout(r, 1000)); // Wait for page load
-
-				const node = await this.captureStateWithScreenshots(this.currentTab.id);
-				if (!node) continue;
-
-				const prevNode = graph.nodes.find(n => n.url === current.parentUrl);
-	if (!graph.nodes.find(n => n.id === node.id)) graph.nodes.push(node);
-				
-				if (current.parent && prevNode) {
-					graph.edges.push({
-						from: prevNode.id,
-						to: node.id,
-						action: { type: 'nav', selector: 'a[href]', node_type: 'a', text: current.anchorText || '' },
-						pre_url: current.parentUrl,
-						post_url: current.url,
-						timestamp: Date.now()
-					});
+			// The crawl loop runs in the background service worker so it keeps
+			// going after the popup closes; the popup only mirrors its progress
+			const res = await chrome.runtime.sendMessage({
+				type: 'startCrawl',
+				payload: {
+					tabId: this.currentTab.id,
+					startUrl: this.currentTab.url,
+					maxPages,
+					maxDepth,
+					sameOriginOnly,
+					crawlMode,
+					maxActionsPerState,
+					equivalence,
+					canonicalization,
+					scope,
+					strategy,
+					forms,
+					guard,
+					readiness,
+					politeness,
+					auth,
+					roles,
+					settings: this.settings
 				}
+			});
+			if (!res?.ok) throw new Error(res?.error || 'Crawl could not be started');
+			this.renderCrawlStatus(res.status);
+		} catch (error) {
+			this.setStatus(`Crawl error: ${String(error)}`);
+			console.error('[popup] crawl error', error);
+		}
+	}
 
-	await chrome.storage.local.set({ graph });
-
-				// Get links for next level
-				if (current.depth + 1 <= maxDepth) {
-					const links = await this.getLinks(this.currentTab.id);
-					for (const href of links) {
-						const nextUrl = this.normalizeUrl(current.url, href);
-						if (!nextUrl) continue;
-						if (sameOriginOnly && new URL(nextUrl).origin !== startOrigin) continue;
-						if (visited.has(nextUrl)) continue;
-						
-						queue.push({ 
-							url: nextUrl, 
-							depth: current.depth + 1, 
-							parent: true, 
-							parentUrl: current.url 
-						});
-						
-						if (visited.size + queue.length >= maxPages) break;
-					}
-				}
-			}
+	async resumeLastCrawl() {
+		this.setStatus('Resuming last crawl...', true);
 
-			await chrome.runtime.sendMessage({ type: 'storeGraph', payload: { graph } });
-			this.setStatus(`Crawl completed! ${graph.nodes.length} pages, ${graph.edges.length} connections`);
-			this.updateStats();
+		try {
+			const res = await chrome.runtime.sendMessage({
+				type: 'resumeLastCrawl',
+				payload: { tabId: this.currentTab?.id }
+			});
+			if (!res?.ok) throw new Error(res?.error || 'Crawl could not be resumed');
+			this.renderCrawlStatus(res.status);
 		} catch (error) {
 			this.setStatus(`Crawl error: ${String(error)}`);
-			console.error('[popup] crawl error', error);
-		} finally {
-			this.showProgress(false);
+			console.error('[popup] resumeLastCrawl error', error);
 		}
 	}
 
-	async getLinks(tabId) {
-		const [{ result }] = await chrome.scripting.executeScript({
-			target: { tabId },
-			func: () => (typeof window.__UICRAWLER_LINKS__ === 'function' ? window.__UICRAWLER_LINKS__() : [])
-		});
-		return Array.isArray(result) ? result : [];
+	async sendCrawlCommand(type) {
+		try {
+			const res = await chrome.runtime.sendMessage({ type });
+			if (res?.status) this.renderCrawlStatus(res.status);
+		} catch (error) {
+			console.error(`[popup] ${type} error`, error);
+		}
+	}
+
+	async startLoginRecording() {
+		if (!this.currentTab?.id) return;
+
+		try {
+			const res = await chrome.runtime.sendMessage({
+				type: 'startLoginRecording',
+				payload: { tabId: this.currentTab.id, profile: this.getLoginProfile() }
+			});
+			if (!res?.ok) throw new Error(res?.error || 'Recording could not be started');
+			this.renderLoginStatus(res.status);
+		} catch (error) {
+			this.setStatus(`Login recording error: ${String(error)}`);
+			console.error('[popup] startLoginRecording error', error);
+		}
+	}
+
+	async stopLoginRecording(save) {
+		try {
+			const res = await chrome.runtime.sendMessage({ type: 'stopLoginRecording', payload: { save } });
+			if (res?.status) this.renderLoginStatus(res.status);
+			if (!res?.ok) throw new Error(res?.error || 'Recording could not be saved');
+		} catch (error) {
+			this.setStatus(`Login recording error: ${String(error)}`);
+			console.error('[popup] stopLoginRecording error', error);
+		}
+	}
+
+	getLoginProfile() {
+		return document.getElementById('loginProfile').value.trim() || 'default';
 	}
 
-	normalizeUrl(base, href) {
+	async sendLoginCommand(type, payload) {
 		try {
-			return new URL(href, base).toString();
-		} catch { 
-			return null; 
+			const res = await chrome.runtime.sendMessage({ type, payload });
+			if (res?.status) this.renderLoginStatus(res.status);
+		} catch (error) {
+			console.error(`[popup] ${type} error`, error);
+		}
+	}
+
+	async refreshLoginStatus() {
+		await this.sendLoginCommand('getLoginStatus');
+	}
+
+	renderLoginStatus(status) {
+		const profiles = status.profiles || [];
+		const login = profiles.find(p => p.profile === this.getLoginProfile());
+		document.getElementById('recordLogin').classList.toggle('hidden', status.recording);
+		document.getElementById('saveLogin').classList.toggle('hidden', !status.recording);
+		document.getElementById('discardLogin').classList.toggle('hidden', !status.recording);
+		document.getElementById('clearLogin').classList.toggle('hidden', status.recording || !login);
+
+		const statusEl = document.getElementById('loginStatus');
+		if (status.recording) {
+			// The popup closes as soon as the page is clicked, so the user comes back to save
+			statusEl.textContent = `Recording ${status.recordingProfile} login (${status.recordedSteps} steps). Log in on the page, then reopen this popup and click Save Login.`;
+		} else if (login) {
+			statusEl.textContent = `Login recorded for ${login.origin} (${login.steps} steps, ${new Date(login.recordedAt).toLocaleString()})`;
+		} else {
+			statusEl.textContent = 'No login recorded for this profile';
 		}
+		if (profiles.length) {
+			statusEl.textContent += `. Profiles: ${profiles.map(p => p.profile).join(', ')}`;
+		}
+		statusEl.classList.remove('hidden');
+	}
+
+	async refreshCrawlStatus() {
+		try {
+			const res = await chrome.runtime.sendMessage({ type: 'getCrawlStatus' });
+			if (res?.status) this.renderCrawlStatus(res.status);
+		} catch (error) {
+			console.error('[popup] getCrawlStatus error', error);
+		}
+	}
+
+	renderCrawlStatus(status) {
+		const active = status.state === 'running' || status.state === 'paused';
+		this.showProgress(active);
+		if (status.maxPages) {
+			this.updateProgress((status.processed / status.maxPages) * 100);
+		}
+
+		document.getElementById('crawl').disabled = active;
+		document.getElementById('extract').disabled = active;
+		document.getElementById('pauseCrawl').classList.toggle('hidden', status.state !== 'running');
+		document.getElementById('resumeCrawl').classList.toggle('hidden', status.state !== 'paused');
+		document.getElementById('cancelCrawl').classList.toggle('hidden', !active);
+		document.getElementById('resumeLastCrawl').classList.toggle('hidden', active || !status.hasCheckpoint);
+
+		const statusEl = document.getElementById('crawlStatus');
+		if (!statusEl) return;
+		switch (status.state) {
+			case 'running': {
+				const tabs = status.tabs > 1 ? ` in ${status.tabs} tabs` : '';
+				const relogins = status.relogins ? `, ${status.relogins} re-logins` : '';
+				const role = status.role ? ` as ${status.role} (${status.roleIndex + 1}/${status.roles.length})` : '';
+				statusEl.textContent = `Crawling${role} ${status.processed}/${status.maxPages}${tabs}${relogins}: ${status.currentUrl || ''}`;
+				break;
+			}
+			case 'paused':
+				statusEl.textContent = `Paused at ${status.processed}/${status.maxPages} pages`;
+				break;
+			case 'completed':
+				statusEl.textContent = status.roles?.length
+					? `Crawl completed as ${status.roles.join(', ')}. Download the access matrix from the Visualize tab`
+					: `Crawl completed! ${status.nodes} pages, ${status.edges} connections${status.guarded ? ` (${status.guarded} guarded)` : ''}`;
+				break;
+			case 'cancelled':
+				statusEl.textContent = `Crawl cancelled after ${status.processed} pages`;
+				break;
+			case 'error':
+				statusEl.textContent = `Crawl error: ${status.error}`;
+				break;
+			default:
+				statusEl.textContent = '';
+		}
+		statusEl.classList.toggle('hidden', !statusEl.textContent);
+
+		if (!active) this.updateStats();
 	}
 
 	async downloadGraph() {
 	const { graph = { nodes: [], edges: [] } } = await chrome.storage.local.get(['graph']);
+	// JSON keeps the full graph; the other formats are for graph analysis tools
+	const format = document.getElementById('exportFormat')?.value || 'json';
+	const message = format === 'json'
+		? { type: 'downloadGraph', payload: graph }
+		: { type: 'exportGraph', payload: { graph, format } };
 	return new Promise((resolve) => {
-		chrome.runtime.sendMessage({ type: 'downloadGraph', payload: graph }, (res) => {
+		chrome.runtime.sendMessage(message, (res) => {
 			const err = chrome.runtime.lastError;
 			if (err) {
 				console.error('[popup] download error', err.message);
@@ -402,26 +419,43 @@ class UICrawlerPopup {
 	});
 }
 
+	async downloadAccessMatrix() {
+		try {
+			const res = await chrome.runtime.sendMessage({ type: 'downloadAccessMatrix' });
+			if (!res?.ok) throw new Error(res?.error || 'Download failed');
+			const { states, elements, api_calls: apiCalls } = res.summary;
+			const leaks = states.privilege_leaks + elements.privilege_leaks + apiCalls.privilege_leaks;
+			this.setStatus(`Access matrix: ${states.differing} states, ${elements.differing} elements, ${apiCalls.differing} API calls differ; ${leaks} possible privilege leaks`);
+		} catch (error) {
+			this.setStatus(`Error: ${String(error)}`);
+			console.error('[popup] downloadAccessMatrix error', error);
+		}
+	}
+
 	async downloadScreenshots() {
 		const { graph = { nodes: [], edges: [] } } = await chrome.storage.local.get(['graph']);
+		// Nodes reference their screenshots in the blob store
+		const { getDataUrl } = await import('./utils/blobStore.js');
 		const screenshots = [];
 		
-		graph.nodes.forEach(node => {
+		for (const node of graph.nodes) {
 			if (node.screenshots) {
-				if (node.screenshots.regular) {
+				const regular = node.screenshots.regular && await getDataUrl(node.screenshots.regular);
+				if (regular) {
 					screenshots.push({
-						dataUrl: node.screenshots.regular,
+						dataUrl: regular,
 						filename: `screenshot-${node.id}-regular.png`
 					});
 				}
-				if (node.screenshots.stats) {
+				const stats = node.screenshots.stats && await getDataUrl(node.screenshots.stats.screenshot);
+				if (stats) {
 					screenshots.push({
-						dataUrl: node.screenshots.stats.screenshot,
+						dataUrl: stats,
 						filename: `screenshot-${node.id}-stats.png`
 					});
 				}
 			}
-		});
+		}
 		
 		if (screenshots.length === 0) {
 			this.setStatus('No screenshots found in graph');
@@ -496,7 +530,10 @@ class UICrawlerPopup {
 	async clearAllData() {
 		if (confirm('Are you sure you want to clear all graph data? This cannot be undone.')) {
 			await chrome.storage.local.set({ graph: { nodes: [], edges: [] } });
+			await chrome.storage.local.remove('ui-crawler-checkpoint');
 			await chrome.runtime.sendMessage({ type: 'storeGraph', payload: { graph: { nodes: [], edges: [] } } });
+			const { clearBlobs } = await import('./utils/blobStore.js');
+			await clearBlobs();
 			this.updateStats();
 			this.setStatus('All data cleared');
 		}
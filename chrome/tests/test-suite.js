@@ -3,6 +3,20 @@
  * Tests all crawlable objects and edge cases from the reference document
  */
 
+import { canonicalizeUrl, createCanonicalizationRules } from '../utils/urlCanonicalizer.js';
+import { ScopeManager } from '../modules/scopeManager.js';
+import { CrawlStrategy } from '../modules/crawlStrategy.js';
+import { PolitenessScheduler } from '../modules/politenessScheduler.js';
+import { generatePatternMatch, generatePatternViolation, generateTestValues, generateValue, parseFieldDictionary } from '../utils/valueGenerators.js';
+import { AccessMatrix } from '../modules/accessMatrix.js';
+import { ActionGuard } from '../modules/actionGuard.js';
+import { ComponentRegistry, resolveElements } from '../modules/componentRegistry.js';
+import { createGraph, migrateGraph, SCHEMA_VERSION, validateGraph } from '../utils/graphSchema.js';
+import { GraphExporter } from '../modules/graphExporter.js';
+import { coveragePaths, keyElements, shortestPath } from '../utils/graphPaths.js';
+import { TEST_FRAMEWORKS, TestGenerator } from '../modules/testGenerator.js';
+import { GherkinExporter } from '../modules/gherkinExporter.js';
+
 export class CrawlerTestSuite {
     constructor() {
         this.testResults = [];
@@ -20,7 +34,8 @@ export class CrawlerTestSuite {
             timing: [],
             responsive: [],
             ecommerce: [],
-            storage: []
+            storage: [],
+            modules: []
         };
     }
 
@@ -44,7 +59,8 @@ export class CrawlerTestSuite {
             this.testTimingAndAsync,
             this.testResponsiveDesign,
             this.testEcommerceFeatures,
-            this.testStorageHandling
+            this.testStorageHandling,
+            this.testModuleBehaviour
         ];
         
         for (const testMethod of testMethods) {
@@ -1331,6 +1347,653 @@ export class CrawlerTestSuite {
         };
     }
 
+    /**
+     * Test the pure crawler modules against known inputs
+     */
+    async testModuleBehaviour() {
+        const tests = [
+            this.testUrlCanonicalizer,
+            this.testRobotsParsing,
+            this.testSitemapParsing,
+            this.testScopePatterns,
+            this.testCrawlStrategy,
+            this.testPolitenessScheduler,
+            this.testValueGenerators,
+            this.testProbeValues,
+            this.testAccessMatrix,
+            this.testActionGuard,
+            this.testComponentRegistry,
+            this.testGraphSchema,
+            this.testGraphExporter,
+            this.testGraphPaths,
+            this.testTestGenerator,
+            this.testGherkinExporter
+        ];
+        
+        for (const test of tests) {
+            const result = await test.call(this);
+            this.testCategories.modules.push(result);
+        }
+    }
+
+    /**
+     * Compare [label, actual, expected] cases and report the mismatches
+     */
+    checkCases(name, cases) {
+        const failures = cases
+            .filter(([, actual, expected]) => JSON.stringify(actual) !== JSON.stringify(expected))
+            .map(([label, actual, expected]) => ({ label, actual, expected }));
+        
+        return {
+            name,
+            total: cases.length,
+            failures,
+            status: failures.length === 0 ? 'passed' : 'failed'
+        };
+    }
+
+    /**
+     * Test URL canonicalization rules
+     */
+    async testUrlCanonicalizer() {
+        const rules = createCanonicalizationRules();
+        const keepAll = createCanonicalizationRules({ stripParams: '', sortParams: false, fragments: 'keep', stripTrailingSlash: false });
+        
+        return this.checkCases('URL Canonicalizer', [
+            ['strips tracking params', canonicalizeUrl('https://a.com/p?utm_source=x&id=1&fbclid=y', null, rules), 'https://a.com/p?id=1'],
+            ['sorts params', canonicalizeUrl('https://a.com/p?b=2&a=1', null, rules), 'https://a.com/p?a=1&b=2'],
+            ['lowercases host', canonicalizeUrl('https://EXAMPLE.com/Path', null, rules), 'https://example.com/Path'],
+            ['strips trailing slash', canonicalizeUrl('https://a.com/docs/', null, rules), 'https://a.com/docs'],
+            ['keeps root slash', canonicalizeUrl('https://a.com/', null, rules), 'https://a.com/'],
+            ['drops plain fragments', canonicalizeUrl('https://a.com/p#section', null, rules), 'https://a.com/p'],
+            ['keeps hash routes', canonicalizeUrl('https://a.com/#/users/1', null, rules), 'https://a.com/#/users/1'],
+            ['resolves relative hrefs', canonicalizeUrl('../x?sid=1', 'https://a.com/a/b/c', rules), 'https://a.com/a/x'],
+            ['rejects mailto', canonicalizeUrl('mailto:a@b.com', null, rules), null],
+            ['rejects garbage', canonicalizeUrl('http://', null, rules), null],
+            ['honours disabled rules', canonicalizeUrl('https://a.com/p/?utm_x=1&b=2&a=1#s', null, keepAll), 'https://a.com/p/?utm_x=1&b=2&a=1#s']
+        ]);
+    }
+
+    /**
+     * Test robots.txt parsing and rule precedence
+     */
+    async testRobotsParsing() {
+        const scope = new ScopeManager();
+        const robots = scope.parseRobots([
+            'User-agent: Googlebot',
+            'Disallow: /',
+            '',
+            'User-agent: *',
+            'Disallow: /admin # staff only',
+            'Allow: /admin/public',
+            'Disallow: /*.pdf$',
+            'Disallow:',
+            'Crawl-delay: 2.5',
+            'Sitemap: https://a.com/sitemap_index.xml'
+        ].join('\n'));
+        const allowed = path => scope.isAllowedByRobots(`https://a.com${path}`, robots);
+        
+        return this.checkCases('Robots.txt Parsing', [
+            ['picks the wildcard group', robots.rules.length, 3],
+            ['reads crawl-delay', robots.crawlDelay, 2.5],
+            ['collects sitemaps', robots.sitemaps, ['https://a.com/sitemap_index.xml']],
+            ['disallows prefix', allowed('/admin/users'), false],
+            ['longest allow wins', allowed('/admin/public/page'), true],
+            ['anchored wildcard', allowed('/files/report.pdf'), false],
+            ['anchor stops at end', allowed('/files/report.pdf?v=1'), true],
+            ['unmatched paths allowed', allowed('/about'), true],
+            ['named agent group', new ScopeManager().parseRobots('User-agent: UICrawler\nDisallow: /private').rules.length, 1],
+            ['patterns exclude before include', new ScopeManager({ include: '/shop/*', exclude: '/shop/cart*' }).checkPatterns('https://a.com/shop/cart').allowed, false],
+            ['patterns include paths', new ScopeManager({ include: '/shop/*' }).checkPatterns('https://a.com/blog/x').allowed, false]
+        ]);
+    }
+
+    /**
+     * Test sitemap and sitemap index parsing
+     */
+    async testSitemapParsing() {
+        const scope = new ScopeManager();
+        const urlset = scope.parseSitemap(
+            '<?xml version="1.0"?><urlset><url><loc> https://a.com/a?x=1&amp;y=2 </loc></url>' +
+            '<url><loc><![CDATA[https://a.com/b]]></loc></url></urlset>'
+        );
+        const index = scope.parseSitemap('<sitemapindex><sitemap><loc>https://a.com/s1.xml</loc></sitemap></sitemapindex>');
+        
+        return this.checkCases('Sitemap Parsing', [
+            ['reads url entries', urlset.locs, ['https://a.com/a?x=1&y=2', 'https://a.com/b']],
+            ['urlset is not an index', urlset.isIndex, false],
+            ['detects sitemap index', index.isIndex, true],
+            ['reads index entries', index.locs, ['https://a.com/s1.xml']]
+        ]);
+    }
+
+    /**
+     * Test include/exclude pattern compilation and matching
+     */
+    async testScopePatterns() {
+        const scope = new ScopeManager({ include: 're:/item/\\d{1,3}$\n/admin/', exclude: '*.pdf' });
+        const matches = url => scope.matchPattern(url, scope.include)?.source || null;
+        
+        return this.checkCases('Scope Patterns', [
+            ['one pattern per line', scope.include.map(p => p.source), ['re:/item/\\d{1,3}$', '/admin/']],
+            ['regex with commas', matches('https://a.com/item/42'), 're:/item/\\d{1,3}$'],
+            ['regex quantifier bound', matches('https://a.com/item/1234'), null],
+            ['slashed glob is a path', scope.include[1].target, 'path'],
+            ['path glob anchored', matches('https://a.com/admin/'), '/admin/'],
+            ['path glob not a substring', matches('https://a.com/x/admin/y'), null],
+            ['url glob', scope.checkPatterns('https://a.com/file.PDF').allowed, false],
+            ['invalid regex skipped', new ScopeManager({ exclude: 're:(' }).exclude.length, 0]
+        ]);
+    }
+
+    /**
+     * Test frontier ordering and the seeded random walk
+     */
+    async testCrawlStrategy() {
+        const queue = Array.from({ length: 8 }, (_, i) => ({ url: `https://a.com/p/${i}`, parentId: 'x', depth: 1 }));
+        const walk = (strategy, steps) => Array.from({ length: steps }, () => strategy.selectIndex(queue));
+        const seeded = new CrawlStrategy({ name: 'random', seed: 42 });
+        const replay = new CrawlStrategy({ name: 'random', seed: 42 });
+        const firstSteps = walk(seeded, 5);
+        const resumed = new CrawlStrategy(seeded.toJSON());
+        const neighbours = new CrawlStrategy({ name: 'random', seed: 3, lastStateId: 'p' });
+        const withNeighbour = queue.map((item, i) => (i === 5 ? { ...item, parentId: 'p' } : item));
+
+        const coverage = new CrawlStrategy({ name: 'coverage' });
+        coverage.observe({ id: 'rich', url: 'https://a.com/shop', elements: [{ nodeType: 'button', selector: '#buy', category: 'forms', subcategory: 'buttons' }] });
+        coverage.observe({ id: 'poor', url: 'https://a.com/blog', elements: [] });
+        
+        return this.checkCases('Crawl Strategy', [
+            ['bfs takes the oldest item', new CrawlStrategy({ name: 'bfs' }).selectIndex(queue), 0],
+            ['dfs takes the newest item', new CrawlStrategy({ name: 'dfs' }).selectIndex(queue), 7],
+            ['unknown strategy falls back to bfs', new CrawlStrategy({ name: 'nope' }).name, 'bfs'],
+            ['same seed, same walk', walk(replay, 5), firstSteps],
+            ['different seed, different walk', walk(new CrawlStrategy({ name: 'random', seed: 7 }), 5), [0, 0, 7, 5, 4]],
+            ['resumed walk continues', walk(resumed, 3), walk(seeded, 3)],
+            ['walk steps to a neighbour', neighbours.selectIndex(withNeighbour), 5],
+            ['coverage prefers richer parent', coverage.selectIndex([
+                { url: 'https://a.com/blog', parentId: 'poor', depth: 1 },
+                { url: 'https://a.com/shop', parentId: 'rich', depth: 1 }
+            ]), 1],
+            ['coverage prefers new templates', coverage.selectIndex([
+                { url: 'https://a.com/shop', parentId: 'poor', depth: 1 },
+                { url: 'https://a.com/help', parentId: 'poor', depth: 1 }
+            ]), 1],
+            ['coverage prefers shallower items', coverage.selectIndex([
+                { url: 'https://a.com/shop', parentId: 'rich', depth: 3 },
+                { url: 'https://a.com/shop', parentId: 'rich', depth: 2 }
+            ]), 1]
+        ]);
+    }
+
+    /**
+     * Test per-origin backoff, Retry-After handling and tab slots
+     */
+    async testPolitenessScheduler() {
+        const scheduler = new PolitenessScheduler({ backoffBase: 1000, backoffMax: 5000, maxTabsPerOrigin: 1 });
+        const url = 'https://a.com/page';
+        const exponential = [1, 2, 3, 4].map(() => scheduler.backoff(url));
+        scheduler.recordSuccess(url);
+        const afterSuccess = scheduler.backoff(url);
+        const retryAfter = scheduler.backoff(url, scheduler.parseRetryAfter('2'));
+        const cappedRetryAfter = scheduler.backoff(url, scheduler.parseRetryAfter('120'));
+        scheduler.setCrawlDelay(url, 1.5);
+
+        const release = await scheduler.acquire(url);
+        let second = false;
+        const waiting = scheduler.acquire('https://a.com/other').then(next => { second = true; return next; });
+        await Promise.resolve();
+        const heldBack = !second;
+        release();
+        (await waiting)();
+        const otherOrigin = await scheduler.acquire('https://b.com/');
+        otherOrigin();
+
+        scheduler.responses.set(1, { statusCode: 429, retryAfter: 3000 });
+        scheduler.responses.set(2, { statusCode: 200, retryAfter: null });
+        
+        return this.checkCases('Politeness Scheduler', [
+            ['exponential backoff, capped', exponential, [1000, 2000, 4000, 5000]],
+            ['success resets the backoff', afterSuccess, 1000],
+            ['Retry-After wins', retryAfter, 2000],
+            ['Retry-After capped', cappedRetryAfter, 5000],
+            ['blocks the origin', scheduler.getStatistics().origins['https://a.com'].backoffRemaining > 0, true],
+            ['crawl-delay sets the interval', scheduler.getOrigin(url).minInterval, 1500],
+            ['Retry-After in seconds', scheduler.parseRetryAfter('3'), 3000],
+            ['Retry-After date in the past', scheduler.parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0],
+            ['invalid Retry-After', scheduler.parseRetryAfter('soon'), null],
+            ['tab slots per origin', heldBack, true],
+            ['slot handed over on release', second, true],
+            ['throttled response', scheduler.checkResponse(1), { reason: 'HTTP 429', retryAfter: 3000 }],
+            ['ordinary response', scheduler.checkResponse(2), null],
+            ['options clamped', new PolitenessScheduler({ maxTabsPerOrigin: 0, maxRequestsPerSecond: -1 }).options.maxTabsPerOrigin, 1]
+        ]);
+    }
+
+    /**
+     * Test typed form value generation
+     */
+    async testValueGenerators() {
+        const dictionary = parseFieldDictionary('email=me@site.test\nnewsletter=false\n=ignored');
+        
+        return this.checkCases('Value Generators', [
+            ['email type', generateValue({ type: 'email' }), 'crawler.test@example.com'],
+            ['name hint', generateValue({ type: 'text', name: 'billing_zip' }), '94105'],
+            ['skips hidden inputs', generateValue({ type: 'hidden' }), null],
+            ['number at min on step', generateValue({ type: 'number', min: '2', max: '10', step: '4' }), '2'],
+            ['number clamped to max', generateValue({ type: 'number', max: '0' }), '0'],
+            ['number step without min', generateValue({ type: 'number', step: '5' }), '0'],
+            ['number step below max', generateValue({ type: 'number', step: '2', max: '-1' }), '-2'],
+            ['inverted number range', generateValue({ type: 'number', min: '5', max: '3' }), null],
+            ['inverted date range', generateValue({ type: 'date', min: '2024-05-01', max: '2024-01-01' }), null],
+            ['date clamped to max', generateValue({ type: 'date', max: '2000-01-01' }), '2000-01-01'],
+            ['reversed time range', generateValue({ type: 'time', min: '22:00', max: '06:00' }), '22:00'],
+            ['pads to minlength', generateValue({ type: 'text', minlength: '12' }), 'Test inputxx'],
+            ['trims to maxlength', generateValue({ type: 'text', maxlength: '4' }), 'Test'],
+            ['first real option', generateValue({ type: 'select', options: [{ value: '' }, { value: 'a', disabled: true }, { value: 'b' }] }), 'b'],
+            ['parses name=value lines', dictionary, { email: 'me@site.test', newsletter: 'false' }],
+            ['parses JSON dictionaries', parseFieldDictionary('{"q": "shoes"}'), { q: 'shoes' }],
+            ['dictionary wins', generateValue({ type: 'email', name: 'email' }, dictionary), 'me@site.test'],
+            ['dictionary unchecks', generateValue({ type: 'checkbox', name: 'newsletter' }, dictionary), false]
+        ]);
+    }
+
+    /**
+     * Test pattern-aware values and the boundary probes built from field constraints
+     */
+    async testProbeValues() {
+        const probes = generateTestValues({ type: 'text', minlength: '3', maxlength: '5', pattern: '\\d+', required: true });
+        const expected = Object.fromEntries(probes.map(probe => [probe.value, probe.expected]));
+        const numberProbes = generateTestValues({ type: 'number', min: '5', max: '3' });
+        
+        return this.checkCases('Probe Values', [
+            ['pattern within lengths', generateValue({ type: 'text', minlength: '3', maxlength: '5', pattern: '[a-z]+' }), 'aaa'],
+            ['pattern with optional group', generatePatternMatch('\\d{5}(-\\d{4})?', { minLength: 10 }), '11111-1111'],
+            ['pattern of fixed length', generatePatternMatch('[A-Z]{2}\\d{3}'), 'AA111'],
+            ['unreachable length', generatePatternMatch('abc', { minLength: 6 }), null],
+            ['unsupported pattern', generatePatternMatch('(?=a)a'), null],
+            ['pattern violation', generatePatternViolation('[a-z]+'), '!'],
+            ['length probes match pattern', [expected['111'], expected['11'], expected['11111'], expected['111111']], ['accept', 'reject', 'accept', 'reject']],
+            ['empty required probe', expected[''], 'reject'],
+            ['inverted range probes', numberProbes.filter(probe => probe.expected === 'accept').length, 0]
+        ]);
+    }
+
+    /**
+     * Test role alignment and privilege inversion flags of the access matrix
+     */
+    async testAccessMatrix() {
+        const link = (text, selector) => ({ nodeType: 'a', text, selector, category: 'navigation', attributes: { href: `/${text.toLowerCase()}` } });
+        const button = text => ({ nodeType: 'button', text, selector: 'button', category: 'forms', attributes: {} });
+        const graphs = {
+            admin: { nodes: [{
+                id: 'a1', url: 'https://a.com/dashboard', elements: [link('Users', 'a:nth-of-type(1)'), button('Delete')],
+                api_calls: [{ method: 'GET', url: 'https://a.com/api/users/1', status: 200 }]
+            }] },
+            user: { nodes: [
+                {
+                    id: 'u1', url: 'https://a.com/dashboard?utm_source=mail', elements: [link('Users', 'a:nth-of-type(2)')],
+                    api_calls: [{ method: 'GET', url: 'https://a.com/api/users/2', status: 403 }]
+                },
+                { id: 'u2', url: 'https://a.com/admin', elements: [] }
+            ] },
+            anonymous: { nodes: [{ id: 'n1', url: 'https://a.com/login', elements: [], auth: { role: 'anonymous', login_page: true } }] }
+        };
+        const matrix = new AccessMatrix(['admin', 'user', 'anonymous']).build(graphs);
+        const state = url => matrix.states.find(row => row.key === url);
+        const element = text => matrix.elements.find(row => row.text === text);
+        
+        return this.checkCases('Access Matrix', [
+            ['aligns states by canonical URL', state('https://a.com/dashboard').nodes, { admin: ['a1'], user: ['u1'] }],
+            ['reach per role', state('https://a.com/dashboard').reach, { admin: true, user: true, anonymous: false }],
+            ['flags privilege inversion', state('https://a.com/admin').privilege_leak, true],
+            ['login page is no leak', [state('https://a.com/login').differs, state('https://a.com/login').privilege_leak], [true, false]],
+            ['aligns elements despite positional selectors', element('Users').differs, false],
+            ['role-specific element', element('Delete').reach, { admin: true, user: false, anonymous: null }],
+            ['templates API endpoints', matrix.api_calls.map(row => [row.endpoint, row.statuses]), [['https://a.com/api/users/{id}', { admin: [200], user: [403] }]]],
+            ['error status is unreachable', matrix.api_calls[0].reach, { admin: true, user: false, anonymous: false }],
+            ['summary', matrix.summary, {
+                states: { total: 3, differing: 3, privilege_leaks: 1 },
+                elements: { total: 2, differing: 1, privilege_leaks: 0 },
+                api_calls: { total: 1, differing: 1, privilege_leaks: 0 }
+            }]
+        ]);
+    }
+
+    /**
+     * Test action guard decisions for deny-list, logout and destructive controls
+     */
+    async testActionGuard() {
+        const container = document.createElement('div');
+        container.innerHTML = `
+            <button id="guard-save">Save</button>
+            <button id="guard-delete">Delete item</button>
+            <a id="guard-logout" href="/logout">Bye</a>
+            <a id="guard-signout" href="#">Sign out</a>
+            <button id="guard-archive">Archive</button>
+            <div class="no-touch"><span id="guard-inner">Open</span></div>
+            <a id="guard-billing" href="/billing/plans">Plans</a>
+            <button id="guard-danger" class="btn-danger">Go</button>
+            <form id="guard-method" action="/items/5" method="post"><input type="hidden" name="_method" value="delete"><button>Confirm</button></form>
+            <form id="guard-search" action="/search"><button>Find</button></form>`;
+        document.body.appendChild(container);
+        const guard = new ActionGuard({ patterns: 'text:Archive\nselector:.no-touch\nurl:/billing/*\nurl:re:/export/\\d{1,3}$' });
+        const element = id => container.querySelector(`#guard-${id}`);
+        const decide = id => guard.check(element(id));
+        
+        try {
+            return this.checkCases('Action Guard', [
+                ['allows ordinary controls', decide('save'), null],
+                ['destructive verb', decide('delete'), { reason: 'destructive', rule: 'verb "delete"' }],
+                ['logout URL', decide('logout'), { reason: 'logout', rule: 'logout URL' }],
+                ['logout text', decide('signout'), { reason: 'logout', rule: 'logout text' }],
+                ['deny-listed text', decide('archive'), { reason: 'deny-list', rule: 'text:Archive' }],
+                ['deny-listed ancestor selector', decide('inner'), { reason: 'deny-list', rule: 'selector:.no-touch' }],
+                ['deny-listed link URL', decide('billing'), { reason: 'deny-list', rule: '/billing/*' }],
+                ['danger marker', decide('danger'), { reason: 'destructive', rule: 'danger marker' }],
+                ['DELETE method override', guard.checkForm(element('method')), { reason: 'destructive', rule: 'DELETE method' }],
+                ['allows ordinary forms', guard.checkForm(element('search')), null],
+                ['deny-listed URL regex', guard.checkUrl('https://a.com/export/12'), { reason: 'deny-list', rule: 're:/export/\\d{1,3}$' }],
+                ['destructive URL', guard.checkUrl('https://a.com/account/delete?id=1'), { reason: 'destructive', rule: 'destructive URL' }],
+                ['heuristics off', new ActionGuard({ heuristics: false }).check(element('delete')), null],
+                ['guard off', new ActionGuard({ enabled: false }).check(element('logout')), null]
+            ]);
+        } finally {
+            container.remove();
+        }
+    }
+
+    /**
+     * Test shared component registration and per-page element differences
+     */
+    async testComponentRegistry() {
+        const registry = new ComponentRegistry();
+        const graph = { components: [] };
+        const header = [{ key: 0, id: 'cmp_a', kind: 'header', selector: 'header', fingerprint: 'a' }];
+        const capture = (id, texts) => ({
+            id,
+            elements: [{ text: 'Body' }, ...texts.map(text => ({ text, component: 0 }))],
+            components: header.map(component => ({ ...component }))
+        });
+        const first = capture('n1', ['Home', 'Alice']);
+        const same = capture('n2', ['Home', 'Alice']);
+        const renamed = capture('n3', ['Home', 'Bob']);
+        const longer = capture('n4', ['Home', 'Bob', 'Cart (2)']);
+        const added = registry.register(graph, first);
+        [same, renamed, longer].forEach(node => registry.register(graph, node));
+        const texts = node => resolveElements(graph, node).map(element => element.text);
+        
+        return this.checkCases('Component Registry', [
+            ['registers new components', added, ['cmp_a']],
+            ['stores component elements once', graph.components[0].elements, [{ text: 'Home' }, { text: 'Alice' }]],
+            ['counts nodes', graph.components[0].node_count, 4],
+            ['node keeps own elements', first.elements, [{ text: 'Body' }]],
+            ['node lists component ids', renamed.components, ['cmp_a']],
+            ['identical copy adds nothing', same.component_elements, undefined],
+            ['keeps differing text by index', renamed.component_elements, { cmp_a: { 1: { text: 'Bob' } } }],
+            ['keeps whole list when counts differ', longer.component_elements.cmp_a.length, 3],
+            ['resolves shared elements', texts(first), ['Body', 'Home', 'Alice']],
+            ['resolves page text', texts(renamed), ['Body', 'Home', 'Bob']],
+            ['resolves differing count', texts(longer), ['Body', 'Home', 'Bob', 'Cart (2)']]
+        ]);
+    }
+
+    /**
+     * Test graph schema migration and validation
+     */
+    async testGraphSchema() {
+        const legacy = {
+            nodes: [{ id: 'n1', url: 'https://a.com/', elements: [{ tagName: 'BUTTON', locators: { css: '#go' } }], stateVector: { links: 2, buttons: 1, visible_elements: 3 } }],
+            edges: [{ from: 'n1', to: 'n1' }]
+        };
+        const migrated = migrateGraph(legacy);
+        const current = createGraph();
+        const invalid = { ...migrated, edges: [{ from: 'n1', to: 5, action: { type: 'drag', selector: 'a', node_type: 'a', text: '' } }] };
+        const errors = validateGraph(invalid).errors.map(error => error.path).sort();
+        const rejects = (graph) => {
+            try {
+                migrateGraph(graph);
+                return false;
+            } catch (_) {
+                return true;
+            }
+        };
+        
+        return this.checkCases('Graph Schema', [
+            ['new graphs are valid', validateGraph(current).valid, true],
+            ['migrates to current version', migrated.schemaVersion, SCHEMA_VERSION],
+            ['migrated legacy graph is valid', validateGraph(migrated).errors, []],
+            ['converts counts-only vectors', [migrated.nodes[0].state_vector.elementCounts.links, migrated.nodes[0].state_vector.stateFeatures.hasVisibleElements], [2, true]],
+            ['normalises elements', [migrated.nodes[0].elements[0].selector, migrated.nodes[0].elements[0].nodeType], ['#go', 'button']],
+            ['defaults edge actions to nav', migrated.edges[0].action, { type: 'nav', selector: 'a[href]', node_type: 'a', text: '' }],
+            ['leaves the input alone', legacy.schemaVersion, undefined],
+            ['current graphs pass through', migrateGraph(current), current],
+            ['reports bad values by path', errors, ['$.edges[0].action.type', '$.edges[0].to']],
+            ['reports missing fields', validateGraph({ schemaVersion: SCHEMA_VERSION, nodes: [{ id: 'x' }], edges: [] }).errors.length, 5],
+            ['rejects newer versions', rejects({ schemaVersion: SCHEMA_VERSION + 1, nodes: [], edges: [] }), true],
+            ['rejects non-graphs', rejects({ edges: [] }), true]
+        ]);
+    }
+
+    /**
+     * Test escaping and the output of every export format
+     */
+    async testGraphExporter() {
+        const graph = {
+            schemaVersion: SCHEMA_VERSION,
+            nodes: [
+                { id: 'n1', title: 'Shop & "Deals" <new>', url: 'https://a.com/shop', elements: [{ text: 'Buy' }], state_vector: { elementCounts: { links: 2 } } },
+                { id: 'n2', title: '', url: 'https://a.com/dashboard', elements: [] }
+            ],
+            edges: [
+                { from: 'n1', to: 'n2', action: { type: 'click', selector: '#go', text: 'Go\n  now' }, route: { from: '/shop', to: '/dashboard' } },
+                { from: 'n1', to: null, action: { type: 'click', selector: '#delete', text: 'Delete' }, guarded: true }
+            ]
+        };
+        const exporter = new GraphExporter(graph);
+        const parses = xml => !new DOMParser().parseFromString(xml, 'application/xml').getElementsByTagName('parsererror').length;
+        const graphml = exporter.export('graphml');
+        const gexf = exporter.export('gexf').content;
+        const dot = exporter.export('dot').content;
+        const cytoscape = JSON.parse(exporter.export('cytoscape').content);
+        let unknownFormat = null;
+        try {
+            exporter.export('svg');
+        } catch (error) {
+            unknownFormat = error.message;
+        }
+        
+        return this.checkCases('Graph Exporter', [
+            ['escapes XML', exporter.escapeXml('a<b>&"c"\'\u0001'), 'a&lt;b&gt;&amp;&quot;c&quot;&apos;'],
+            ['quotes DOT strings', exporter.quoteDot('say "hi"\\\nbye'), '"say \\"hi\\"\\\\\\nbye"'],
+            ['leaves DOT numbers and booleans bare', [exporter.quoteDot(3), exporter.quoteDot(false)], ['3', 'false']],
+            ['rejects unknown formats', unknownFormat, 'Unknown export format "svg"'],
+            ['format metadata', [graphml.extension, graphml.mimeType], ['graphml', 'application/graphml+xml']],
+            ['GraphML is well-formed', parses(graphml.content), true],
+            ['GraphML node attributes', graphml.content.includes('<node id="n1"><data key="n_title">Shop &amp; &quot;Deals&quot; &lt;new&gt;</data>'), true],
+            ['GraphML leaves out guarded edges', graphml.content.match(/<edge /g).length, 1],
+            ['GEXF is well-formed', parses(gexf), true],
+            ['GEXF labels nodes by URL without a title', gexf.includes('<node id="n2" label="https://a.com/dashboard">'), true],
+            ['DOT colours stats pages', dot.includes('"n2" [label="https://a.com/dashboard", URL="https://a.com/dashboard", fillcolor="#ff6b6b"'), true],
+            ['DOT edge label', dot.includes('"n1" -> "n2" [label="click: Go now", action_type="click", action_text="Go\\n  now", selector="#go", route_change=true];'), true],
+            ['Cytoscape elements', [cytoscape.elements.nodes.length, cytoscape.elements.edges.length], [2, 1]],
+            ['Cytoscape edge data', cytoscape.elements.edges[0].data, {
+                id: 'e0', source: 'n1', target: 'n2', interaction: 'click', name: 'click: Go now',
+                action_type: 'click', action_text: 'Go\n  now', selector: '#go', route_change: true
+            }],
+            ['Cytoscape node attributes', cytoscape.elements.nodes[0].data.element_count, 1]
+        ]);
+    }
+
+    /**
+     * Test path finding and asserted elements for generated tests
+     */
+    async testGraphPaths() {
+        const edge = (from, to) => ({ from, to, action: { type: 'click' } });
+        // a -> b -> c, a -> c, c -> b (cycle), d and e only reach each other, f is isolated
+        const graph = {
+            nodes: ['a', 'b', 'c', 'd', 'e', 'f'].map(id => ({ id })),
+            edges: [edge('a', 'b'), edge('b', 'c'), edge('a', 'c'), edge('c', 'b'), edge('d', 'e'), edge('e', 'd'), edge('a', null), edge('a', 'gone')]
+        };
+        const route = (path) => path && [path.start.id, ...path.steps.map(step => step.to.id)].join('>');
+        const covered = coveragePaths(graph);
+        const coveredEdges = new Set(covered.flatMap(path => path.steps.map(step => step.edge)));
+        
+        const element = (css, extra = {}) => ({ visible: true, locators: { css, unique: true, stability: 0.8 }, ...extra });
+        const node = {
+            elements: [
+                element('#pay', { framePath: ['iframe#checkout'] }),
+                element('iframe#checkout', { frameId: 4 }),
+                element('my-card >>> button', { shadowDepth: 1 }),
+                element('#old'),
+                element('#stable', { locators: { css: '#stable', unique: true, stability: 1 } }),
+                element('#hidden', { visible: false }),
+                element('div:nth-of-type(3)', { locators: { css: 'div:nth-of-type(3)', unique: false } })
+            ]
+        };
+        
+        return this.checkCases('Graph Paths', [
+            ['shortest path', route(shortestPath(graph, 'c')), 'a>c'],
+            ['entry state path', route(shortestPath(graph, 'a')), 'a'],
+            ['cycle-only states get an entry', route(shortestPath(graph, 'e')), 'd>e'],
+            ['unknown state', shortestPath(graph, 'zzz'), null],
+            ['covers every followable edge', coveredEdges.size, 6],
+            ['drops prefix paths', covered.map(route).sort(), ['a>b>c', 'a>c>b', 'd>e>d', 'f']],
+            ['key elements skip frames and shadow roots', keyElements(node, null, 5).map(e => e.locators.css), ['#stable', '#old']],
+            ['key elements prefer new ones', keyElements(node, { elements: [element('#stable')] }, 1).map(e => e.locators.css), ['#old']]
+        ]);
+    }
+
+    /**
+     * Test the scripts generated for each framework
+     */
+    async testTestGenerator() {
+        const visible = css => ({ visible: true, locators: { css, unique: true, stability: 0.9 } });
+        const home = { id: 'home', title: 'Home', url: 'https://a.com/', elements: [visible('#login')] };
+        const signIn = { id: 'signin', title: 'Sign "in"', url: 'https://a.com/login', elements: [visible('#login'), visible('form#signin')] };
+        const account = { id: 'account', title: 'Account', url: 'https://a.com/account', elements: [visible('#welcome')] };
+        const menu = { id: 'menu', title: '', url: 'https://a.com/account', elements: [] };
+        const path = {
+            start: home,
+            steps: [
+                { from: home, to: signIn, edge: { action: { type: 'click', selector: '#login', index: 0, text: 'Log  in', stability: 0.3, locators: { xpath: "//a[@id='login']" } } } },
+                { from: signIn, to: account, edge: { action: { type: 'submit', selector: 'form#signin', data: { email: 'me@site.test' } } } },
+                { from: account, to: menu, edge: { action: { type: 'hover', selector: '.menu' } } },
+                { from: menu, to: home, edge: { action: { type: 'nav', url: 'https://a.com/' } } }
+            ]
+        };
+        const generator = new TestGenerator();
+        const lines = framework => generator.generate(framework, [path, { start: home, steps: [] }]).content.split('\n').map(line => line.trim());
+        const playwright = lines('playwright-ts');
+        const playwrightJs = lines('playwright-js');
+        const puppeteer = lines('puppeteer');
+        const selenium = lines('selenium');
+        const failure = (run) => {
+            try {
+                run();
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        };
+        
+        return this.checkCases('Test Generator', [
+            ['file extensions', Object.keys(TEST_FRAMEWORKS).map(framework => generator.generate(framework, [path]).extension), ['spec.ts', 'spec.js', 'test.js', 'test.js']],
+            ['one test per path', playwright.filter(line => line.startsWith('test(')), [
+                'test("1. Home → Home (4 steps)", async ({ page }) => {',
+                'test("2. Home", async ({ page }) => {'
+            ]],
+            ['Playwright TypeScript imports', playwright[0], "import { test, expect, type Locator, type Page } from '@playwright/test';"],
+            ['Playwright JavaScript is type-checked', playwrightJs[0], '// @ts-check'],
+            ['flags fragile selectors', playwright.includes('// 1. click "Log in" (fragile selector)'), true],
+            ['Playwright steps', [
+                'await find(page, "#login", 0, "//a[@id=\'login\']").click();',
+                'await submitForm(find(page, "form#signin"), {"email":"me@site.test"});',
+                'await find(page, ".menu").hover();',
+                'await expect(page).toHaveTitle("Sign \\"in\\"");',
+                'await expect(page.locator("form#signin")).toBeVisible();',
+                'await expect(page).toHaveURL("https://a.com/account");'
+            ].every(line => playwright.includes(line)), true],
+            ['asserts new key elements first', playwright
+                .slice(playwright.indexOf('// 1. click "Log in" (fragile selector)'))
+                .filter(line => line.startsWith('await expect(page.locator('))
+                .slice(0, 2), ['await expect(page.locator("form#signin")).toBeVisible();', 'await expect(page.locator("#login")).toBeVisible();']],
+            ['Puppeteer steps', [
+                "await page.goto(\"https://a.com/\", { waitUntil: 'networkidle2' });",
+                'await (await find(page, "#login", 0, "//a[@id=\'login\']")).click();',
+                'assert.equal(page.url(), "https://a.com/account");',
+                'await page.waitForSelector("#welcome", { visible: true, timeout: 10000 });'
+            ].every(line => puppeteer.includes(line)), true],
+            ['Selenium steps', [
+                'await driver.get("https://a.com/");',
+                'await driver.actions().move({ origin: await find(driver, ".menu") }).perform();',
+                'await submitForm(driver, await find(driver, "form#signin"), {"email":"me@site.test"});',
+                'await driver.wait(until.titleIs("Home"), TIMEOUT);',
+                'await expectVisible(driver, "#welcome");'
+            ].every(line => selenium.includes(line)), true],
+            ['unknown framework', failure(() => generator.generate('cypress', [path])), 'Unknown test framework "cypress"'],
+            ['no paths', failure(() => generator.generate('puppeteer', [])), 'No paths to generate tests from']
+        ]);
+    }
+
+    /**
+     * Test merging paths that differ only by form data into Scenario Outlines
+     */
+    async testGherkinExporter() {
+        const home = { id: 'home', title: 'Home', url: 'https://a.com/', elements: [] };
+        const account = { id: 'account', title: 'Account', url: 'https://a.com/account', elements: [] };
+        const help = { id: 'help', title: 'Help "FAQ"', url: 'https://a.com/help', elements: [] };
+        const submit = data => ({
+            start: home,
+            steps: [{ from: home, to: account, edge: { action: { type: 'submit', selector: 'form#signup', text: 'Sign up', data } } }]
+        });
+        const click = { start: home, steps: [{ from: home, to: help, edge: { action: { type: 'click', node_type: 'a', text: 'Help' } } }] };
+        const exporter = new GherkinExporter();
+        const paths = [submit({ email: 'a@x.test', 'news letter': true }), submit({ email: 'b|x', 'news letter': false }), submit({ email: 'a@x.test', 'news letter': true }), click];
+        const groups = exporter.groupScenarios(paths.map(path => exporter.buildScenario(path)));
+        const single = exporter.groupScenarios([exporter.buildScenario(paths[0])]);
+        const [feature] = exporter.generate(paths);
+        const lines = feature.content.split('\n').map(line => line.trim());
+        const slots = [];
+        
+        return this.checkCases('Gherkin Exporter', [
+            ['groups by steps, not values', groups.map(group => group.name), ['Reach Account from Home', 'Reach Help \'FAQ\' from Home']],
+            ['one example row per distinct value set', groups[0].rows, [['a@x.test', 'true'], ['b\\|x', 'false']]],
+            ['placeholders named after fields', groups[0].slots.map(slot => slot.name), ['email', 'news_letter']],
+            ['single row stays a scenario', exporter.renderScenario(single[0], single[0].name).split('\n').map(line => line.trim()).slice(1, 4), [
+                'Scenario: Reach Account from Home',
+                'Given I am on the "Home" page at "https://a.com/"',
+                'When I fill in "email" with "a@x.test"'
+            ]],
+            ['feature per entry state', [feature.name, lines[1]], ['home', 'Feature: Flows from Home']],
+            ['renders an outline', [
+                'Scenario Outline: Reach Account from Home',
+                'When I fill in "email" with "<email>"',
+                'And I set "news letter" to "<news_letter>"',
+                'And I submit the "Sign up" form',
+                'Then I should be on the "Account" page at "https://a.com/account"',
+                'Examples:',
+                '| email    | news_letter |',
+                '| a@x.test | true        |',
+                '| b\\|x     | false       |'
+            ].every(line => lines.includes(line)), true],
+            ['click steps name the element', lines.includes('When I click the link "Help"'), true],
+            ['unique placeholder names', ['a b', 'a_b', 'a"b'].map(field => {
+                const slot = { name: exporter.slotName(field, slots) };
+                slots.push(slot);
+                return slot.name;
+            }), ['a_b', 'a_b_2', 'a_b_3']],
+            ['no paths', (() => {
+                try {
+                    exporter.generate([]);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            })(), 'No paths to export']
+        ]);
+    }
+
     /**
      * Generate test report
      */
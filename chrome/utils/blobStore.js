@@ -0,0 +1,159 @@
+/**
+ * Content-addressed blob storage for screenshots and DOM snapshots
+ * Blobs live in IndexedDB keyed by the SHA-256 of their content, so graphs only hold small
+ * references ({ blob, type, size }) and identical captures are stored once
+ */
+
+const BLOB_DB = 'ui-crawler-blobs';
+const BLOB_STORE = 'blobs';
+
+/**
+ * Open the IndexedDB database holding the blobs
+ */
+function openBlobDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(BLOB_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(BLOB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the blob store
+ */
+async function withBlobStore(mode, operation) {
+  const db = await openBlobDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction(BLOB_STORE, mode).objectStore(BLOB_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Check whether a value is a blob reference
+ */
+export function isBlobRef(value) {
+  return !!value && typeof value === 'object' && typeof value.blob === 'string';
+}
+
+/**
+ * Store a string, Blob or data URL and return its reference. Content already stored
+ * under the same hash is not written again
+ */
+export async function putBlob(data, type = 'application/octet-stream') {
+  const blob = data instanceof Blob
+    ? data
+    : /^data:/i.test(data) ? await (await fetch(data)).blob() : new Blob([data], { type });
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  const hash = Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+
+  const exists = await withBlobStore('readonly', store => store.count(hash));
+  if (!exists) {
+    await withBlobStore('readwrite', store => store.put(blob, hash));
+  }
+  return { blob: hash, type: blob.type || type, size: blob.size };
+}
+
+/**
+ * Load the Blob a reference points to; null when it is not in the store
+ */
+export async function getBlob(ref) {
+  if (!isBlobRef(ref)) return null;
+  return (await withBlobStore('readonly', store => store.get(ref.blob))) || null;
+}
+
+/**
+ * Load a referenced blob as a data URL. Values that are not references (inline
+ * data URLs of older graphs) are returned as they are
+ */
+export async function getDataUrl(value) {
+  if (!isBlobRef(value)) return value ?? null;
+  const blob = await getBlob(value);
+  if (!blob) return null;
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  // String.fromCharCode takes its arguments on the stack; convert in chunks
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || value.type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Load a referenced blob as text, e.g. a DOM snapshot
+ */
+export async function getText(value) {
+  if (!isBlobRef(value)) return value ?? null;
+  const blob = await getBlob(value);
+  return blob ? blob.text() : null;
+}
+
+/**
+ * Drop every stored blob
+ */
+export async function clearBlobs() {
+  await withBlobStore('readwrite', store => store.clear());
+}
+
+/**
+ * Move a node's screenshots and DOM snapshot into the store, replacing them with references
+ */
+export async function externalizeNode(node) {
+  const screenshots = node.screenshots;
+  if (screenshots?.regular && !isBlobRef(screenshots.regular)) {
+    screenshots.regular = await putBlob(screenshots.regular, 'image/png');
+  }
+  if (screenshots?.stats?.screenshot && !isBlobRef(screenshots.stats.screenshot)) {
+    screenshots.stats.screenshot = await putBlob(screenshots.stats.screenshot, 'image/png');
+  }
+  if (typeof node.dom_snapshot === 'string') {
+    node.dom_snapshot = await putBlob(node.dom_snapshot, 'text/html');
+  }
+  return node;
+}
+
+/**
+ * Move the blobs of every node of a graph into the store
+ */
+export async function externalizeGraph(graph) {
+  for (const node of graph.nodes || []) {
+    await externalizeNode(node);
+  }
+  return graph;
+}
+
+/**
+ * Copy of a graph with every reference replaced by its content: screenshots as data URLs
+ * and DOM snapshots as HTML, for exports that must stand on their own. References whose
+ * blob is missing are left out
+ */
+export async function bundleGraph(graph) {
+  const nodes = [];
+  for (const node of graph.nodes || []) {
+    const bundled = { ...node };
+    if (node.screenshots) {
+      bundled.screenshots = { ...node.screenshots };
+      if (node.screenshots.regular) {
+        bundled.screenshots.regular = await getDataUrl(node.screenshots.regular);
+        if (!bundled.screenshots.regular) delete bundled.screenshots.regular;
+      }
+      if (node.screenshots.stats) {
+        const screenshot = await getDataUrl(node.screenshots.stats.screenshot);
+        bundled.screenshots.stats = { ...node.screenshots.stats, screenshot };
+        if (!screenshot) delete bundled.screenshots.stats;
+      }
+    }
+    if (node.dom_snapshot) {
+      bundled.dom_snapshot = await getText(node.dom_snapshot);
+      if (bundled.dom_snapshot === null) delete bundled.dom_snapshot;
+    }
+    nodes.push(bundled);
+  }
+  return { ...graph, nodes };
+}
@@ -0,0 +1,122 @@
+/**
+ * Paths through the state graph for test generation
+ * A path starts at an entry state, reached by loading its URL, and follows recorded edges;
+ * paths are found breadth-first so each one uses the fewest actions
+ */
+
+/**
+ * Shortest paths from the entry states to every reachable state. Entry states are those
+ * no edge leads to; states only reachable from a cycle become entry states themselves,
+ * since every state can be loaded by its URL.
+ * Returns a map of node id to the edge that reaches it (null for entry states)
+ */
+function buildPathTree(graph) {
+  const nodes = graph.nodes || [];
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  // Guarded edges have no target and edges to dropped states cannot be followed
+  const edges = (graph.edges || []).filter(edge => byId.has(edge.from) && byId.has(edge.to) && edge.from !== edge.to);
+  const outgoing = new Map();
+  edges.forEach(edge => {
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  });
+
+  const reachedBy = new Map();
+  const visit = (roots) => {
+    const queue = [];
+    roots.forEach(node => {
+      reachedBy.set(node.id, null);
+      queue.push(node.id);
+    });
+    while (queue.length) {
+      const id = queue.shift();
+      (outgoing.get(id) || []).forEach(edge => {
+        if (reachedBy.has(edge.to)) return;
+        reachedBy.set(edge.to, edge);
+        queue.push(edge.to);
+      });
+    }
+  };
+
+  const targets = new Set(edges.map(edge => edge.to));
+  visit(nodes.filter(node => !targets.has(node.id)));
+  nodes.forEach(node => {
+    if (!reachedBy.has(node.id)) visit([node]);
+  });
+
+  return { byId, edges, reachedBy };
+}
+
+/**
+ * Path object for a list of edges: { start, steps: [{ edge, from, to }] }
+ */
+function toPath(byId, startId, edges) {
+  return {
+    start: byId.get(startId),
+    steps: edges.map(edge => ({ edge, from: byId.get(edge.from), to: byId.get(edge.to) }))
+  };
+}
+
+/**
+ * Edges of the tree path leading to a node
+ */
+function edgesTo(reachedBy, id) {
+  const edges = [];
+  for (let edge = reachedBy.get(id); edge; edge = reachedBy.get(edge.from)) {
+    edges.unshift(edge);
+  }
+  return edges;
+}
+
+/**
+ * Shortest path from an entry state to the given state, or null when it is not in the graph
+ */
+export function shortestPath(graph, targetId) {
+  const { byId, reachedBy } = buildPathTree(graph);
+  if (!reachedBy.has(targetId)) return null;
+
+  const edges = edgesTo(reachedBy, targetId);
+  return toPath(byId, edges.length ? edges[0].from : targetId, edges);
+}
+
+/**
+ * Paths that together perform every transition of the graph at least once. Each edge is
+ * covered by the shortest path to its source followed by the edge itself; paths that are
+ * the beginning of a longer path are dropped, and entry states without transitions get
+ * a path of their own
+ */
+export function coveragePaths(graph) {
+  const { byId, edges, reachedBy } = buildPathTree(graph);
+  const isolated = Array.from(reachedBy.keys())
+    .filter(id => reachedBy.get(id) === null && !edges.some(edge => edge.from === id));
+  const candidates = edges.map(edge => [...edgesTo(reachedBy, edge.from), edge]);
+
+  const isPrefix = (short, long) => short.length < long.length && short.every((edge, i) => long[i] === edge);
+  return [
+    ...candidates
+      .filter(path => !candidates.some(other => isPrefix(path, other)))
+      .map(path => toPath(byId, path[0].from, path)),
+    ...isolated.map(id => toPath(byId, id, []))
+  ];
+}
+
+/**
+ * Elements that identify a state in assertions: visible, with a verified unique locator,
+ * in the top document and outside shadow roots. Frame contents (`framePath`) and the iframe
+ * hosts themselves (`frameId`) are left out, since a page-level locator cannot reach into a
+ * frame. Elements the previous state did not have come first, then the most stable locators
+ */
+export function keyElements(node, previous = null, limit = 3) {
+  const before = new Set((previous?.elements || []).map(element => element.locators?.css || element.selector));
+  return (node?.elements || [])
+    .filter(element => element.visible !== false && element.locators?.unique && element.locators.css &&
+      element.frameId === undefined && !element.framePath?.length && !element.shadowDepth)
+    .map((element, i) => ({ element, i, distinct: !before.has(element.locators.css) }))
+    .sort((a, b) =>
+      (b.distinct - a.distinct) ||
+      ((b.element.locators.stability || 0) - (a.element.locators.stability || 0)) ||
+      (!!(b.element.text || '').trim() - !!(a.element.text || '').trim()) ||
+      (a.i - b.i))
+    .slice(0, limit)
+    .map(({ element }) => element);
+}
@@ -0,0 +1,392 @@
+/**
+ * Graph schema for stored and exported crawl graphs
+ * Defines a versioned JSON Schema of nodes, edges, elements, components and screenshots,
+ * validates graphs against it and migrates graphs written by older versions forward
+ */
+
+/**
+ * Version written to every graph. Graphs without `schemaVersion` are version 1
+ */
+export const SCHEMA_VERSION = 3;
+
+// Validation stops collecting errors after this many
+const MAX_ERRORS = 100;
+
+const STATE_VECTOR_GROUPS = {
+  elementCounts: ['links', 'buttons', 'inputs', 'forms', 'interactive', 'media'],
+  functionalFeatures: ['hasNavigation', 'hasForms', 'hasMedia', 'hasInteractive', 'hasAuthentication', 'hasEcommerce'],
+  contentFeatures: ['hasText', 'hasImages', 'hasVideos', 'hasAudio', 'hasCharts'],
+  stateFeatures: ['hasVisibleElements', 'hasHiddenElements', 'hasDisabledElements', 'hasSelectedElements'],
+  accessibilityFeatures: ['hasAriaLabels', 'hasAriaDescriptions', 'hasKeyboardNavigation', 'hasScreenReaderSupport']
+};
+
+const group = (keys, type) => ({
+  type: 'object',
+  required: keys,
+  properties: Object.fromEntries(keys.map(key => [key, { type }]))
+});
+
+/**
+ * JSON Schema (draft 2020-12) of a graph at SCHEMA_VERSION
+ */
+export const GRAPH_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `ui-crawler-graph/v${SCHEMA_VERSION}`,
+  title: 'UI Crawler graph',
+  type: 'object',
+  required: ['schemaVersion', 'nodes', 'edges'],
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    nodes: { type: 'array', items: { $ref: '#/$defs/node' } },
+    edges: { type: 'array', items: { $ref: '#/$defs/edge' } },
+    components: { type: 'array', items: { $ref: '#/$defs/component' } }
+  },
+  $defs: {
+    node: {
+      type: 'object',
+      required: ['id', 'url', 'title', 'timestamp', 'elements', 'state_vector'],
+      properties: {
+        id: { type: 'string' },
+        url: { type: 'string' },
+        canonical_url: { type: 'string' },
+        title: { type: 'string' },
+        timestamp: { type: 'number' },
+        dom_hash: { type: 'string' },
+        // Blob store reference, or the HTML itself in bundled exports
+        dom_snapshot: { anyOf: [{ $ref: '#/$defs/blobRef' }, { type: 'string' }] },
+        elements: { type: 'array', items: { $ref: '#/$defs/element' } },
+        components: { type: 'array', items: { type: 'string' } },
+        // Component id -> elements differing on this page, by index or as the whole list
+        component_elements: { type: 'object' },
+        state_vector: { $ref: '#/$defs/stateVector' },
+        screenshots: { $ref: '#/$defs/screenshots' },
+        frames: { type: 'array', items: { $ref: '#/$defs/frame' } },
+        metadata: { type: 'object' },
+        fingerprint: { type: 'object' },
+        api_calls: { type: 'array', items: { type: 'object', required: ['method', 'url'] } },
+        auth: { type: 'object', required: ['role'] },
+        input_tests: { type: 'array', items: { type: 'object' } },
+        visit_count: { type: 'integer', minimum: 1 },
+        merged_visits: { type: 'array', items: { type: 'object', required: ['url'] } }
+      }
+    },
+    edge: {
+      type: 'object',
+      required: ['from', 'to', 'action'],
+      properties: {
+        from: { type: 'string' },
+        // null for actions that were recorded but not performed
+        to: { type: ['string', 'null'] },
+        action: { $ref: '#/$defs/action' },
+        pre_url: { type: ['string', 'null'] },
+        post_url: { type: ['string', 'null'] },
+        timestamp: { type: 'number' },
+        status: { enum: ['unexplored'] },
+        guarded: { type: 'boolean' },
+        guard: { type: 'object', required: ['reason', 'rule'] },
+        route: { type: 'object', required: ['from', 'to', 'trigger'] }
+      }
+    },
+    action: {
+      type: 'object',
+      required: ['type', 'selector', 'node_type', 'text'],
+      properties: {
+        type: { enum: ['nav', 'click', 'hover', 'submit'] },
+        url: { type: 'string' },
+        selector: { type: 'string' },
+        index: { type: 'integer', minimum: 0 },
+        node_type: { type: 'string' },
+        text: { type: 'string' },
+        locators: { type: 'object' },
+        stability: { type: ['number', 'null'] },
+        data: { type: 'object' }
+      }
+    },
+    element: {
+      type: 'object',
+      required: ['selector', 'nodeType'],
+      properties: {
+        selector: { type: 'string' },
+        locators: {
+          type: 'object',
+          required: ['css'],
+          properties: {
+            css: { type: 'string' },
+            xpath: { type: ['string', 'null'] },
+            text: { type: ['string', 'null'] },
+            unique: { type: 'boolean' },
+            strategy: { type: 'string' },
+            stability: { type: 'number' }
+          }
+        },
+        nodeType: { type: 'string' },
+        category: { type: 'string' },
+        subcategory: { type: 'string' },
+        attributes: { type: 'object' },
+        visible: { type: 'boolean' },
+        boundingBox: group(['x', 'y', 'width', 'height'], 'number'),
+        text: { type: 'string' },
+        shadowDepth: { type: 'integer', minimum: 0 },
+        frameId: { type: 'integer' },
+        framePath: { type: 'array', items: { type: 'string' } },
+        functionalFeatures: { type: 'object' },
+        interactive: { type: 'object' },
+        accessibility: { type: 'object' }
+      }
+    },
+    stateVector: {
+      type: 'object',
+      required: Object.keys(STATE_VECTOR_GROUPS),
+      properties: Object.fromEntries(Object.entries(STATE_VECTOR_GROUPS)
+        .map(([name, keys]) => [name, group(keys, name === 'elementCounts' ? 'integer' : 'boolean')]))
+    },
+    // Screenshots are blob store references, or data URLs in bundled exports
+    screenshots: {
+      type: 'object',
+      properties: {
+        regular: { $ref: '#/$defs/image' },
+        stats: {
+          type: 'object',
+          required: ['screenshot'],
+          properties: {
+            type: { const: 'stats' },
+            screenshot: { $ref: '#/$defs/image' },
+            timestamp: { type: 'number' },
+            url: { type: 'string' },
+            confidence: { type: 'number' }
+          }
+        }
+      }
+    },
+    image: { anyOf: [{ $ref: '#/$defs/blobRef' }, { type: 'string' }] },
+    blobRef: {
+      type: 'object',
+      required: ['blob', 'type'],
+      properties: {
+        blob: { type: 'string' },
+        type: { type: 'string' },
+        size: { type: 'integer', minimum: 0 }
+      }
+    },
+    component: {
+      type: 'object',
+      required: ['id', 'kind', 'fingerprint', 'elements'],
+      properties: {
+        id: { type: 'string' },
+        kind: { type: 'string' },
+        selector: { type: 'string' },
+        fingerprint: { type: 'string' },
+        elements: { type: 'array', items: { $ref: '#/$defs/element' } },
+        first_node: { type: 'string' },
+        node_count: { type: 'integer', minimum: 0 }
+      }
+    },
+    frame: {
+      type: 'object',
+      required: ['frame_id', 'frame_path', 'url'],
+      properties: {
+        frame_id: { type: 'integer' },
+        parent_frame_id: { type: 'integer' },
+        frame_path: { type: 'array', items: { type: 'string' } },
+        url: { type: 'string' },
+        title: { type: 'string' },
+        dom_hash: { type: 'string' },
+        state_vector: { anyOf: [{ $ref: '#/$defs/stateVector' }, { type: 'null' }] },
+        element_count: { type: 'integer', minimum: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * Validate a graph against GRAPH_SCHEMA. Returns { valid, errors } where each error has the
+ * JSON path of the offending value and a message; at most MAX_ERRORS are reported
+ */
+export function validateGraph(graph) {
+  const errors = [];
+  validateValue(graph, GRAPH_SCHEMA, '$', errors);
+  return { valid: errors.length === 0, errors: errors.slice(0, MAX_ERRORS) };
+}
+
+/**
+ * Check a value against the subset of JSON Schema GRAPH_SCHEMA uses: $ref, type, const,
+ * enum, anyOf, required, properties, items and minimum
+ */
+function validateValue(value, schema, path, errors) {
+  if (errors.length >= MAX_ERRORS) return;
+  if (schema.$ref) {
+    schema = GRAPH_SCHEMA.$defs[schema.$ref.replace('#/$defs/', '')];
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateValue(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) errors.push({ path, message: 'does not match any allowed shape' });
+    return;
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    return;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => hasType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+    errors.push({ path, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    });
+    Object.entries(schema.properties || {}).forEach(([key, property]) => {
+      if (value[key] !== undefined) validateValue(value[key], property, `${path}.${key}`, errors);
+    });
+  }
+}
+
+/**
+ * JSON Schema type test
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Empty graph at the current schema version
+ */
+export function createGraph() {
+  return { schemaVersion: SCHEMA_VERSION, nodes: [], edges: [] };
+}
+
+/**
+ * Schema version of a graph; graphs written before versioning are version 1
+ */
+export function getSchemaVersion(graph) {
+  return Number.isInteger(graph?.schemaVersion) ? graph.schemaVersion : 1;
+}
+
+// Upgrades from each version to the next
+const MIGRATIONS = {
+  1: graph => ({
+    ...graph,
+    nodes: graph.nodes.map(node => ({
+      ...node,
+      title: node.title || '',
+      timestamp: node.timestamp || 0,
+      elements: (node.elements || []).map(normalizeElement),
+      state_vector: normalizeStateVector(node.state_vector || node.stateVector),
+      ...(Array.isArray(node.frames) ? {
+        frames: node.frames.map(frame => ({
+          ...frame,
+          state_vector: frame.state_vector ? normalizeStateVector(frame.state_vector) : null
+        }))
+      } : {})
+    })),
+    edges: graph.edges.map(edge => ({ ...edge, action: normalizeAction(edge.action) })),
+    ...(Array.isArray(graph.components) ? {
+      components: graph.components.map(component => ({
+        ...component,
+        elements: (component.elements || []).map(normalizeElement)
+      }))
+    } : {})
+  }),
+  // Screenshots and DOM snapshots may be blob store references; inline values stay valid
+  2: graph => graph
+};
+
+/**
+ * Bring a graph to the current schema version. Returns a new graph; a graph that is
+ * already current is returned with its lists defaulted. Graphs written by a newer
+ * version are rejected rather than guessed at
+ */
+export function migrateGraph(graph) {
+  if (!graph || typeof graph !== 'object' || !Array.isArray(graph.nodes)) {
+    throw new Error('Not a crawl graph: "nodes" is missing');
+  }
+  let version = getSchemaVersion(graph);
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Graph schema version ${version} is newer than the supported version ${SCHEMA_VERSION}`);
+  }
+
+  let migrated = { ...graph, edges: Array.isArray(graph.edges) ? graph.edges : [] };
+  for (; version < SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+  const { schemaVersion, ...rest } = migrated;
+  return { schemaVersion: SCHEMA_VERSION, ...rest };
+}
+
+/**
+ * State vector in the shape content.js produces. The counts-only vector captures
+ * stored when the enhanced collector was unavailable ({ visible_elements, inputs,
+ * links, buttons }) are converted; missing groups and keys are filled in
+ */
+export function normalizeStateVector(vector) {
+  const source = vector && typeof vector === 'object' ? vector : {};
+  const legacy = !source.elementCounts && ['visible_elements', 'inputs', 'links', 'buttons'].some(key => key in source);
+
+  const normalized = {};
+  Object.entries(STATE_VECTOR_GROUPS).forEach(([name, keys]) => {
+    const values = source[name] || {};
+    normalized[name] = Object.fromEntries(keys.map(key => [
+      key,
+      name === 'elementCounts' ? (Number.isInteger(values[key]) ? values[key] : 0) : !!values[key]
+    ]));
+  });
+
+  if (legacy) {
+    normalized.elementCounts.links = source.links || 0;
+    normalized.elementCounts.buttons = source.buttons || 0;
+    normalized.elementCounts.inputs = source.inputs || 0;
+    normalized.stateFeatures.hasVisibleElements = (source.visible_elements || 0) > 0;
+  }
+  return normalized;
+}
+
+/**
+ * Edge action with the fields every action has; link navigations recorded without
+ * an action become "nav" actions
+ */
+export function normalizeAction(action) {
+  const source = action && typeof action === 'object' ? action : {};
+  return {
+    ...source,
+    type: ['nav', 'click', 'hover', 'submit'].includes(source.type) ? source.type : 'nav',
+    selector: source.selector || 'a[href]',
+    node_type: source.node_type || source.nodeType || (source.type && source.type !== 'nav' ? 'unknown' : 'a'),
+    text: typeof source.text === 'string' ? source.text : ''
+  };
+}
+
+/**
+ * Element with its selector and tag name present
+ */
+function normalizeElement(element) {
+  return {
+    ...element,
+    selector: element.selector || element.locators?.css || '',
+    nodeType: (element.nodeType || element.tagName || 'unknown').toLowerCase()
+  };
+}
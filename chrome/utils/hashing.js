@@ -78,8 +78,21 @@ export function extractElementFeatures(element) {
  * Hash a set of features
  */
 export function hashFeatures(features) {
-  const featureString = JSON.stringify(features, Object.keys(features).sort());
-  return btoa(featureString).replace(/[^a-zA-Z0-9]/g, '');
+  const featureString = stableStringify(features);
+  return btoa(unescape(encodeURIComponent(featureString))).replace(/[^a-zA-Z0-9]/g, '');
+}
+
+/**
+ * Serialize with object keys sorted at every level so equal features hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
 }
 
 /**
@@ -470,10 +483,10 @@ export function calculateStateVectorSimilarity(vector1, vector2) {
 }
 
 /**
- * Create a page fingerprint based on functional features
+ * Create a page fingerprint based on functional features.
+ * Pass a precomputed state vector when the elements are already serialized
  */
-export async function createPageFingerprint(elements, url, title) {
-  const stateVector = createStateVector(elements);
+export async function createPageFingerprint(elements, url, title, stateVector = createStateVector(elements)) {
   const vectorHash = hashStateVector(stateVector);
   
   // Create a composite hash including URL structure and title keywords
@@ -495,7 +508,7 @@ export async function createPageFingerprint(elements, url, title) {
 /**
  * Extract URL structure (ignoring specific values)
  */
-function extractUrlStructure(url) {
+export function extractUrlStructure(url) {
   try {
     const urlObj = new URL(url);
     const pathSegments = urlObj.pathname.split('/').filter(segment => segment.length > 0);
@@ -522,10 +535,19 @@ function extractUrlStructure(url) {
   }
 }
 
+/**
+ * Check whether two URLs share the same structure (host and templated path)
+ */
+export function haveSameUrlStructure(url1, url2) {
+  const structure1 = extractUrlStructure(url1);
+  const structure2 = extractUrlStructure(url2);
+  return structure1.hostname === structure2.hostname && structure1.path === structure2.path;
+}
+
 /**
  * Extract keywords from title
  */
-function extractTitleKeywords(title) {
+function extractTitleKeywords(title = '') {
   const commonWords = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
   const words = title.toLowerCase()
     .replace(/[^\w\s]/g, ' ')
@@ -0,0 +1,102 @@
+/**
+ * Encrypted storage for credentials kept in extension storage
+ * Values are sealed with AES-GCM under a non-extractable key that lives in IndexedDB,
+ * so chrome.storage only ever holds ciphertext
+ */
+
+const KEY_DB = 'ui-crawler-keys';
+const KEY_STORE = 'keys';
+const KEY_ID = 'secrets';
+
+let keyPromise = null;
+
+/**
+ * Open the IndexedDB database holding the encryption key
+ */
+function openKeyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the key store
+ */
+async function withKeyStore(mode, operation) {
+  const db = await openKeyDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction(KEY_STORE, mode).objectStore(KEY_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Load the encryption key, generating it on first use. The key is created
+ * non-extractable: it can be used by the extension but never read back out
+ */
+export function getSecretKey() {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const existing = await withKeyStore('readonly', store => store.get(KEY_ID));
+      if (existing) return existing;
+
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await withKeyStore('readwrite', store => store.put(key, KEY_ID));
+      return key;
+    })().catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+}
+
+/**
+ * Base64 encode a byte array
+ */
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string to a byte array
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Encrypt a JSON-serialisable value. Returns { v, iv, data } with base64 fields
+ */
+export async function encryptJson(value) {
+  const key = await getSecretKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plain = new TextEncoder().encode(JSON.stringify(value));
+  const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+  return { v: 1, iv: toBase64(iv), data: toBase64(new Uint8Array(cipher)) };
+}
+
+/**
+ * Decrypt a value sealed by encryptJson. Returns null when it cannot be
+ * decrypted, e.g. because the key store was cleared
+ */
+export async function decryptJson(sealed) {
+  if (!sealed?.iv || !sealed?.data) return null;
+  try {
+    const key = await getSecretKey();
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (_) {
+    return null;
+  }
+}
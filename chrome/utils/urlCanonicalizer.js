@@ -0,0 +1,102 @@
+/**
+ * URL canonicalization for the crawl frontier
+ * Collapses tracking parameters, parameter order, trailing slashes and fragment variants into one URL
+ */
+
+/**
+ * Default canonicalization rules
+ */
+export const DEFAULT_CANONICALIZATION = {
+  stripParams: ['utm_*', 'fbclid', 'gclid', 'msclkid', 'sessionid', 'jsessionid', 'phpsessid', 'sid'],
+  sortParams: true,
+  fragments: 'hashRoutes', // ignore | hashRoutes | keep
+  honourCanonical: true,
+  lowercaseHost: true,
+  stripTrailingSlash: true
+};
+
+/**
+ * Merge user supplied rules over the defaults
+ */
+export function createCanonicalizationRules(options = {}) {
+  const rules = { ...DEFAULT_CANONICALIZATION, ...options };
+  if (typeof rules.stripParams === 'string') {
+    rules.stripParams = rules.stripParams.split(/[\s,]+/);
+  }
+  rules.stripParams = (rules.stripParams || []).map(p => p.trim().toLowerCase()).filter(Boolean);
+  if (!['ignore', 'hashRoutes', 'keep'].includes(rules.fragments)) {
+    rules.fragments = DEFAULT_CANONICALIZATION.fragments;
+  }
+  return rules;
+}
+
+/**
+ * Resolve an href against a base URL and canonicalize it.
+ * Returns null for unparseable or non-http(s)/file URLs
+ */
+export function canonicalizeUrl(href, base, rules = DEFAULT_CANONICALIZATION) {
+  let url;
+  try {
+    url = base ? new URL(href, base) : new URL(href);
+  } catch (e) {
+    return null;
+  }
+
+  if (!['http:', 'https:', 'file:'].includes(url.protocol)) {
+    return null;
+  }
+
+  if (rules.lowercaseHost) {
+    url.hostname = url.hostname.toLowerCase();
+  }
+
+  if (rules.stripParams && rules.stripParams.length) {
+    for (const name of Array.from(url.searchParams.keys())) {
+      if (matchesParamRule(name, rules.stripParams)) {
+        url.searchParams.delete(name);
+      }
+    }
+  }
+
+  if (rules.sortParams) {
+    url.searchParams.sort();
+  }
+
+  if (rules.stripTrailingSlash && url.pathname.length > 1 && url.pathname.endsWith('/')) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  url.hash = canonicalFragment(url.hash, rules.fragments);
+
+  return url.toString();
+}
+
+/**
+ * Check whether a query parameter name matches any strip rule (supports trailing * wildcards)
+ */
+function matchesParamRule(name, patterns) {
+  const lower = name.toLowerCase();
+  return patterns.some(pattern => {
+    if (pattern.endsWith('*')) {
+      return lower.startsWith(pattern.slice(0, -1));
+    }
+    return lower === pattern;
+  });
+}
+
+/**
+ * Keep only the fragments the rules treat as part of the route
+ */
+function canonicalFragment(hash, mode) {
+  if (!hash || hash === '#') return '';
+  if (mode === 'keep') return hash;
+  if (mode === 'hashRoutes' && isHashRoute(hash)) return hash;
+  return '';
+}
+
+/**
+ * Check whether a fragment looks like a client-side route (#/path or #!/path)
+ */
+export function isHashRoute(hash) {
+  return /^#!?\//.test(hash || '');
+}
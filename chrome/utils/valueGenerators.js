@@ -0,0 +1,605 @@
+/**
+ * Typed value generation for form fields
+ * Produces plausible values from an input's type, name and attributes, with user dictionaries taking precedence,
+ * plus constraint-aware boundary and invalid values for probing input validation
+ */
+
+/**
+ * Sample values keyed by the kind of data a field asks for
+ */
+export const SAMPLE_VALUES = {
+  email: 'crawler.test@example.com',
+  tel: '+15555550123',
+  url: 'https://example.com',
+  password: 'Crawl3r!Test',
+  search: 'test',
+  postal: '94105',
+  firstName: 'Ada',
+  lastName: 'Lovelace',
+  name: 'Ada Lovelace',
+  username: 'crawler_test',
+  company: 'Example Inc',
+  street: '1 Test Street',
+  city: 'Springfield',
+  country: 'United States',
+  age: '30',
+  message: 'Automated test input',
+  text: 'Test input'
+};
+
+// Field name/id/autocomplete hints, checked in order
+const NAME_HINTS = [
+  [/e-?mail/, 'email'],
+  [/phone|tel|mobile/, 'tel'],
+  [/zip|postal|postcode/, 'postal'],
+  [/first.?name|given/, 'firstName'],
+  [/last.?name|surname|family/, 'lastName'],
+  [/user/, 'username'],
+  [/name/, 'name'],
+  [/company|organi[sz]ation/, 'company'],
+  [/address|street/, 'street'],
+  [/city|town/, 'city'],
+  [/country/, 'country'],
+  [/url|website|homepage/, 'url'],
+  [/pass/, 'password'],
+  [/search|query|^q$/, 'search'],
+  [/\bage\b/, 'age'],
+  [/message|comment|description|body|note/, 'message']
+];
+
+// Input types the generator never fills
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'];
+
+/**
+ * Describe a form control for the value generators
+ */
+export function describeField(element) {
+  const tag = element.tagName.toLowerCase();
+  return {
+    tag,
+    type: tag === 'input' ? (element.type || 'text').toLowerCase() : tag,
+    name: element.name || '',
+    id: element.id || '',
+    autocomplete: element.getAttribute('autocomplete') || '',
+    placeholder: element.getAttribute('placeholder') || '',
+    min: element.getAttribute('min'),
+    max: element.getAttribute('max'),
+    step: element.getAttribute('step'),
+    minlength: element.getAttribute('minlength'),
+    maxlength: element.getAttribute('maxlength'),
+    pattern: element.getAttribute('pattern'),
+    required: !!element.required,
+    options: tag === 'select'
+      ? Array.from(element.options).map(o => ({ value: o.value, disabled: o.disabled }))
+      : []
+  };
+}
+
+/**
+ * Parse a user value dictionary: a JSON object, or one `name=value` pair per line
+ */
+export function parseFieldDictionary(source) {
+  if (!source) return {};
+  if (typeof source === 'object') return source;
+
+  const text = String(source).trim();
+  if (text.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (e) {
+      console.warn('[forms] invalid value dictionary:', e);
+      return {};
+    }
+  }
+
+  const dictionary = {};
+  text.split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf('=');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim();
+    if (name) dictionary[name] = line.slice(separator + 1).trim();
+  });
+  return dictionary;
+}
+
+/**
+ * Look up a user supplied value for a field by name, then id
+ */
+export function lookupDictionaryValue(field, dictionary = {}) {
+  for (const key of [field.name, field.id]) {
+    if (key && Object.prototype.hasOwnProperty.call(dictionary, key)) {
+      const value = dictionary[key];
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Generate a value for a field description
+ * ({ tag, type, name, id, autocomplete, min, max, step, minlength, maxlength, options }).
+ * Returns a string, a boolean for checkboxes and radios, or null when the field should be left alone
+ */
+export function generateValue(field, dictionary = {}) {
+  const type = (field.type || field.tag || 'text').toLowerCase();
+  if (SKIPPED_TYPES.includes(type)) return null;
+
+  const supplied = lookupDictionaryValue(field, dictionary);
+  if (supplied !== undefined) {
+    return type === 'checkbox' || type === 'radio' ? supplied !== false && supplied !== 'false' : String(supplied);
+  }
+
+  switch (type) {
+    case 'checkbox':
+    case 'radio':
+      return true;
+    case 'select':
+    case 'select-one':
+    case 'select-multiple':
+      return pickOption(field.options);
+    case 'number':
+    case 'range': {
+      const number = generateNumber(field);
+      return number === null ? null : String(number);
+    }
+    case 'date':
+      return clampString(formatDate(new Date()), field.min, field.max);
+    case 'datetime-local':
+      return clampString(`${formatDate(new Date())}T12:00`, field.min, field.max);
+    case 'month':
+      return clampString(formatDate(new Date()).slice(0, 7), field.min, field.max);
+    case 'week':
+      return clampString(`${new Date().getFullYear()}-W10`, field.min, field.max);
+    case 'time':
+      // A reversed time range wraps past midnight, so min itself is valid
+      return isInverted(field.min, field.max) ? field.min : clampString('12:00', field.min, field.max);
+    case 'color':
+      return '#336699';
+    case 'email':
+    case 'tel':
+    case 'url':
+    case 'password':
+    case 'search':
+      return fitPattern(fitLength(SAMPLE_VALUES[type], field), field);
+    default:
+      return fitPattern(fitLength(SAMPLE_VALUES[hintFor(field)] || SAMPLE_VALUES.text, field), field);
+  }
+}
+
+/**
+ * Swap a sample value for one generated from the field's pattern when it does not match.
+ * The generated value has to satisfy minlength/maxlength too
+ */
+function fitPattern(value, field) {
+  if (!field.pattern) return value;
+  const regex = compileFieldPattern(field.pattern);
+  if (!regex || regex.test(value)) return value;
+  return generatePatternMatch(field.pattern, lengthBounds(field)) || value;
+}
+
+/**
+ * minlength/maxlength of a field as numbers (null when absent)
+ */
+function lengthBounds(field) {
+  return { minLength: toNumber(field.minlength), maxLength: toNumber(field.maxlength) };
+}
+
+/**
+ * Guess what a free-text field asks for from its name, id, autocomplete and placeholder
+ */
+function hintFor(field) {
+  const source = [field.name, field.id, field.autocomplete, field.placeholder]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  const match = NAME_HINTS.find(([pattern]) => pattern.test(source));
+  return match ? match[1] : 'text';
+}
+
+/**
+ * First enabled option with a non-empty value (placeholders usually have an empty one)
+ */
+function pickOption(options = []) {
+  const usable = options.filter(o => !o.disabled);
+  const option = usable.find(o => o.value !== '') || usable[0];
+  return option ? option.value : null;
+}
+
+/**
+ * A number inside [min, max] that lands on the step grid, or null when min > max leaves no valid number
+ */
+function generateNumber(field) {
+  const min = toNumber(field.min);
+  const max = toNumber(field.max);
+  const step = toNumber(field.step);
+  if (isInverted(min, max)) return null;
+
+  let value = min !== null ? min : 1;
+  if (max !== null && value > max) value = max;
+  if (step && step > 0) {
+    // Valid values are min + k * step, or k * step without a min
+    const base = min !== null ? min : 0;
+    value = base + Math.round((value - base) / step) * step;
+    if (max !== null && value > max) value -= step;
+  }
+  return value;
+}
+
+/**
+ * Keep an ISO-formatted date/time string within min/max (lexical order works for these formats).
+ * Returns null when min > max leaves no valid value
+ */
+function clampString(value, min, max) {
+  if (isInverted(min, max)) return null;
+  if (min && value < min) return min;
+  if (max && value > max) return max;
+  return value;
+}
+
+/**
+ * Respect minlength/maxlength
+ */
+function fitLength(value, field) {
+  let result = value;
+  const minLength = toNumber(field.minlength);
+  const maxLength = toNumber(field.maxlength);
+  if (minLength !== null && result.length < minLength) {
+    result = result.padEnd(minLength, 'x');
+  }
+  if (maxLength !== null && maxLength >= 0 && result.length > maxLength) {
+    result = result.slice(0, maxLength);
+  }
+  return result;
+}
+
+/**
+ * Check whether both limits are set and min is above max
+ */
+function isInverted(min, max) {
+  return min !== null && min !== undefined && min !== '' &&
+    max !== null && max !== undefined && max !== '' && min > max;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Malformed values per input type, beyond what the attributes constrain
+const INVALID_TYPE_VALUES = {
+  email: ['invalid-email', 'test@', '@test.com', 'test..test@test.com'],
+  url: ['not a url', 'http//missing-colon'],
+  number: ['abc', '1e1000'],
+  range: ['abc'],
+  date: ['2024-13-45', 'not-a-date'],
+  tel: ['not-a-phone']
+};
+
+const TEXT_TYPES = ['text', 'email', 'tel', 'url', 'password', 'search', 'textarea'];
+
+/**
+ * Generate values that exercise a field's constraints (min, max, step, minlength,
+ * maxlength, required, pattern): one valid value, boundary values on both sides of each
+ * limit and malformed values. Each entry is { type, kind, value, expected } where kind is
+ * valid | boundary | invalid and expected is accept | reject
+ */
+export function generateTestValues(field) {
+  const type = (field.type || field.tag || 'text').toLowerCase();
+  if (SKIPPED_TYPES.includes(type)) return [];
+
+  const tests = [];
+  const add = (testType, kind, value, expected) => {
+    if (value === null || value === undefined) return;
+    if (tests.some(t => t.value === value)) return;
+    tests.push({ type: testType, kind, value, expected });
+  };
+
+  const valid = generateValue(field);
+  add('valid', 'valid', valid, 'accept');
+
+  if (type === 'checkbox' || type === 'radio') {
+    if (field.required) add('empty_required_field', 'invalid', false, 'reject');
+    return tests;
+  }
+
+  if (type === 'select' || type === 'select-one' || type === 'select-multiple') {
+    if (field.required && (field.options || []).some(o => o.value === '')) {
+      add('empty_required_field', 'invalid', '', 'reject');
+    }
+    return tests;
+  }
+
+  if (type === 'number' || type === 'range') {
+    const min = toNumber(field.min);
+    const max = toNumber(field.max);
+    const step = field.step === 'any' ? null : toNumber(field.step);
+    // With min > max every value is out of range, the limits included
+    const atLimit = isInverted(min, max) ? 'reject' : 'accept';
+    if (min !== null) {
+      add('at_min', 'boundary', String(min), atLimit);
+      add('below_min', 'boundary', String(min - 1), 'reject');
+    }
+    if (max !== null) {
+      add('at_max', 'boundary', String(max), atLimit);
+      add('above_max', 'boundary', String(max + 1), 'reject');
+    }
+    if (step && step > 0) {
+      const base = min !== null ? min : 0;
+      const offStep = base + step / 2;
+      if (max === null || offStep <= max) add('off_step', 'invalid', String(offStep), 'reject');
+    }
+  }
+
+  if (type === 'date' && (field.min || field.max)) {
+    const atLimit = isInverted(field.min, field.max) ? 'reject' : 'accept';
+    if (field.min) {
+      add('at_min', 'boundary', field.min, atLimit);
+      add('below_min', 'boundary', shiftDate(field.min, -1), 'reject');
+    }
+    if (field.max) {
+      add('at_max', 'boundary', field.max, atLimit);
+      add('above_max', 'boundary', shiftDate(field.max, 1), 'reject');
+    }
+  }
+
+  if (TEXT_TYPES.includes(type)) {
+    const minLength = toNumber(field.minlength);
+    const maxLength = toNumber(field.maxlength);
+    if (minLength !== null && minLength > 0) {
+      add('min_length', 'boundary', stringOfLength(field, minLength), 'accept');
+      add('too_short', 'boundary', stringOfLength(field, minLength - 1) ?? 'x'.repeat(minLength - 1), 'reject');
+    }
+    if (maxLength !== null && maxLength >= 0) {
+      add('max_length', 'boundary', stringOfLength(field, maxLength), 'accept');
+      add('too_long', 'boundary', stringOfLength(field, maxLength + 1) ?? 'x'.repeat(maxLength + 1), 'reject');
+    }
+    if (field.pattern) {
+      add('pattern_match', 'valid', generatePatternMatch(field.pattern, lengthBounds(field)), 'accept');
+      add('pattern_mismatch', 'invalid', generatePatternViolation(field.pattern), 'reject');
+    }
+  }
+
+  (INVALID_TYPE_VALUES[type] || []).forEach(value => add(`invalid_${type}`, 'invalid', value, 'reject'));
+
+  if (field.required) {
+    add('empty_required_field', 'invalid', '', 'reject');
+  }
+
+  return tests;
+}
+
+/**
+ * A string of exactly `length` characters that also matches the field's pattern, so a
+ * length probe only tests the length. Null when the pattern has no match of that length
+ */
+function stringOfLength(field, length) {
+  if (!field.pattern || !compileFieldPattern(field.pattern)) return 'x'.repeat(length);
+  return generatePatternMatch(field.pattern, { minLength: length, maxLength: length });
+}
+
+/**
+ * Compile an HTML pattern attribute the way browsers apply it (whole value, v/u flag)
+ */
+export function compileFieldPattern(pattern) {
+  for (const flags of ['v', 'u', '']) {
+    try {
+      return new RegExp(`^(?:${pattern})$`, flags);
+    } catch (e) {
+      // Older engines lack the v flag; some patterns are only valid without u
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a string matching a pattern, or null when the pattern uses unsupported syntax.
+ * With minLength/maxLength the match must also fit those bounds: quantifiers are
+ * repeated more or fewer times until it does, or null is returned
+ */
+export function generatePatternMatch(pattern, { minLength = null, maxLength = null } = {}) {
+  const regex = compileFieldPattern(pattern);
+  if (!regex) return null;
+
+  const fits = (value) => value !== null && regex.test(value) &&
+    (minLength === null || value.length >= minLength) &&
+    (maxLength === null || value.length <= maxLength);
+
+  // The simplest match first, then every quantifier repeated `repeat` times (within its own limits)
+  const attempts = [null];
+  for (let repeat = 0; repeat <= Math.max(minLength || 0, 1) + 1; repeat++) attempts.push(repeat);
+
+  for (const repeat of attempts) {
+    const value = walkPattern(pattern, repeat);
+    if (fits(value)) return value;
+  }
+  return null;
+}
+
+/**
+ * Run the regex walker over a whole pattern, or null when it cannot
+ */
+function walkPattern(pattern, repeat) {
+  try {
+    const parser = { source: pattern, pos: 0, repeat };
+    const value = generateAlternation(parser);
+    return parser.pos < pattern.length ? null : value;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build a non-empty string that violates a pattern (empty values never fail a pattern check)
+ */
+export function generatePatternViolation(pattern) {
+  const regex = compileFieldPattern(pattern);
+  if (!regex) return null;
+
+  const match = generatePatternMatch(pattern) || '';
+  const candidates = ['!', `${match}!`, `!${match}`, match.slice(0, -1), `${match}${match}`, 'a', '0', ' ', '~~~'];
+  return candidates.find(candidate => candidate !== '' && !regex.test(candidate)) || null;
+}
+
+// Minimal regex walker: alternation, groups, classes, escapes and quantifiers.
+// Each construct emits its simplest matching text; the result is verified by the caller
+
+function generateAlternation(parser) {
+  const branches = [generateSequence(parser)];
+  while (parser.source[parser.pos] === '|') {
+    parser.pos++;
+    branches.push(generateSequence(parser));
+  }
+  return branches[0];
+}
+
+function generateSequence(parser) {
+  let output = '';
+  while (parser.pos < parser.source.length) {
+    const char = parser.source[parser.pos];
+    if (char === '|' || char === ')') break;
+    const atom = generateAtom(parser);
+    const { min, max } = readQuantifier(parser);
+    const count = parser.repeat === null || parser.repeat === undefined
+      ? (min > 0 ? min : (max === 0 ? 0 : 1))
+      : Math.min(max, Math.max(min, parser.repeat));
+    output += atom.repeat(count);
+  }
+  return output;
+}
+
+function generateAtom(parser) {
+  const char = parser.source[parser.pos++];
+  switch (char) {
+    case '(': {
+      if (parser.source[parser.pos] === '?') {
+        const lookaround = parser.source.slice(parser.pos, parser.pos + 3);
+        if (/^\?[=!]/.test(lookaround) || /^\?<[=!]/.test(lookaround)) throw new Error('lookaround');
+        const named = parser.source.slice(parser.pos).match(/^\?(?::|<[^>]+>)/);
+        if (!named) throw new Error('unsupported group');
+        parser.pos += named[0].length;
+      }
+      const inner = generateAlternation(parser);
+      if (parser.source[parser.pos++] !== ')') throw new Error('unbalanced group');
+      return inner;
+    }
+    case '[':
+      return generateClass(parser);
+    case '.':
+      return 'a';
+    case '\\':
+      return generateEscape(parser);
+    case '^':
+    case '$':
+      return '';
+    default:
+      return char;
+  }
+}
+
+function generateEscape(parser) {
+  const char = parser.source[parser.pos++];
+  switch (char) {
+    case 'd': return '1';
+    case 'D': return 'a';
+    case 'w': return 'a';
+    case 'W': return '-';
+    case 's': return ' ';
+    case 'S': return 'a';
+    case 'b':
+    case 'B': return '';
+    case 'u': {
+      const hex = parser.source.slice(parser.pos, parser.pos + 4);
+      parser.pos += 4;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    case 'x': {
+      const hex = parser.source.slice(parser.pos, parser.pos + 2);
+      parser.pos += 2;
+      return String.fromCharCode(parseInt(hex, 16));
+    }
+    default:
+      if (char === undefined) throw new Error('dangling escape');
+      return char;
+  }
+}
+
+function generateClass(parser) {
+  const negated = parser.source[parser.pos] === '^';
+  if (negated) parser.pos++;
+
+  const members = [];
+  let first = true;
+  while (parser.pos < parser.source.length && (parser.source[parser.pos] !== ']' || first)) {
+    first = false;
+    let char = parser.source[parser.pos++];
+    if (char === '\\') {
+      const escaped = parser.source[parser.pos];
+      if ('dDwWsS'.includes(escaped)) {
+        parser.pos++;
+        members.push({ shorthand: escaped });
+        continue;
+      }
+      char = generateEscape(parser);
+    }
+    if (parser.source[parser.pos] === '-' && parser.source[parser.pos + 1] && parser.source[parser.pos + 1] !== ']') {
+      parser.pos++;
+      let end = parser.source[parser.pos++];
+      if (end === '\\') end = generateEscape(parser);
+      members.push({ from: char, to: end });
+    } else {
+      members.push({ from: char, to: char });
+    }
+  }
+  if (parser.source[parser.pos++] !== ']') throw new Error('unterminated class');
+
+  const inClass = (candidate) => members.some(member => {
+    if (member.shorthand) return new RegExp(`\\${member.shorthand}`).test(candidate);
+    return candidate >= member.from && candidate <= member.to;
+  });
+
+  if (!negated) {
+    const member = members[0];
+    if (!member) throw new Error('empty class');
+    return member.shorthand ? generateEscape({ source: member.shorthand, pos: 0 }) : member.from;
+  }
+  const candidate = ['a', 'A', '0', 'x', '_', '-', ' ', '!'].find(c => !inClass(c));
+  if (candidate === undefined) throw new Error('unsatisfiable class');
+  return candidate;
+}
+
+function readQuantifier(parser) {
+  const char = parser.source[parser.pos];
+  let quantifier = { min: 1, max: 1 };
+
+  if (char === '*') quantifier = { min: 0, max: Infinity };
+  else if (char === '+') quantifier = { min: 1, max: Infinity };
+  else if (char === '?') quantifier = { min: 0, max: 1 };
+  else if (char === '{') {
+    const braces = parser.source.slice(parser.pos).match(/^\{(\d+)(,(\d*))?\}/);
+    if (!braces) return quantifier;
+    const min = parseInt(braces[1], 10);
+    const max = braces[2] ? (braces[3] ? parseInt(braces[3], 10) : Infinity) : min;
+    parser.pos += braces[0].length;
+    if (parser.source[parser.pos] === '?') parser.pos++;
+    return { min, max };
+  } else {
+    return quantifier;
+  }
+
+  parser.pos++;
+  if (parser.source[parser.pos] === '?') parser.pos++; // lazy
+  return quantifier;
+}
+
+function shiftDate(value, days) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
@@ -21,6 +21,10 @@ class GraphVisualizer {
         this.zoom = null;
         this.tooltip = null;
         this.legend = null;
+        this.migrationNote = '';
+        this.resolveElements = null; // componentRegistry.resolveElements, loaded with the first graph
+        this.imageUrls = new Map(); // blob hash -> object URL of a loaded screenshot
+        this.selectedNodeId = null; // last clicked node, the target of generated tests
         
         this.init();
     }
@@ -56,6 +60,8 @@ class GraphVisualizer {
         document.getElementById('toggle-layout-btn')?.addEventListener('click', () => this.toggleLayout());
         document.getElementById('highlight-stats-btn')?.addEventListener('click', () => this.highlightStatsPages());
         document.getElementById('close-screenshot-btn')?.addEventListener('click', () => this.closeScreenshotViewer());
+        document.getElementById('generate-tests-btn')?.addEventListener('click', () => this.generateTests());
+        document.getElementById('export-gherkin-btn')?.addEventListener('click', () => this.exportGherkin());
 
         // Form element event listeners
         document.getElementById('node-size')?.addEventListener('change', (e) => this.updateNodeSize(e.target.value));
@@ -87,10 +93,10 @@ class GraphVisualizer {
             // Try to load from localStorage first
             const storedGraph = localStorage.getItem('ui-crawler-graph');
             if (storedGraph) {
-                this.graph = JSON.parse(storedGraph);
+                this.graph = await this.prepareGraph(JSON.parse(storedGraph));
                 this.renderGraph();
                 this.updateStats();
-                this.updateStatus('Graph loaded from storage');
+                this.updateStatus('Graph loaded from storage' + this.migrationNote);
                 return;
             }
 
@@ -102,11 +108,17 @@ class GraphVisualizer {
                 const file = e.target.files[0];
                 if (file) {
                     const reader = new FileReader();
-                    reader.onload = (e) => {
-                        this.graph = JSON.parse(e.target.result);
+                    reader.onload = async (e) => {
+                        try {
+                            this.graph = await this.prepareGraph(JSON.parse(e.target.result));
+                        } catch (error) {
+                            console.error('Error loading graph:', error);
+                            this.updateStatus('Error loading graph: ' + error.message);
+                            return;
+                        }
                         this.renderGraph();
                         this.updateStats();
-                        this.updateStatus('Graph loaded from file');
+                        this.updateStatus('Graph loaded from file' + this.migrationNote);
                     };
                     reader.readAsText(file);
                 }
@@ -126,12 +138,12 @@ class GraphVisualizer {
             if (chrome?.storage?.local) {
                 const { graph } = await chrome.storage.local.get(['graph']);
                 if (graph && graph.nodes) {
-                    this.graph = graph;
+                    this.graph = await this.prepareGraph(graph);
                     // Mirror to localStorage for export fallback
-                    try { localStorage.setItem('ui-crawler-graph', JSON.stringify(graph)); } catch(_) {}
+                    try { localStorage.setItem('ui-crawler-graph', JSON.stringify(this.graph)); } catch(_) {}
                     this.renderGraph();
                     this.updateStats();
-                    this.updateStatus('Graph loaded');
+                    this.updateStatus('Graph loaded' + this.migrationNote);
                     return;
                 }
             }
@@ -139,10 +151,10 @@ class GraphVisualizer {
             // Fallback to localStorage
             const storedGraph = localStorage.getItem('ui-crawler-graph');
             if (storedGraph) {
-                this.graph = JSON.parse(storedGraph);
+                this.graph = await this.prepareGraph(JSON.parse(storedGraph));
                 this.renderGraph();
                 this.updateStats();
-                this.updateStatus('Graph loaded');
+                this.updateStatus('Graph loaded' + this.migrationNote);
             } else {
                 this.updateStatus('No graph data found');
             }
@@ -152,6 +164,21 @@ class GraphVisualizer {
         }
     }
 
+    // Graphs from older exports are migrated to the current schema; the schema and component
+    // registry are ES modules, so they are imported dynamically from this classic script
+    async prepareGraph(graph) {
+        const { getSchemaVersion, migrateGraph, validateGraph } = await import('../utils/graphSchema.js');
+        ({ resolveElements: this.resolveElements } = await import('../modules/componentRegistry.js'));
+        const version = getSchemaVersion(graph);
+        const migrated = migrateGraph(graph);
+        const { errors } = validateGraph(migrated);
+        if (errors.length) {
+            console.warn(`Graph does not match schema v${migrated.schemaVersion}:`, errors);
+        }
+        this.migrationNote = version < migrated.schemaVersion ? ` (migrated from schema v${version})` : '';
+        return migrated;
+    }
+
     renderGraph() {
         if (!this.graph || !this.graph.nodes) {
             this.updateStatus('No graph data available');
@@ -191,6 +218,8 @@ class GraphVisualizer {
             isStatsPage: this.isStatsPage(d.url),
             hasScreenshot: !!d.screenshots,
             isInteractive: this.isInteractivePage(d),
+            elementCount: this.elementsOf(d).length,
+            sharedElementCount: this.elementsOf(d).length - (d.elements ? d.elements.length : 0),
             filtered: false
         }));
 
@@ -281,7 +310,7 @@ class GraphVisualizer {
 
     getNodeRadius(d) {
         const baseRadius = this.nodeSize;
-        const elementCount = d.elements ? d.elements.length : 0;
+        const elementCount = d.elementCount || 0;
         const sizeMultiplier = Math.min(1 + elementCount * 0.02, 2);
         return Math.min(baseRadius * sizeMultiplier, 30);
     }
@@ -305,9 +334,16 @@ class GraphVisualizer {
         return statsKeywords.some(keyword => url.toLowerCase().includes(keyword));
     }
 
+    // Elements of a node plus those of the shared components (header, footer, navigation)
+    // it references by id
+    elementsOf(node) {
+        return this.resolveElements ? this.resolveElements(this.graph, node) : (node.elements || []);
+    }
+
     isInteractivePage(node) {
-        if (!node.elements) return false;
-        const interactiveElements = node.elements.filter(el => 
+        const elements = this.elementsOf(node);
+        if (!elements.length) return false;
+        const interactiveElements = elements.filter(el => 
             el.interactive && (el.interactive.clickable || el.interactive.focusable)
         );
         return interactiveElements.length > 5;
@@ -315,11 +351,12 @@ class GraphVisualizer {
 
     showNodeInfo(event, d) {
         event.stopPropagation();
+        this.selectedNodeId = d.id;
         
         const info = `
             <h4>${d.title || 'Untitled'}</h4>
             <p><strong>URL:</strong> <span class="url">${d.url}</span></p>
-            <p><strong>Elements:</strong> ${d.elements ? d.elements.length : 0}</p>
+            <p><strong>Elements:</strong> ${d.elementCount || 0}${d.sharedElementCount ? ` (${d.sharedElementCount} in shared components)` : ''}</p>
             <p><strong>Type:</strong> ${d.isStatsPage ? '📊 Stats Page' : d.isInteractive ? '🎯 Interactive Page' : '📄 Regular Page'}</p>
             <p><strong>Screenshot:</strong> ${d.hasScreenshot ? '✅ Available' : '❌ Not Available'}</p>
             <p><strong>Timestamp:</strong> ${new Date(d.timestamp).toLocaleString()}</p>
@@ -342,7 +379,7 @@ class GraphVisualizer {
         }
     }
 
-    showScreenshot(event, d) {
+    async showScreenshot(event, d) {
         if (!d.screenshots) {
             alert('No screenshot available for this node');
             return;
@@ -350,23 +387,44 @@ class GraphVisualizer {
 
         const viewer = document.getElementById('screenshot-viewer');
         const content = document.getElementById('screenshot-content');
+        const regular = await this.resolveImage(d.screenshots.regular);
+        const stats = d.screenshots.stats ? await this.resolveImage(d.screenshots.stats.screenshot) : null;
         
         let screenshotHtml = '<h3>Screenshots for: ' + (d.title || 'Untitled') + '</h3>';
         
-        if (d.screenshots.regular) {
+        if (regular) {
             screenshotHtml += '<h4>Regular Screenshot:</h4>';
-            screenshotHtml += `<img src="${d.screenshots.regular}" alt="Regular Screenshot" style="max-width: 100%; margin-bottom: 20px;">`;
+            screenshotHtml += `<img src="${regular}" alt="Regular Screenshot" style="max-width: 100%; margin-bottom: 20px;">`;
         }
         
-        if (d.screenshots.stats) {
+        if (stats) {
             screenshotHtml += '<h4>Stats Screenshot:</h4>';
-            screenshotHtml += `<img src="${d.screenshots.stats.screenshot}" alt="Stats Screenshot" style="max-width: 100%;">`;
+            screenshotHtml += `<img src="${stats}" alt="Stats Screenshot" style="max-width: 100%;">`;
+        }
+
+        if (!regular && !stats) {
+            screenshotHtml += '<p>The screenshot is no longer in the blob store.</p>';
         }
         
         content.innerHTML = screenshotHtml;
         viewer.style.display = 'flex';
     }
 
+    // Screenshots are loaded from the blob store only when they are shown. Inline data URLs
+    // of older or bundled graphs are used as they are
+    async resolveImage(image) {
+        if (!image) return null;
+        if (typeof image === 'string') return image;
+
+        if (!this.imageUrls.has(image.blob)) {
+            const { getBlob } = await import('../utils/blobStore.js');
+            const blob = await getBlob(image);
+            if (!blob) return null;
+            this.imageUrls.set(image.blob, URL.createObjectURL(blob));
+        }
+        return this.imageUrls.get(image.blob);
+    }
+
     showTooltip(event, d) {
         this.tooltip.transition()
             .duration(200)
@@ -376,7 +434,7 @@ class GraphVisualizer {
             <strong>${d.title || 'Untitled'}</strong><br/>
             ${d.isStatsPage ? '📊 Stats Page' : d.isInteractive ? '🎯 Interactive' : '📄 Regular'}<br/>
             ${d.hasScreenshot ? '📸 Has Screenshot' : '📷 No Screenshot'}<br/>
-            ${d.elements ? d.elements.length : 0} elements
+            ${d.elementCount || 0} elements
         `)
         .style('left', (event.pageX + 10) + 'px')
         .style('top', (event.pageY - 10) + 'px');
@@ -433,7 +491,9 @@ class GraphVisualizer {
             statsPages: this.graph.nodes.filter(n => this.isStatsPage(n.url)).length,
             pagesWithScreenshots: this.graph.nodes.filter(n => n.screenshots).length,
             interactivePages: this.graph.nodes.filter(n => this.isInteractivePage(n)).length,
-            totalElements: this.graph.nodes.reduce((sum, n) => sum + (n.elements ? n.elements.length : 0), 0)
+            // Shared components are counted once, not once per page showing them
+            totalElements: this.graph.nodes.reduce((sum, n) => sum + (n.elements ? n.elements.length : 0), 0) +
+                (this.graph.components || []).reduce((sum, c) => sum + c.elements.length, 0)
         };
 
         document.getElementById('total-nodes').textContent = stats.totalNodes;
@@ -543,23 +603,79 @@ class GraphVisualizer {
         }
     }
 
-    exportGraph() {
+    async exportGraph() {
         if (!this.graph) {
             alert('No graph to export');
             return;
         }
 
-        const dataStr = JSON.stringify(this.graph, null, 2);
-        const dataBlob = new Blob([dataStr], {type: 'application/json'});
-        const url = URL.createObjectURL(dataBlob);
-        
+        // The export embeds the screenshots and DOM snapshots the graph references
+        const { bundleGraph } = await import('../utils/blobStore.js');
+        const dataStr = JSON.stringify(await bundleGraph(this.graph), null, 2);
+        this.downloadFile(dataStr, 'application/json', `ui-crawler-graph-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        this.updateStatus('Graph exported successfully');
+    }
+
+    // The shortest path to the selected page, or a set of paths that performs every
+    // recorded transition, as chosen in the controls. Null when nothing can be chosen
+    async choosePaths() {
+        if (!this.graph) {
+            alert('No graph to generate tests from');
+            return null;
+        }
+
+        const scope = document.getElementById('test-paths').value;
+        if (scope === 'selected' && !this.selectedNodeId) {
+            alert('Click a page in the graph to choose the path to test');
+            return null;
+        }
+
+        const { coveragePaths, shortestPath } = await import('../utils/graphPaths.js');
+        return scope === 'coverage'
+            ? coveragePaths(this.graph)
+            : [shortestPath(this.graph, this.selectedNodeId)].filter(Boolean);
+    }
+
+    async generateTests() {
+        const framework = document.getElementById('test-framework').value;
+        try {
+            const paths = await this.choosePaths();
+            if (!paths) return;
+            const { TestGenerator } = await import('../modules/testGenerator.js');
+            const { content, extension } = new TestGenerator().generate(framework, paths);
+            this.downloadFile(content, 'text/plain', `ui-crawler-${framework}-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`);
+            this.updateStatus(`Generated ${paths.length} test${paths.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Error generating tests:', error);
+            this.updateStatus('Error generating tests: ' + error.message);
+        }
+    }
+
+    // Gherkin feature files for the same paths, one file per entry page
+    async exportGherkin() {
+        try {
+            const paths = await this.choosePaths();
+            if (!paths) return;
+            const { GherkinExporter } = await import('../modules/gherkinExporter.js');
+            const features = new GherkinExporter().generate(paths);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            features.forEach(feature => {
+                this.downloadFile(feature.content, 'text/plain', `ui-crawler-${feature.name}-${timestamp}.feature`);
+            });
+            this.updateStatus(`Exported ${features.length} feature file${features.length === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Error exporting Gherkin:', error);
+            this.updateStatus('Error exporting Gherkin: ' + error.message);
+        }
+    }
+
+    downloadFile(content, type, filename) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
         const link = document.createElement('a');
         link.href = url;
-        link.download = `ui-crawler-graph-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        link.download = filename;
         link.click();
-        
         URL.revokeObjectURL(url);
-        this.updateStatus('Graph exported successfully');
     }
 
     resetGraph() {